@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+/*
+  x402-bch command line client. See lib/cli.js.
+*/
+
+import { runCli } from '../lib/cli.js'
+
+process.exitCode = await runCli(process.argv.slice(2))
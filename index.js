@@ -12,9 +12,107 @@
 */
 
 // External dependencies
+import { promises as fs } from 'fs'
 import BCHWallet from 'minimal-slp-wallet'
 import RetryQueue from '@chris.troutner/retry-queue'
 
+// Local libraries
+import {
+  createTabState,
+  getSignerTabState,
+  getTabKey,
+  reconcileTabBalance,
+  __resetSignerTabStates
+} from './lib/tab-state.js'
+import { createMemoryStorage, createFileStorage, createJsonlStorage } from './lib/storage.js'
+import {
+  createSpendingPolicy,
+  getRequestHost,
+  SpendingPolicyError
+} from './lib/policy.js'
+import { buildSettlement, decodePaymentResponse } from './lib/settlement.js'
+import { createLedger, getRequestUrl, toCSV } from './lib/ledger.js'
+import {
+  createFetchAdapter,
+  createHttpError,
+  toRequestConfig
+} from './lib/fetch-adapter.js'
+import { createRankingSelector } from './lib/selector.js'
+import {
+  buildTokenTransaction,
+  getTokenCategory,
+  isNativeAsset,
+  TOKEN_OUTPUT_SATS
+} from './lib/cashtokens.js'
+import { selectCoins } from './lib/coin-selection.js'
+import {
+  createHDSigner as createHDSignerWithBchjs,
+  isHDSigner
+} from './lib/hd-signer.js'
+import {
+  attachPrivateKey,
+  detachPrivateKey,
+  isExternalSigner,
+  signP2pkhTransaction,
+  toPrevout
+} from './lib/signing.js'
+import { encryptKeystore, decryptKeystore } from './lib/keystore.js'
+import {
+  BCH_NETWORKS,
+  resolveNetworks,
+  isAcceptedNetwork,
+  toCaip2Network,
+  getNetworkName,
+  getAddressPrefix
+} from './lib/networks.js'
+import {
+  ERROR_CODES,
+  X402PaymentError,
+  MissingRequestConfigError,
+  MissingPaymentRequirementsError,
+  NoBCHRequirementsError,
+  InvalidPaymentRequiredError,
+  InsufficientFundsError,
+  UtxoLookupError,
+  BroadcastError,
+  PaymentRejectedError,
+  UnsupportedNetworkError,
+  UnsupportedAssetError,
+  UnsupportedSignerError,
+  PaymentDeclinedError,
+  InvalidRequestOptionsError
+} from './lib/errors.js'
+
+export { createTabState, getSignerTabState, getTabKey }
+export { createMemoryStorage, createFileStorage, createJsonlStorage }
+export { createSpendingPolicy, SpendingPolicyError }
+export { createLedger, toCSV }
+export { decodePaymentResponse }
+export { BCH_NETWORKS }
+export { createRankingSelector, isNativeAsset }
+export { getTokenCategory }
+export { encryptKeystore, decryptKeystore }
+export {
+  ERROR_CODES,
+  X402PaymentError,
+  MissingRequestConfigError,
+  MissingPaymentRequirementsError,
+  NoBCHRequirementsError,
+  InvalidPaymentRequiredError,
+  InsufficientFundsError,
+  UtxoLookupError,
+  BroadcastError,
+  PaymentRejectedError,
+  UnsupportedNetworkError,
+  UnsupportedAssetError,
+  UnsupportedSignerError,
+  PaymentDeclinedError,
+  InvalidRequestOptionsError
+}
+
+// Sats per byte paid for prepayment transactions when no feeRate is configured.
+const DEFAULT_FEE_RATE = 1.2
+
 const dependencies = {
   BCHWallet,
   RetryQueue
@@ -29,71 +127,223 @@ export function __resetDependencies () {
   dependencies.RetryQueue = RetryQueue
 }
 
-const currentUtxo = {
-  txid: null,
-  vout: null,
-  satsLeft: 0
-}
-
 /**
  * Creates a BCH signer from a private key in WIF format.
  *
+ * Signers for testnet3, testnet4, chipnet and regtest need a testnet WIF
+ * (starting with 'c'). Their addresses use the `bchtest:` or `bchreg:` prefix.
+ *
  * @param {string} privateKeyWIF - Private key in Wallet Import Format (WIF)
  * @param {number} paymentAmountSats - Default spend amount for queued payments
- * @returns {{ ecpair: any, address: string, wif: string, paymentAmountSats: number, signMessage: (message: string) => string }}
+ * @param {Object} [options]
+ * @param {string} [options.network] - Network name from BCH_NETWORKS, or its
+ *   CAIP-2 ID. Defaults to mainnet.
+ * @returns {{ ecpair: any, address: string, wif: string, network: string, paymentAmountSats: number, signMessage: (message: string) => string, signTransaction: (unsignedTxHex: string, prevouts: Array<Object>) => Promise<string>, dispose: () => void }}
+ *   `wif` and `ecpair` are not enumerable, so JSON.stringify() and object
+ *   spread leave them out.
  */
-export function createSigner (privateKeyWIF, paymentAmountSats) {
+export function createSigner (privateKeyWIF, paymentAmountSats, options = {}) {
+  const network = getNetworkName(options.network)
+
   const wallet = new dependencies.BCHWallet()
   const bchjs = wallet.bchjs
 
   const ecpair = bchjs.ECPair.fromWIF(privateKeyWIF)
-  const address = bchjs.ECPair.toCashAddress(ecpair)
+  const address = bchjs.ECPair.toCashAddress(ecpair, network === 'regtest')
 
-  return {
-    ecpair,
+  const prefix = getAddressPrefix(network)
+  if (!address.startsWith(`${prefix}:`)) {
+    throw new Error(
+      `The private key is not for ${network}. Expected a ${prefix}: address, got ${address}`
+    )
+  }
+
+  // dispose() drops the key, after which the signer can't sign.
+  let key = privateKeyWIF
+  const getKey = () => {
+    if (!key) throw new Error('This signer has been disposed')
+    return key
+  }
+
+  const signer = {
     address,
-    wif: privateKeyWIF,
+    network,
     paymentAmountSats,
     signMessage (message) {
-      return bchjs.BitcoinCash.signMessageWithPrivKey(privateKeyWIF, message)
+      return bchjs.BitcoinCash.signMessageWithPrivKey(getKey(), message)
+    },
+    async signTransaction (unsignedTxHex, prevouts) {
+      const wif = getKey()
+      return signP2pkhTransaction(unsignedTxHex, prevouts, () => wif)
+    },
+    dispose () {
+      key = null
+      detachPrivateKey(signer, ['wif', 'ecpair'])
     }
   }
+
+  // The key is kept off the enumerable properties, so the signer never
+  // serializes or logs its WIF.
+  return attachPrivateKey(signer, { wif: privateKeyWIF, ecpair })
 }
 
 export const createBCHSigner = createSigner
 
 /**
- * Normalizes network identifier to support both v1 and v2 formats.
- * v1 uses 'bch', v2 uses CAIP-2 format 'bip122:000000000000000000651ef99cb9fcbe'
+ * Creates a BCH signer from a password-protected keystore (see
+ * lib/keystore.js). Call `signer.dispose()` to drop the decrypted key when
+ * it's no longer needed.
+ *
+ * @param {Object|string} keystore - Keystore object, or the path of a keystore JSON file
+ * @param {string} passphrase - Passphrase the keystore was encrypted with
+ * @param {number} paymentAmountSats - Default spend amount for prepayments
+ * @param {Object} [options]
+ * @param {string} [options.network] - Network name from BCH_NETWORKS, or its
+ *   CAIP-2 ID. Defaults to mainnet.
+ * @returns {Promise<ReturnType<typeof createSigner>>}
+ * @throws {Error} If the passphrase is wrong, or the key doesn't match the
+ *   keystore's address
+ */
+export async function createSignerFromKeystore (keystore, passphrase, paymentAmountSats, options = {}) {
+  const data = typeof keystore === 'string'
+    ? JSON.parse(await fs.readFile(keystore, 'utf8'))
+    : keystore
+
+  const signer = createSigner(await decryptKeystore(data, passphrase), paymentAmountSats, options)
+
+  if (data.address && data.address !== signer.address) {
+    signer.dispose()
+    throw new Error(`The keystore is for ${data.address}, but its key is for ${signer.address}`)
+  }
+
+  return signer
+}
+
+/**
+ * Creates a BCH signer from a BIP38-encrypted private key. Decryption uses
+ * scrypt and blocks for a few seconds.
  *
- * @param {string} network - Network identifier
- * @returns {boolean} True if the network is BCH (mainnet)
+ * @param {string} encryptedKey - BIP38 key, starting with '6P'
+ * @param {string} passphrase - Passphrase the key was encrypted with
+ * @param {number} paymentAmountSats - Default spend amount for prepayments
+ * @param {Object} [options]
+ * @param {string} [options.network] - Network name from BCH_NETWORKS, or its
+ *   CAIP-2 ID. Defaults to mainnet.
+ * @returns {Promise<ReturnType<typeof createSigner>>}
+ * @throws {Error} If the passphrase is wrong
  */
-function isBCHNetwork (network) {
-  if (!network) return false
-  // v1 format
-  if (network === 'bch') return true
-  // v2 CAIP-2 format for BCH mainnet
-  if (network === 'bip122:000000000000000000651ef99cb9fcbe') return true
-  // v2 CAIP-2 format pattern matching (bip122:*)
-  if (network.startsWith('bip122:')) return true
-  return false
+export async function createSignerFromBIP38 (encryptedKey, passphrase, paymentAmountSats, options = {}) {
+  const network = getNetworkName(options.network)
+  const bchjs = new dependencies.BCHWallet().bchjs
+
+  let wif
+  try {
+    wif = bchjs.BitcoinCash.decryptBIP38(
+      encryptedKey,
+      passphrase,
+      network === 'mainnet' ? 'mainnet' : 'testnet'
+    )
+  } catch (err) {
+    throw new Error('Could not decrypt the BIP38 key. Check the passphrase.', { cause: err })
+  }
+
+  return createSigner(wif, paymentAmountSats, options)
+}
+
+/**
+ * Creates a reference implementation of the async signer contract (see
+ * lib/signing.js) from a private key. The WIF stays in a closure and is never
+ * exposed, so the interceptor pays exactly as it would with a remote signing
+ * service or an HSM. Use it to test such a signer's integration locally.
+ *
+ * @param {string} privateKeyWIF - Private key in Wallet Import Format (WIF)
+ * @param {number} paymentAmountSats - Default spend amount for prepayments
+ * @param {Object} [options]
+ * @param {string} [options.network] - Network name from BCH_NETWORKS, or its
+ *   CAIP-2 ID. Defaults to mainnet.
+ * @returns {{
+ *   address: string,
+ *   network: string,
+ *   paymentAmountSats: number,
+ *   signMessage: (message: string) => Promise<string>,
+ *   signTransaction: (unsignedTxHex: string, prevouts: Array<Object>) => Promise<string>
+ * }}
+ */
+export function createLocalSigner (privateKeyWIF, paymentAmountSats, options = {}) {
+  const keySigner = createSigner(privateKeyWIF, paymentAmountSats, options)
+
+  return {
+    address: keySigner.address,
+    network: keySigner.network,
+    paymentAmountSats,
+
+    async signMessage (message) {
+      return keySigner.signMessage(message)
+    },
+
+    async signTransaction (unsignedTxHex, prevouts) {
+      return keySigner.signTransaction(unsignedTxHex, prevouts)
+    },
+
+    dispose () {
+      keySigner.dispose()
+    }
+  }
+}
+
+/**
+ * Creates a BCH signer from a BIP39 mnemonic. It has the same interface as
+ * `createSigner()`, but prepayments gather UTXOs from every derived address
+ * and send their change to a fresh change address.
+ *
+ * @param {string} mnemonic - BIP39 mnemonic
+ * @param {Object} [options]
+ * @param {string} [options.derivationPath] - BIP44 account path. Defaults to
+ *   m/44'/145'/0'.
+ * @param {number} [options.gapLimit] - Unused addresses scanned past the last
+ *   used one on each chain. Defaults to 20.
+ * @param {string} [options.network] - Network name from BCH_NETWORKS, or its
+ *   CAIP-2 ID. Defaults to mainnet.
+ * @param {number} [options.paymentAmountSats] - Default spend amount for prepayments
+ * @returns {Promise<Object>} Signer. See lib/hd-signer.js.
+ */
+export async function createHDSigner (mnemonic, options = {}) {
+  const network = getNetworkName(options.network)
+
+  const wallet = new dependencies.BCHWallet()
+  return createHDSignerWithBchjs(wallet.bchjs, mnemonic, { ...options, network })
 }
 
 /**
  * Selects BCH `utxo` payment requirements from a 402 accepts array.
- * Supports both v1 ('bch') and v2 (CAIP-2 'bip122:*') network formats.
+ * Supports both v1 ('bch') and v2 (CAIP-2 'bip122:...') network formats, but
+ * only for the BCH chains listed in `options.networks`. Other bip122 chains,
+ * such as Bitcoin (BTC), are never selected.
  *
  * @param {Array} accepts - Array of payment requirements objects
+ * @param {Object} [options]
+ * @param {Array<string>} [options.networks] - Accepted BCH networks, by name
+ *   (see BCH_NETWORKS) or CAIP-2 ID. Defaults to mainnet only.
  * @returns {Object} First BCH `utxo` payment requirement
  */
-export function selectPaymentRequirements (accepts = []) {
+export function selectPaymentRequirements (accepts = [], options = {}) {
+  const acceptedNetworks = resolveNetworks(options.networks)
+
   const bchRequirements = accepts.filter(req => {
-    return isBCHNetwork(req?.network) && req?.scheme === 'utxo'
+    return isAcceptedNetwork(req?.network, acceptedNetworks) && req?.scheme === 'utxo'
   })
 
   if (bchRequirements.length === 0) {
-    throw new Error('No BCH payment requirements found in 402 response')
+    const offered = accepts
+      .filter(req => req?.scheme === 'utxo' && req?.network)
+      .map(req => req.network)
+    if (offered.length === 0) throw new NoBCHRequirementsError()
+
+    throw new NoBCHRequirementsError(
+      'No BCH payment requirements found in 402 response for the accepted ' +
+      `networks (${Array.from(acceptedNetworks).join(', ')}). ` +
+      `Offered: ${offered.join(', ')}`
+    )
   }
 
   return bchRequirements[0]
@@ -109,6 +359,8 @@ export function selectPaymentRequirements (accepts = []) {
  * @param {number|null} vout
  * @param {Object|null} resource - Optional ResourceInfo object
  * @param {Object|null} extensions - Optional extensions object
+ * @param {number} [prepaidAmount] - Amount the UTXO at txid/vout prepaid.
+ *   Defaults to signer.paymentAmountSats.
  * @returns {Promise<string>}
  */
 export async function createPaymentHeader (
@@ -118,7 +370,8 @@ export async function createPaymentHeader (
   txid = null,
   vout = null,
   resource = null,
-  extensions = null
+  extensions = null,
+  prepaidAmount = signer.paymentAmountSats
 ) {
   // Support both v1 (minAmountRequired) and v2 (amount) field names
   const amountRequired = paymentRequirements.amount || paymentRequirements.minAmountRequired
@@ -132,16 +385,17 @@ export async function createPaymentHeader (
     value: amountRequired,
     txid: isCheckMyTabMode ? '*' : txid,
     vout: isCheckMyTabMode ? null : vout,
-    amount: isCheckMyTabMode ? null : signer.paymentAmountSats
+    amount: isCheckMyTabMode ? null : prepaidAmount
   }
 
+  // Signers may sign remotely, so signMessage() may return a promise.
   const messageToSign = JSON.stringify(authorization)
-  const signature = signer.signMessage(messageToSign)
+  const signature = await signer.signMessage(messageToSign)
 
   // Build accepted PaymentRequirements object
   const accepted = {
     scheme: paymentRequirements.scheme || 'utxo',
-    network: paymentRequirements.network || 'bip122:000000000000000000651ef99cb9fcbe',
+    network: paymentRequirements.network || BCH_NETWORKS[signer.network || 'mainnet'],
     amount: amountRequired,
     asset: paymentRequirements.asset,
     payTo: paymentRequirements.payTo,
@@ -164,22 +418,165 @@ export async function createPaymentHeader (
   return JSON.stringify(paymentHeader)
 }
 
+// Call a lifecycle hook from the config, if one is set. Hooks are for
+// observing payments, so a hook that throws or rejects is logged and never
+// interrupts the payment flow.
+function callHook (config = {}, name, payload, requestConfig) {
+  const hook = config[name]
+  if (typeof hook !== 'function') return
+
+  try {
+    Promise.resolve(hook(payload, requestConfig)).catch(err => {
+      console.error(`Error in x402-bch-axios ${name} hook: `, err.message)
+    })
+  } catch (err) {
+    console.error(`Error in x402-bch-axios ${name} hook: `, err.message)
+  }
+}
+
+// The BCH network payments are made on. The BCH server config and the signer
+// must agree when both name one.
+function resolvePaymentNetwork (signer, bchServerConfig = {}) {
+  if (bchServerConfig.network === undefined) return getNetworkName(signer.network)
+
+  const network = getNetworkName(bchServerConfig.network)
+  if (signer.network && BCH_NETWORKS[getNetworkName(signer.network)] !== BCH_NETWORKS[network]) {
+    throw new Error(
+      `The BCH server config is for ${network}, but the signer is for ${signer.network}`
+    )
+  }
+  return network
+}
+
+// Amount sent when funding a new tab. For BCH this is sats: a per-request
+// paymentAmountSats in the config wins, then the signer's default
+// prepayment, falling back to the price of the request. For
+// CashTokens it is token units: the config's tokenPaymentAmounts entry for
+// the category, or else the price of the request.
+function getPrepaymentAmount (signer, paymentRequirements, bchServerConfig = {}) {
+  // Support both v1 (minAmountRequired) and v2 (amount) field names
+  const amountRequired = paymentRequirements.amount || paymentRequirements.minAmountRequired
+
+  const category = getTokenCategory(paymentRequirements.asset)
+  if (category) {
+    const tokenAmounts = bchServerConfig.tokenPaymentAmounts || {}
+    return Number(tokenAmounts[category] || amountRequired)
+  }
+
+  return bchServerConfig.paymentAmountSats || signer.paymentAmountSats || amountRequired
+}
+
+// Resolve the fee rate, in sats per byte, for a prepayment. A feeEstimator in
+// the config is asked first. If it fails or returns nonsense, the static
+// feeRate is used, and then the default.
+async function resolveFeeRate (bchServerConfig = {}, paymentRequirements) {
+  const { feeRate, feeEstimator } = bchServerConfig
+
+  if (feeRate !== undefined && !(Number(feeRate) > 0)) {
+    throw new Error(`feeRate must be a positive number of sats per byte, got ${feeRate}`)
+  }
+  const fallback = feeRate !== undefined ? Number(feeRate) : DEFAULT_FEE_RATE
+
+  if (typeof feeEstimator !== 'function') return fallback
+
+  try {
+    const estimate = Number(await feeEstimator({
+      bchServerURL: bchServerConfig.bchServerURL,
+      paymentRequirements
+    }))
+    if (estimate > 0) return estimate
+
+    console.warn(`x402-bch-axios: feeEstimator returned an invalid fee rate. Using ${fallback} sats/byte.`)
+  } catch (err) {
+    console.warn(`x402-bch-axios: feeEstimator failed (${err.message}). Using ${fallback} sats/byte.`)
+  }
+
+  return fallback
+}
+
+// bch-api looks up the UTXOs or history of at most 20 addresses per call.
+const UTXO_BATCH_SIZE = 20
+
+// Get the UTXOs held by a list of addresses, each tagged with its address.
+async function getAddressUtxos (bchjs, addresses) {
+  if (addresses.length === 1) {
+    const [address] = addresses
+    let utxoData
+    try {
+      utxoData = await bchjs.Electrumx.utxo(address)
+    } catch (err) {
+      throw new UtxoLookupError(
+        `Error retrieving UTXOs for address ${address}: ${err.message}`,
+        { cause: err }
+      )
+    }
+    const utxos = Array.isArray(utxoData.utxos) ? utxoData.utxos : []
+    return utxos.map(utxo => ({ ...utxo, address }))
+  }
+
+  const utxos = []
+  for (let i = 0; i < addresses.length; i += UTXO_BATCH_SIZE) {
+    const batch = addresses.slice(i, i + UTXO_BATCH_SIZE)
+    let utxoData
+    try {
+      utxoData = await bchjs.Electrumx.utxo(batch)
+    } catch (err) {
+      throw new UtxoLookupError(
+        `Error retrieving UTXOs for addresses ${batch.join(', ')}: ${err.message}`,
+        { cause: err }
+      )
+    }
+
+    const results = Array.isArray(utxoData.utxos) ? utxoData.utxos : []
+    for (const result of results) {
+      for (const utxo of result.utxos || []) {
+        utxos.push({ ...utxo, address: result.address })
+      }
+    }
+  }
+  return utxos
+}
+
+// Get the addresses in a list that have any transaction history.
+async function getUsedAddresses (bchjs, addresses) {
+  const used = []
+  for (let i = 0; i < addresses.length; i += UTXO_BATCH_SIZE) {
+    const batch = addresses.slice(i, i + UTXO_BATCH_SIZE)
+    let historyData
+    try {
+      historyData = await bchjs.Electrumx.transactions(batch)
+    } catch (err) {
+      throw new UtxoLookupError(
+        `Error retrieving the transaction history of addresses ${batch.join(', ')}: ${err.message}`,
+        { cause: err }
+      )
+    }
+
+    const results = Array.isArray(historyData.transactions) ? historyData.transactions : []
+    for (const result of results) {
+      if (Array.isArray(result.transactions) && result.transactions.length > 0) {
+        used.push(result.address)
+      }
+    }
+  }
+  return used
+}
+
 // Send the payment using bch.fullstack.cash. In this case, we can use bch-js to execute
-// the payment in a more optimized way.
-// Assumption: A UTXO that is equal to or larger than paymentAmountSats is not a SLP token UTXO.
-async function sendPaymentFullstack (signer, paymentRequirements, bchServerConfig = {}) {
+// the payment in a more optimized way. Several UTXOs are combined when no
+// single one can pay (see lib/coin-selection.js). HD signers spend from all
+// of their addresses and get a fresh change address.
+async function sendPaymentFullstack (signer, paymentRequirements, bchServerConfig = {}, requestConfig) {
   try {
     const { apiType, bchServerURL, bearerToken } = bchServerConfig
 
     // Private key in WIF format.
     const wif = signer.wif
     const payToAddr = paymentRequirements.payTo
+    const paymentAmountSats = getPrepaymentAmount(signer, paymentRequirements, bchServerConfig)
 
-    // Support both v1 (minAmountRequired) and v2 (amount) field names
-    const amountRequired = paymentRequirements.amount || paymentRequirements.minAmountRequired
-    const paymentAmountSats = signer.paymentAmountSats || amountRequired
-
-    // Get bch-js
+    // Get bch-js. Without a WIF the wallet is a throwaway that only
+    // provides bch-js.
     const bchWallet = new dependencies.BCHWallet(signer.wif, {
       interface: apiType,
       restURL: bchServerURL,
@@ -188,115 +585,155 @@ async function sendPaymentFullstack (signer, paymentRequirements, bchServerConfi
     await bchWallet.walletInfoPromise
     const bchjs = bchWallet.bchjs
 
-    // Generate the bitcoincash: address from the private key.
-    const ecPair = bchjs.ECPair.fromWIF(wif)
-    const payFromAddr = bchjs.ECPair.toCashAddress(ecPair)
+    // Generate the cash address from the private key. External signers have
+    // no key in process, so their address is taken as given.
+    const network = resolvePaymentNetwork(signer, bchServerConfig)
+    const external = isExternalSigner(signer)
+    const ecPair = external ? null : bchjs.ECPair.fromWIF(wif)
+    const payFromAddr = external
+      ? signer.address
+      : bchjs.ECPair.toCashAddress(ecPair, network === 'regtest')
     // console.log(`payFromAddr: ${payFromAddr}`)
 
     // console.log('bchjs.restURL: ', bchjs.restURL)
 
-    // Get the UTXOs controlled by the private key.
-    let utxos = []
-    let utxoData
-    try {
-      utxoData = await bchjs.Electrumx.utxo(payFromAddr)
-    } catch (err) {
-      throw new Error(`Error retrieving UTXOs for address ${payFromAddr}: ${err.message}`)
-    }
-    if (utxoData.utxos && Array.isArray(utxoData.utxos)) {
-      utxos = utxoData.utxos
+    // Get the UTXOs controlled by the signer's keys. HD signers first skip
+    // past every address used before, even in an earlier session, so the
+    // change address is a fresh one.
+    const hd = isHDSigner(signer)
+    if (hd) await signer.discoverUsedAddresses(addresses => getUsedAddresses(bchjs, addresses))
+    const utxos = await getAddressUtxos(bchjs, hd ? signer.getAddresses() : [payFromAddr])
+    if (hd) {
+      for (const utxo of utxos) signer.markAddressUsed(utxo.address)
     }
 
-    // Filter out UTXOs that are equal to or greater than the paymentAmountSats
-    utxos = utxos.filter(utxo => utxo.value >= paymentAmountSats)
-    // console.log(`UTXOs available for payment: ${JSON.stringify(utxos, null, 2)}`)
-
-    if (utxos.length === 0) {
-      throw new Error('Not enough funds. Send more BCH to your wallet address.')
+    // Fee for a transaction with this many P2PKH inputs and outputs.
+    const satoshisPerByte = await resolveFeeRate(bchServerConfig, paymentRequirements)
+    const feeFor = (inputCount, outputCount) => {
+      const byteCount = bchjs.BitcoinCash.getByteCount(
+        { P2PKH: inputCount },
+        { P2PKH: outputCount }
+      )
+      return Math.ceil(satoshisPerByte * byteCount)
     }
 
-    // Choose the first UTXO that is big enough to pay for the transaction.
-    const utxo = utxos[0]
+    // Pick the UTXOs to spend. Throws InsufficientFundsError with the shortfall.
+    const { inputs, fee: txFee, change } = selectCoins(utxos, paymentAmountSats, feeFor)
 
     // instance of transaction builder
-    const transactionBuilder = new bchjs.TransactionBuilder()
+    const transactionBuilder = new bchjs.TransactionBuilder(
+      network === 'mainnet' ? 'mainnet' : 'testnet'
+    )
 
     // Essential variables of a transaction.
     const satoshisToSend = paymentAmountSats
-    const originalAmount = utxo.value
-    const vout = utxo.tx_pos
-    const txid = utxo.tx_hash
-
-    // add input with txid and index of vout
-    transactionBuilder.addInput(txid, vout)
 
-    // get byte count to calculate fee. paying 1.2 sat/byte
-    const byteCount = bchjs.BitcoinCash.getByteCount({ P2PKH: 1 }, { P2PKH: 2 })
-    // console.log(`Transaction byte count: ${byteCount}`)
-    const satoshisPerByte = 1.2
-    const txFee = Math.floor(satoshisPerByte * byteCount)
-    // console.log(`Transaction fee: ${txFee}`)
-
-    // amount to send back to the sending address.
-    // It's the original amount - 1 sat/byte for tx size
-    const remainder = originalAmount - satoshisToSend - txFee
-
-    if (remainder < 0) {
-      throw new Error('Not enough BCH to complete transaction!')
+    // add an input for each selected UTXO
+    for (const utxo of inputs) {
+      transactionBuilder.addInput(utxo.tx_hash, utxo.tx_pos)
     }
 
     // add output w/ address and amount to send
     transactionBuilder.addOutput(payToAddr, satoshisToSend)
-    transactionBuilder.addOutput(payFromAddr, remainder)
-
-    // Sign the transaction with the HD node.
-    let redeemScript
-    transactionBuilder.sign(
-      0,
-      ecPair,
-      redeemScript,
-      transactionBuilder.hashTypes.SIGHASH_ALL,
-      originalAmount
-    )
 
-    // build tx
-    const tx = transactionBuilder.build()
-    // output rawhex
-    const hex = tx.toHex()
+    // Send the change back to the wallet, unless it's dust. Dust change was
+    // already added to the fee by selectCoins().
+    if (change > 0) {
+      transactionBuilder.addOutput(hd ? signer.nextChangeAddress() : payFromAddr, change)
+    }
+
+    let hex
+    if (external) {
+      // Hand the unsigned transaction to the signer.
+      const unsignedHex = transactionBuilder.transaction.buildIncomplete().toHex()
+      hex = await signer.signTransaction(unsignedHex, inputs.map(toPrevout))
+    } else {
+      // Sign each input with the key that owns it.
+      let redeemScript
+      inputs.forEach((utxo, index) => {
+        transactionBuilder.sign(
+          index,
+          hd ? signer.getKeyPair(utxo.address) : ecPair,
+          redeemScript,
+          transactionBuilder.hashTypes.SIGHASH_ALL,
+          utxo.value
+        )
+      })
+
+      // build tx
+      const tx = transactionBuilder.build()
+      // output rawhex
+      hex = tx.toHex()
+    }
     // console.log(`TX hex: ${hex}`);
     console.log(' ')
 
     // Broadcast transation to the network
-    const txid2 = await bchjs.RawTransactions.sendRawTransaction(hex)
+    let txid2
+    try {
+      txid2 = await bchjs.RawTransactions.sendRawTransaction(hex)
+    } catch (err) {
+      throw new BroadcastError(`Error broadcasting payment: ${err.message}`, { cause: err })
+    }
     // txid2 = txid2[0]
     // console.log(`1) Transaction ID: `, txid2)
 
-    return {
+    callHook(bchServerConfig, 'onPaymentBroadcast', {
+      txid: txid2,
+      sats: paymentAmountSats,
+      payTo: payToAddr,
+      fee: txFee
+    }, requestConfig)
+
+    // `from` is the address whose key signs the payment authorization.
+    const payment = {
       txid: txid2,
       vout: 0,
-      satsSent: paymentAmountSats
+      satsSent: paymentAmountSats,
+      fee: txFee,
+      from: inputs[0].address
     }
+    // Its derivation path lets an HD signer find that key after a restart.
+    if (hd) payment.fromPath = signer.getDerivationPath(payment.from)
+    return payment
   } catch (err) {
     console.error('Error in x402-bch-axios/sendPaymentFullstack(): ', err.message)
     throw err
   }
 }
 
-async function sendPaymentGeneric (signer, paymentRequirements, bchServerConfig = {}) {
+async function sendPaymentGeneric (signer, paymentRequirements, bchServerConfig = {}, requestConfig) {
   try {
-    const { apiType, bchServerURL, bearerToken } = bchServerConfig
-    // Support both v1 (minAmountRequired) and v2 (amount) field names
-    const amountRequired = paymentRequirements.amount || paymentRequirements.minAmountRequired
-    const paymentAmountSats = signer.paymentAmountSats || amountRequired
+    const { apiType, bchServerURL, bearerToken, feeRate, feeEstimator } = bchServerConfig
+    const paymentAmountSats = getPrepaymentAmount(signer, paymentRequirements, bchServerConfig)
+
+    // minimal-slp-wallet signs with the WIF itself.
+    if (isExternalSigner(signer)) {
+      throw new UnsupportedSignerError(
+        `Signers without a WIF can only pay through a bch.fullstack.cash server, not ${bchServerURL}`
+      )
+    }
 
-    const bchWallet = new dependencies.BCHWallet(signer.wif, {
+    const walletOptions = {
       interface: apiType,
       restURL: bchServerURL,
       bearerToken
-    })
+    }
+    // minimal-slp-wallet builds the transaction here, so only the fee rate
+    // can be passed on. It handles change and dust itself.
+    if (feeRate !== undefined || feeEstimator) {
+      walletOptions.fee = await resolveFeeRate(bchServerConfig, paymentRequirements)
+    }
+
+    const bchWallet = new dependencies.BCHWallet(signer.wif, walletOptions)
     // console.log(`sendPayment() - interface: ${apiType}, restURL: ${bchServerURL}, wif: ${signer.wif}, payTo: ${paymentRequirements.payTo}, paymentAmountSats: ${paymentAmountSats}`)
     console.log(`Sending ${paymentAmountSats} for x402 API payment to ${paymentRequirements.payTo}`)
-    await bchWallet.initialize()
+    try {
+      await bchWallet.initialize()
+    } catch (err) {
+      // initialize() fetches the wallet's UTXOs.
+      throw new UtxoLookupError(`Error retrieving UTXOs for the wallet: ${err.message}`, { cause: err })
+    }
 
     const retryQueue = new dependencies.RetryQueue()
     const receivers = [
@@ -306,13 +743,14 @@ async function sendPaymentGeneric (signer, paymentRequirements, bchServerConfig
       }
     ]
 
-    // Wrap send function to detect "Insufficient balance" errors
+    // Wrap send function to detect "Insufficient balance" errors. Retrying
+    // won't help those, so they skip the retry queue.
     const sendWithRetry = async (receivers) => {
       try {
         return await bchWallet.send(receivers)
       } catch (error) {
-        // Check if error message contains "Insufficient balance"
-        if (error.message && error.message.includes('Insufficient balance')) {
+        // Wallet backends word this differently, so match loosely
+        if (error.message && /insufficient (balance|funds)/i.test(error.message)) {
           return null
         }
 
@@ -321,17 +759,31 @@ async function sendPaymentGeneric (signer, paymentRequirements, bchServerConfig
       }
     }
 
-    const txid = await retryQueue.addToQueue(sendWithRetry, receivers)
+    let txid
+    try {
+      txid = await retryQueue.addToQueue(sendWithRetry, receivers)
+    } catch (err) {
+      throw new BroadcastError(`Error broadcasting payment: ${err.message}`, { cause: err })
+    }
     // console.log(`2) Transaction ID: ${txid}`)
 
     if (txid === null) {
-      throw new Error('Insufficient balance')
+      throw new InsufficientFundsError('Insufficient balance')
     }
 
+    callHook(bchServerConfig, 'onPaymentBroadcast', {
+      txid,
+      sats: paymentAmountSats,
+      payTo: paymentRequirements.payTo,
+      fee: null
+    }, requestConfig)
+
+    // The wallet library doesn't report the fee it paid.
     return {
       txid,
       vout: 0,
-      satsSent: paymentAmountSats
+      satsSent: paymentAmountSats,
+      fee: null
     }
   } catch (err) {
     console.error('Error in x402-bch-axios/sendPayment(): ', err.message)
@@ -339,20 +791,334 @@ async function sendPaymentGeneric (signer, paymentRequirements, bchServerConfig
   }
 }
 
+// Send a payment priced in a fungible CashToken. bch-js can't build token
+// transactions, so the transaction is built with libauth and only the UTXO
+// lookup and broadcast go through bch-js (see lib/cashtokens.js). This needs
+// the Electrumx endpoints of a bch-api server, like bch.fullstack.cash.
+async function sendTokenPayment (signer, paymentRequirements, bchServerConfig = {}, requestConfig) {
+  try {
+    const { apiType, bchServerURL, bearerToken } = bchServerConfig
+    const category = getTokenCategory(paymentRequirements.asset)
+    const tokenAmount = getPrepaymentAmount(signer, paymentRequirements, bchServerConfig)
+
+    const bchWallet = new dependencies.BCHWallet(signer.wif, {
+      interface: apiType,
+      restURL: bchServerURL,
+      bearerToken
+    })
+    await bchWallet.walletInfoPromise
+    const bchjs = bchWallet.bchjs
+
+    const network = resolvePaymentNetwork(signer, bchServerConfig)
+    const external = isExternalSigner(signer)
+    const payFromAddr = external
+      ? signer.address
+      : bchjs.ECPair.toCashAddress(bchjs.ECPair.fromWIF(signer.wif), network === 'regtest')
+
+    const utxos = await getAddressUtxos(bchjs, [payFromAddr])
+
+    // Without a WIF the transaction comes back unsigned.
+    const built = internals.buildTokenTransaction({
+      wif: signer.wif,
+      utxos,
+      payTo: paymentRequirements.payTo,
+      changeAddress: payFromAddr,
+      category,
+      amount: tokenAmount,
+      feeRate: await resolveFeeRate(bchServerConfig, paymentRequirements)
+    })
+    const { fee } = built
+    const hex = external
+      ? await signer.signTransaction(built.hex, built.prevouts)
+      : built.hex
+
+    let txid
+    try {
+      txid = await bchjs.RawTransactions.sendRawTransaction(hex)
+    } catch (err) {
+      throw new BroadcastError(`Error broadcasting payment: ${err.message}`, { cause: err })
+    }
+
+    callHook(bchServerConfig, 'onPaymentBroadcast', {
+      txid,
+      sats: TOKEN_OUTPUT_SATS,
+      payTo: paymentRequirements.payTo,
+      fee,
+      asset: category,
+      tokens: tokenAmount
+    }, requestConfig)
+
+    // The tokens are in output 0, along with TOKEN_OUTPUT_SATS sats.
+    return {
+      txid,
+      vout: 0,
+      satsSent: TOKEN_OUTPUT_SATS,
+      tokensSent: tokenAmount,
+      fee,
+      from: payFromAddr
+    }
+  } catch (err) {
+    console.error('Error in x402-bch-axios/sendTokenPayment(): ', err.message)
+    throw err
+  }
+}
+
+// Throws unless the asset is native BCH or a CashToken category. Anything else
+// (an EVM token address, a ticker like 'USDC') can't be paid from a BCH wallet.
+function assertPayableAsset (asset) {
+  if (!isNativeAsset(asset) && !getTokenCategory(asset)) {
+    throw new UnsupportedAssetError(
+      `Payment requirements are for asset ${asset}, which is neither BCH nor a CashToken category`
+    )
+  }
+}
+
 // Route the payment to the appropriate function based on the BCH server URL.
-async function sendPayment (signer, paymentRequirements, bchServerConfig = {}) {
+// requestConfig is the axios config of the request being paid for, passed on
+// to the lifecycle hooks.
+async function sendPayment (signer, paymentRequirements, bchServerConfig = {}, requestConfig) {
   const { bchServerURL } = bchServerConfig
+
+  assertPayableAsset(paymentRequirements.asset)
+
+  if (getTokenCategory(paymentRequirements.asset)) {
+    if (!bchServerURL.includes('bch.fullstack.cash')) {
+      throw new UnsupportedAssetError(
+        `Paying in CashTokens needs a bch.fullstack.cash server, not ${bchServerURL}`
+      )
+    }
+    return sendTokenPayment(signer, paymentRequirements, bchServerConfig, requestConfig)
+  }
+
   if (bchServerURL.includes('bch.fullstack.cash')) {
     // If the BCH server URL is a Fullstack server, use an optimized payment function.
-    return sendPaymentFullstack(signer, paymentRequirements, bchServerConfig)
+    return sendPaymentFullstack(signer, paymentRequirements, bchServerConfig, requestConfig)
   } else {
-    return sendPaymentGeneric(signer, paymentRequirements, bchServerConfig)
+    return sendPaymentGeneric(signer, paymentRequirements, bchServerConfig, requestConfig)
+  }
+}
+
+/**
+ * Parses the payment requirements out of a 402 response. v2 servers send them
+ * in the base64-encoded PAYMENT-REQUIRED header, v1 servers in the body.
+ *
+ * @param {Object} response - The 402 response
+ * @returns {{ x402Version: number, accepts: Array, resource: Object|null, extensions: Object|null }}
+ */
+export function parsePaymentRequired (response = {}) {
+  const headers = response.headers || {}
+
+  // Try v2 PAYMENT-REQUIRED header first (base64-encoded)
+  const paymentRequiredHeader = headers['payment-required'] || headers['PAYMENT-REQUIRED']
+  let headerError = null
+  if (paymentRequiredHeader) {
+    try {
+      const decoded = Buffer.from(paymentRequiredHeader, 'base64').toString('utf-8')
+      const paymentRequired = JSON.parse(decoded)
+      return normalizePaymentRequired(paymentRequired, 2)
+    } catch (parseError) {
+      // If header parsing fails, fall back to body
+      headerError = parseError
+    }
+  }
+
+  // Fall back to body format (v1 or v2)
+  const body = response.data
+  const hasBody = body && typeof body === 'object' && 'accepts' in body
+  if (headerError && !hasBody) {
+    throw new InvalidPaymentRequiredError(
+      `Could not decode PAYMENT-REQUIRED header: ${headerError.message}`,
+      { cause: headerError }
+    )
+  }
+
+  return normalizePaymentRequired(body || {}, 1)
+}
+
+function normalizePaymentRequired (paymentRequired, defaultVersion) {
+  const { accepts } = paymentRequired
+
+  if (accepts !== undefined && accepts !== null && !Array.isArray(accepts)) {
+    throw new InvalidPaymentRequiredError('402 response "accepts" must be an array')
+  }
+
+  if (!accepts || accepts.length === 0) {
+    throw new MissingPaymentRequirementsError()
+  }
+
+  return {
+    x402Version: paymentRequired.x402Version || defaultVersion,
+    accepts,
+    resource: paymentRequired.resource || null,
+    extensions: paymentRequired.extensions || null
+  }
+}
+
+/**
+ * Picks the tab state an interceptor should use. An explicit `tabState` in the
+ * config wins, `tabScope: 'interceptor'` gives the interceptor a private tab,
+ * and the default shares the tab between every interceptor using the signer.
+ * A `storage` adapter in the config persists the tabs.
+ *
+ * @param {Object} signer
+ * @param {Object} config
+ * @returns {ReturnType<typeof createTabState>}
+ */
+function resolveTabState (signer, config = {}) {
+  const { storage } = config
+
+  if (config.tabState) return config.tabState
+  if (config.tabScope === 'interceptor') {
+    return createTabState({ storage, namespace: signer.address || '' })
+  }
+  return getSignerTabState(signer, { storage })
+}
+
+// A paid request that comes back with a 402 becomes a PaymentRejectedError.
+// Other errors are passed through untouched.
+function toPaymentRejectedError (err, { txid, mode }) {
+  if (!isPaymentRejection(err)) return err
+
+  return new PaymentRejectedError(
+    `The server rejected the payment from UTXO ${txid} (${mode})`,
+    { axiosError: err }
+  )
+}
+
+// Fill in the context the interceptor knows about on a payment error.
+function withErrorContext (err, axiosError, paymentRequirements) {
+  if (err instanceof X402PaymentError) {
+    if (!err.axiosError) err.axiosError = axiosError
+    if (!err.paymentRequirements) err.paymentRequirements = paymentRequirements || null
+  }
+  return err
+}
+
+// True when a paid request came back with another 402.
+function isPaymentRejection (err) {
+  return Boolean(err && err.response && err.response.status === 402)
+}
+
+// Forget a tab the server rejected, unless another request has already
+// replaced it with a new UTXO.
+function invalidateTab (tabState, tabKey, txid) {
+  return tabState.runExclusive(tabKey, async () => {
+    if (tabState.get(tabKey).txid === txid) {
+      await tabState.delete(tabKey)
+    }
+  })
+}
+
+// The `policy` config option takes either a policy created with
+// createSpendingPolicy() or the options to create one. A policy created here
+// keeps its budgets in the config's storage, like the tabs.
+function resolveSpendingPolicy (signer, config = {}) {
+  const { policy } = config
+  if (!policy) return null
+  if (typeof policy.checkRequest === 'function') return policy
+  return createSpendingPolicy({
+    storage: config.storage,
+    namespace: signer.address || '',
+    ...policy
+  })
+}
+
+// Restore a policy's saved budgets. Policies that don't persist anything
+// have no load().
+function loadSpendingPolicy (policy) {
+  return policy && typeof policy.load === 'function' ? policy.load() : Promise.resolve()
+}
+
+// Reads the `x402` key of a request config: per-request overrides of the
+// interceptor's settings.
+function resolveRequestOverrides (overrides) {
+  if (overrides == null) return {}
+  if (typeof overrides !== 'object') {
+    throw new InvalidRequestOptionsError('The x402 request option must be an object')
+  }
+
+  for (const name of ['maxAmount', 'paymentAmountSats']) {
+    const value = overrides[name]
+    if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+      throw new InvalidRequestOptionsError(`x402.${name} must be a non-negative number, got ${value}`)
+    }
+  }
+  if (overrides.selector !== undefined && typeof overrides.selector !== 'function') {
+    throw new InvalidRequestOptionsError('x402.selector must be a function')
+  }
+
+  return overrides
+}
+
+// The `ledger` config option takes a ledger created with createLedger(), the
+// options to create one, or true for a ledger over the config's storage.
+function resolveLedger (signer, config = {}) {
+  const { ledger } = config
+  if (!ledger) return null
+  if (typeof ledger.record === 'function') return ledger
+  return createLedger({
+    storage: config.storage,
+    namespace: signer.address || '',
+    ...(ledger === true ? {} : ledger)
+  })
+}
+
+// A ledger that can't be written to is logged, but never fails a payment.
+async function recordLedgerEntry (ledger, entry) {
+  if (!ledger) return
+  try {
+    await ledger.record(entry)
+  } catch (err) {
+    console.error('Error in x402-bch-axios recording a ledger entry: ', err.message)
+  }
+}
+
+/**
+ * Describes what paying for a 402 would take, for dry runs.
+ *
+ * `mode` is the first thing a real payment would try: reusing the tracked tab
+ * when it covers the price, asking the server to check its tab when none is
+ * tracked, or else funding a new UTXO. `broadcastSats` is what a new UTXO
+ * would cost, or 0 when the tab covers the price.
+ *
+ * @param {Object} signer
+ * @param {Object} paymentRequirements - Selected payment requirements
+ * @param {Object} bchServerConfig
+ * @param {Object} context - Parsed 402, the price, the tracked tab and the
+ *   request's x402 overrides
+ * @returns {Object} Quote
+ */
+function buildQuote (signer, paymentRequirements, bchServerConfig, { paymentRequired, cost, tab, overrides = {} }) {
+  const isTokenPayment = !isNativeAsset(paymentRequirements.asset)
+  const prepaymentAmount = Number(getPrepaymentAmount(signer, paymentRequirements, bchServerConfig))
+
+  let mode = 'new-utxo'
+  if (!overrides.forceNewUtxo) {
+    if (tab.txid && tab.satsLeft >= cost) mode = 'reuse'
+    else if (!tab.txid && !overrides.skipCheckMyTab) mode = 'check-my-tab'
+  }
+
+  return {
+    ...paymentRequired,
+    requirements: paymentRequirements,
+    amount: cost,
+    asset: paymentRequirements.asset || null,
+    mode,
+    prepaymentAmount,
+    broadcastSats: mode === 'reuse' ? 0 : (isTokenPayment ? TOKEN_OUTPUT_SATS : prepaymentAmount),
+    tab: tab.txid ? { txid: tab.txid, vout: tab.vout, satsLeft: tab.satsLeft } : null
   }
 }
 
 /**
  * Adds a payment interceptor to an axios instance.
  *
+ * The tab state used by the interceptor is exposed on `axiosInstance.x402`
+ * so callers can inspect or reset it.
+ *
+ * A selector is called with the 402's accepts array and a context of
+ * `{ networks, host, policy }`, and returns the requirements to pay.
+ *
  * @param {import('axios').AxiosInstance} axiosInstance
  * @param {ReturnType<typeof createSigner>} signer
  * @param {Function|Object} paymentRequirementsSelectorOrConfig - Optional selector or BCH server config
@@ -375,6 +1141,79 @@ export function withPaymentInterceptor (
     }
   } else if (paymentRequirementsSelectorOrConfig) {
     bchServerConfig = paymentRequirementsSelectorOrConfig
+  } else if (maybeConfig) {
+    // Selector passed as undefined/null with the config as the 4th argument
+    bchServerConfig = maybeConfig
+  }
+
+  const tabState = resolveTabState(signer, bchServerConfig)
+  const policy = resolveSpendingPolicy(signer, bchServerConfig)
+  const ledger = resolveLedger(signer, bchServerConfig)
+  // Only the signer's own chain is accepted unless more are configured.
+  const paymentNetwork = resolvePaymentNetwork(signer, bchServerConfig)
+  const acceptedNetworks = resolveNetworks(bchServerConfig.networks || [paymentNetwork])
+  // Requirements are only paid on the signer's chain, so the selector only
+  // chooses between offers for it.
+  const networks = (bchServerConfig.networks || [paymentNetwork]).filter(
+    network => resolveNetworks([network]).has(BCH_NETWORKS[paymentNetwork])
+  )
+  if (networks.length === 0) {
+    throw new Error(
+      `The networks config (${bchServerConfig.networks.join(', ')}) does not ` +
+      `include the signer's network, ${paymentNetwork}`
+    )
+  }
+
+  // Start restoring persisted tabs and budgets right away. The 402 handler
+  // waits for them before it looks at any tab or budget.
+  const tabsLoaded = tabState.load()
+  tabsLoaded.catch(err => {
+    console.error('Error in x402-bch-axios/withPaymentInterceptor() loading tab state: ', err.message)
+  })
+  const policyLoaded = loadSpendingPolicy(policy)
+  policyLoaded.catch(err => {
+    console.error('Error in x402-bch-axios/withPaymentInterceptor() loading spending policy: ', err.message)
+  })
+  const ready = Promise.all([tabsLoaded, policyLoaded]).then(() => {})
+  // Both failures are logged above. Awaiting `ready` still rejects.
+  ready.catch(() => {})
+
+  // Tabs can be looked up by key or by the payment requirements they paid.
+  const toTabKey = keyOrRequirements => {
+    return typeof keyOrRequirements === 'string'
+      ? keyOrRequirements
+      : getTabKey(keyOrRequirements)
+  }
+
+  axiosInstance.x402 = {
+    tabState,
+    ready,
+    getTab: keyOrRequirements => tabState.get(toTabKey(keyOrRequirements)),
+    getTabs: () => tabState.list(),
+    resetTab: keyOrRequirements => {
+      if (keyOrRequirements) {
+        return tabState.delete(toTabKey(keyOrRequirements))
+      }
+      return tabState.reset()
+    },
+    ledger,
+    // Make the request as a dry run and resolve to its quote, or to null when
+    // the request needs no payment.
+    quote: async (requestConfig = {}) => {
+      const response = await axiosInstance.request({
+        ...requestConfig,
+        x402: { ...requestConfig.x402, dryRun: true }
+      })
+      return response.x402Quote || null
+    },
+    getPaymentHistory: async filter => {
+      if (!ledger) throw new Error('No payment ledger. Set `ledger` in the BCH server config')
+      return ledger.getPaymentHistory(filter)
+    },
+    exportPaymentHistory: async (format, filter) => {
+      if (!ledger) throw new Error('No payment ledger. Set `ledger` in the BCH server config')
+      return ledger.export(format, filter)
+    }
   }
 
   axiosInstance.interceptors.response.use(
@@ -384,10 +1223,12 @@ export function withPaymentInterceptor (
         return Promise.reject(error)
       }
 
+      let paymentRequirements = null
+
       try {
         const originalConfig = error.config
         if (!originalConfig || !originalConfig.headers) {
-          return Promise.reject(new Error('Missing axios request configuration'))
+          throw new MissingRequestConfigError()
         }
 
         // Prevent infinite loops
@@ -395,132 +1236,402 @@ export function withPaymentInterceptor (
           return Promise.reject(error)
         }
 
+        // Per-request overrides. With autoPay off the 402 is passed through.
+        const overrides = resolveRequestOverrides(originalConfig.x402)
+        if (overrides.autoPay === false) {
+          return Promise.reject(error)
+        }
+        // The BCH server config for this request
+        const requestServerConfig = overrides.paymentAmountSats === undefined
+          ? bchServerConfig
+          : { ...bchServerConfig, paymentAmountSats: overrides.paymentAmountSats }
+
         // If this is a "check my tab" retry that failed, fall back to UTXO generation
         if (originalConfig.__is402CheckMyTab) {
           // Clear the flag and proceed with UTXO generation
           originalConfig.__is402CheckMyTab = false
         }
 
-        // Parse payment requirements - v2 can come from header, v1 from body
-        let paymentRequired = null
-        let x402Version = 1
-        let accepts = []
-        let resource = null
-        let extensions = null
-
-        // Try v2 PAYMENT-REQUIRED header first (base64-encoded)
-        const paymentRequiredHeader = error.response.headers['payment-required'] ||
-                                      error.response.headers['PAYMENT-REQUIRED']
-        if (paymentRequiredHeader) {
-          try {
-            const decoded = Buffer.from(paymentRequiredHeader, 'base64').toString('utf-8')
-            paymentRequired = JSON.parse(decoded)
-            x402Version = paymentRequired.x402Version || 2
-            accepts = paymentRequired.accepts || []
-            resource = paymentRequired.resource
-            extensions = paymentRequired.extensions
-          } catch (parseError) {
-            // If header parsing fails, fall back to body
-          }
-        }
+        const {
+          x402Version,
+          accepts,
+          resource,
+          extensions
+        } = parsePaymentRequired(error.response)
+
+        const host = getRequestHost(originalConfig.url, originalConfig.baseURL)
+        const selector = overrides.selector || paymentRequirementsSelector
+        paymentRequirements = selector(accepts, { networks, host, policy })
 
-        // Fall back to body format (v1 or v2)
-        if (!paymentRequired) {
-          const body = error.response.data || {}
-          x402Version = body.x402Version || 1
-          accepts = body.accepts || []
-          resource = body.resource
-          extensions = body.extensions
+        // A custom selector may pick anything, so check the chain here too.
+        if (!isAcceptedNetwork(paymentRequirements?.network, acceptedNetworks)) {
+          throw new UnsupportedNetworkError(
+            `Payment requirements are for network ${paymentRequirements?.network}, ` +
+            `which is not an accepted BCH network (${Array.from(acceptedNetworks).join(', ')})`
+          )
         }
+        if (toCaip2Network(paymentRequirements.network) !== BCH_NETWORKS[paymentNetwork]) {
+          throw new UnsupportedNetworkError(
+            `Payment requirements are for network ${paymentRequirements.network}, ` +
+            `but the signer is on ${paymentNetwork} (${BCH_NETWORKS[paymentNetwork]})`
+          )
+        }
+        assertPayableAsset(paymentRequirements.asset)
 
-        if (!accepts || !Array.isArray(accepts) || accepts.length === 0) {
-          return Promise.reject(new Error('No payment requirements found in 402 response'))
+        // A dry run only reports what paying would take. Nothing is signed or
+        // broadcast, and the payment hooks aren't called.
+        const dryRun = Boolean(overrides.dryRun)
+        if (!dryRun) {
+          callHook(bchServerConfig, 'onPaymentRequired', paymentRequirements, originalConfig)
         }
 
-        const paymentRequirements = paymentRequirementsSelector(accepts)
         // Support both v1 (minAmountRequired) and v2 (amount) field names
         // Convert to number for calculations (v2 uses strings, v1 uses numbers)
         const cost = Number(paymentRequirements.amount || paymentRequirements.minAmountRequired)
 
-        // Try "check my tab" mode first if no UTXO is tracked
-        if (!currentUtxo.txid && !originalConfig.__is402CheckMyTab) {
-          // Attempt "check my tab" mode
-          const checkMyTabHeader = await createPaymentHeader(
-            signer,
+        if (!paymentRequirements.payTo || !Number.isFinite(cost) || cost < 0) {
+          throw new InvalidPaymentRequiredError(
+            'Selected payment requirements must include payTo and a non-negative amount'
+          )
+        }
+
+        if (dryRun) {
+          await tabState.load()
+          error.response.x402Quote = buildQuote(signer, paymentRequirements, requestServerConfig, {
+            paymentRequired: { x402Version, accepts, resource, extensions },
+            cost,
+            tab: tabState.get(getTabKey(paymentRequirements)),
+            overrides
+          })
+          return error.response
+        }
+
+        if (overrides.maxAmount !== undefined && cost > overrides.maxAmount) {
+          throw new SpendingPolicyError(
+            `Price ${cost} exceeds the maxAmount of ${overrides.maxAmount} set on the request`,
+            'maxAmount',
+            { amount: cost, maxAmount: overrides.maxAmount }
+          )
+        }
+
+        // Enforce the spending policy before anything is signed or broadcast
+        if (policy) {
+          policy.checkRequest({
+            host,
+            payTo: paymentRequirements.payTo,
+            amount: cost,
+            asset: paymentRequirements.asset
+          })
+        }
+
+        const isTokenPayment = !isNativeAsset(paymentRequirements.asset)
+
+        // Every ledger entry for this request starts with these fields.
+        const ledgerEntry = {
+          url: getRequestUrl(originalConfig.url, originalConfig.baseURL),
+          host,
+          payTo: paymentRequirements.payTo,
+          network: paymentRequirements.network,
+          asset: paymentRequirements.asset || null
+        }
+
+        // Ask the approvePayment callback before paying. Anything but true
+        // declines, before the tab is touched.
+        const { approvePayment, approveTabDebits } = bchServerConfig
+        const approve = async (mode, amountToBroadcast) => {
+          const approved = await approvePayment({
+            requirements: paymentRequirements,
+            resource,
+            url: ledgerEntry.url,
+            mode,
+            amount: cost,
+            amountToBroadcast
+          })
+          if (approved !== true) {
+            throw new PaymentDeclinedError(
+              `The payment of ${cost} to ${paymentRequirements.payTo} (${mode}) was declined`
+            )
+          }
+        }
+
+        // Each payee/network/asset has its own tab, so a UTXO that paid one
+        // server is never sent to another.
+        const tabKey = getTabKey(paymentRequirements)
+        await tabState.load()
+        await loadSpendingPolicy(policy)
+
+        // Debit the tab for this request, funding a new UTXO first when there
+        // is none or it can't cover the cost, and sign the payment header
+        // against it. Call while holding the tab lock.
+        const debitTab = async () => {
+          const currentUtxo = tabState.get(tabKey)
+
+          let txid = null
+          let vout = null
+          let satsLeft = null
+          let from
+          let fromPath
+          let prepaidAmount
+          let mode = 'reuse'
+
+          if (overrides.forceNewUtxo || !currentUtxo.txid || currentUtxo.satsLeft < cost) {
+            // Budgets count sats. A token payment only spends the sats
+            // locked in its token output.
+            const broadcastSats = isTokenPayment
+              ? TOKEN_OUTPUT_SATS
+              : Number(getPrepaymentAmount(signer, paymentRequirements, requestServerConfig))
+            // Hold the sats against the budgets while the prepayment is sent,
+            // so concurrent prepayments to other tabs can't overspend them.
+            const reservation = policy ? policy.reserve(broadcastSats) : null
+
+            let payment
+            try {
+              if (approvePayment) await approve('new-utxo', broadcastSats)
+
+              payment = await internals.sendPayment(
+                signer,
+                paymentRequirements,
+                requestServerConfig,
+                originalConfig
+              )
+            } catch (err) {
+              if (reservation) reservation.release()
+              throw err
+            }
+            if (reservation) {
+              // The prepayment is already broadcast, so a budget that can't
+              // be saved is logged instead of failing the payment.
+              await reservation.commit(payment.satsSent).catch(err => {
+                console.error('Error in x402-bch-axios saving the spending policy: ', err.message)
+              })
+            }
+            await recordLedgerEntry(ledger, {
+              ...ledgerEntry,
+              type: 'prepayment',
+              amount: isTokenPayment ? payment.tokensSent : payment.satsSent,
+              fee: payment.fee,
+              txid: payment.txid,
+              vout: payment.vout,
+              mode: 'new-utxo',
+              result: 'broadcast'
+            })
+
+            mode = 'new-utxo'
+            txid = payment.txid
+            vout = payment.vout
+            from = payment.from
+            fromPath = payment.fromPath
+            // Token tabs count token units instead of sats
+            prepaidAmount = isTokenPayment ? payment.tokensSent : payment.satsSent
+            satsLeft = prepaidAmount - cost
+          } else {
+            if (approvePayment && approveTabDebits) await approve('reuse', 0)
+
+            txid = currentUtxo.txid
+            vout = currentUtxo.vout
+            from = currentUtxo.from
+            fromPath = currentUtxo.fromPath
+            prepaidAmount = currentUtxo.prepaidAmount
+            satsLeft = currentUtxo.satsLeft - cost
+
+            callHook(bchServerConfig, 'onTabReused', {
+              txid,
+              vout,
+              satsLeft,
+              cost,
+              payTo: paymentRequirements.payTo
+            }, originalConfig)
+          }
+
+          // Sign before the debit is saved, so a tab that can't be signed
+          // for keeps its balance. HD signers sign with the key that funded
+          // the tab.
+          const tabSigner = from && isHDSigner(signer) ? signer.forAddress(from, fromPath) : signer
+          const paymentHeader = await createPaymentHeader(
+            tabSigner,
             paymentRequirements,
             x402Version || 2,
-            '*', // txid = "*" for check my tab mode
-            null, // vout = null for check my tab mode
+            txid,
+            vout,
             resource,
-            extensions
+            extensions,
+            // What the UTXO actually holds, which a per-request
+            // paymentAmountSats may have changed.
+            prepaidAmount
           )
 
-          originalConfig.__is402CheckMyTab = true
+          await tabState.set(tabKey, {
+            txid,
+            vout,
+            satsLeft,
+            prepaidAmount,
+            payTo: paymentRequirements.payTo,
+            network: paymentRequirements.network,
+            asset: paymentRequirements.asset,
+            from,
+            fromPath
+          })
+
+          return { txid, vout, mode, satsLeft, paymentHeader }
+        }
+
+        // Replay the request with the payment header of a debited tab. A tab
+        // the server rejects is forgotten, so later requests don't keep
+        // sending the same stale txid.
+        const payWithTab = async ({ txid, vout, mode, satsLeft, paymentHeader }) => {
           originalConfig.__is402Retry = true
-          originalConfig.headers['PAYMENT-SIGNATURE'] = checkMyTabHeader
+          originalConfig.headers['PAYMENT-SIGNATURE'] = paymentHeader
           originalConfig.headers['Access-Control-Expose-Headers'] = 'PAYMENT-RESPONSE'
 
+          // The server's reported balance is the source of truth for the tab.
+          // It can also arrive on a failed response if the server charged
+          // before the request failed.
+          const settle = async response => {
+            const settlement = buildSettlement(response.headers, { mode, txid, vout, cost })
+            await reconcileTabBalance(tabState, tabKey, {
+              txid,
+              expectedSatsLeft: satsLeft,
+              reportedSatsLeft: settlement.remainingBalanceSats
+            })
+            return settlement
+          }
+
+          const debitEntry = { ...ledgerEntry, type: 'debit', amount: cost, txid, vout, mode }
+
+          let paidResponse
           try {
-            const checkMyTabResponse = await axiosInstance.request(originalConfig)
-            // "Check my tab" succeeded - return response and continue using check my tab mode
-            // Don't update currentUtxo since we're using check my tab mode
-            return checkMyTabResponse
-          } catch (checkMyTabError) {
-            // "Check my tab" failed - check if it's a 402 error
-            if (checkMyTabError.response && checkMyTabError.response.status === 402) {
-              // 402 error from "check my tab" - fall back to UTXO generation
-              // Reset flags and continue with standard flow
-              originalConfig.__is402CheckMyTab = false
-              originalConfig.__is402Retry = false
-              // Continue to UTXO generation logic below
+            paidResponse = await axiosInstance.request(originalConfig)
+          } catch (retryError) {
+            if (isPaymentRejection(retryError)) {
+              await invalidateTab(tabState, tabKey, txid)
+              await recordLedgerEntry(ledger, { ...debitEntry, result: 'rejected' })
             } else {
-              // Non-402 error (network error, etc.) - reject it
-              return Promise.reject(checkMyTabError)
+              if (retryError.response && decodePaymentResponse(retryError.response.headers)) {
+                retryError.x402Settlement = await settle(retryError.response)
+              }
+              await recordLedgerEntry(ledger, {
+                ...debitEntry,
+                result: 'failed',
+                error: retryError.message
+              })
             }
+            throw retryError
           }
-        }
-
-        // Standard mode: use existing UTXO or generate new one
-        let txid = null
-        let vout = null
-        let satsLeft = null
 
-        if (!currentUtxo.txid || currentUtxo.satsLeft < cost) {
-          const payment = await internals.sendPayment(
-            signer,
-            paymentRequirements,
-            bchServerConfig
-          )
-          txid = payment.txid
-          vout = payment.vout
-          satsLeft = payment.satsSent - cost
-        } else {
-          txid = currentUtxo.txid
-          vout = currentUtxo.vout
-          satsLeft = currentUtxo.satsLeft - cost
+          paidResponse.x402Settlement = await settle(paidResponse)
+          await recordLedgerEntry(ledger, { ...debitEntry, result: 'settled' })
+          callHook(bchServerConfig, 'onPaymentSettled', paidResponse.x402Settlement, originalConfig)
+          return paidResponse
         }
 
-        currentUtxo.txid = txid
-        currentUtxo.vout = vout
-        currentUtxo.satsLeft = satsLeft
-
-        const paymentHeader = await createPaymentHeader(
-          signer,
-          paymentRequirements,
-          x402Version || 2,
-          txid,
-          vout,
-          resource,
-          extensions
-        )
+        // Only one 402 per tab is handled at a time. When many requests hit a
+        // 402 at once, the first one funds the tab and the rest wait, then
+        // reuse it. Each debit of satsLeft happens inside the lock.
+        const tabResult = await tabState.runExclusive(tabKey, async () => {
+          const currentUtxo = tabState.get(tabKey)
+
+          // Try "check my tab" mode first if no UTXO is tracked
+          const checkMyTab = !currentUtxo.txid &&
+                             !overrides.skipCheckMyTab &&
+                             !overrides.forceNewUtxo
+          if (checkMyTab && !originalConfig.__is402CheckMyTab) {
+            if (approvePayment && approveTabDebits) await approve('check-my-tab', 0)
+
+            // Attempt "check my tab" mode
+            const checkMyTabHeader = await createPaymentHeader(
+              signer,
+              paymentRequirements,
+              x402Version || 2,
+              '*', // txid = "*" for check my tab mode
+              null, // vout = null for check my tab mode
+              resource,
+              extensions
+            )
+
+            originalConfig.__is402CheckMyTab = true
+            originalConfig.__is402Retry = true
+            originalConfig.headers['PAYMENT-SIGNATURE'] = checkMyTabHeader
+            originalConfig.headers['Access-Control-Expose-Headers'] = 'PAYMENT-RESPONSE'
+
+            try {
+              const checkMyTabResponse = await axiosInstance.request(originalConfig)
+              // "Check my tab" succeeded - return response and continue using check my tab mode
+              const settlement = buildSettlement(checkMyTabResponse.headers, {
+                mode: 'check-my-tab',
+                cost
+              })
+              checkMyTabResponse.x402Settlement = settlement
+              await recordLedgerEntry(ledger, {
+                ...ledgerEntry,
+                type: 'debit',
+                amount: cost,
+                txid: settlement.txid ?? null,
+                vout: settlement.vout ?? null,
+                mode: 'check-my-tab',
+                result: 'settled'
+              })
+              callHook(bchServerConfig, 'onCheckMyTab', { success: true, settlement }, originalConfig)
+              callHook(bchServerConfig, 'onPaymentSettled', settlement, originalConfig)
+
+              // When the server names the tab it charged and its balance,
+              // track that tab so later requests can reuse it directly.
+              if (settlement.raw && settlement.txid && settlement.remainingBalanceSats !== null) {
+                await tabState.set(tabKey, {
+                  txid: settlement.txid,
+                  // Prepayments made by this client always pay output 0
+                  vout: settlement.vout ?? 0,
+                  satsLeft: settlement.remainingBalanceSats,
+                  payTo: paymentRequirements.payTo,
+                  network: paymentRequirements.network,
+                  asset: paymentRequirements.asset
+                })
+              }
+
+              return { response: checkMyTabResponse }
+            } catch (checkMyTabError) {
+              // "Check my tab" failed - check if it's a 402 error
+              if (checkMyTabError.response && checkMyTabError.response.status === 402) {
+                callHook(bchServerConfig, 'onCheckMyTab', { success: false, error: checkMyTabError }, originalConfig)
+
+                // 402 error from "check my tab" - fall back to UTXO generation
+                // Reset flags and continue with standard flow
+                originalConfig.__is402CheckMyTab = false
+                originalConfig.__is402Retry = false
+                // Continue to UTXO generation logic below
+              } else {
+                // Non-402 error (network error, etc.) - reject it
+                throw checkMyTabError
+              }
+            }
+          }
 
-        originalConfig.__is402Retry = true
-        originalConfig.headers['PAYMENT-SIGNATURE'] = paymentHeader
-        originalConfig.headers['Access-Control-Expose-Headers'] = 'PAYMENT-RESPONSE'
+          return debitTab()
+        })
+
+        if (tabResult.response) return tabResult.response
+
+        // A 402 after paying means the server rejected the tab, e.g. the UTXO
+        // is exhausted or unknown to it. A tab that was reused is replaced by
+        // a freshly funded one and the request is retried exactly once.
+        try {
+          return await payWithTab(tabResult)
+        } catch (retryError) {
+          const canRecover = isPaymentRejection(retryError) &&
+                             tabResult.mode === 'reuse' &&
+                             !originalConfig.__is402Recovery
+          if (!canRecover) throw toPaymentRejectedError(retryError, tabResult)
+        }
 
-        const secondResponse = await axiosInstance.request(originalConfig)
-        return secondResponse
+        originalConfig.__is402Recovery = true
+        const freshTab = await tabState.runExclusive(tabKey, debitTab)
+        try {
+          return await payWithTab(freshTab)
+        } catch (retryError) {
+          throw toPaymentRejectedError(retryError, freshTab)
+        }
       } catch (paymentError) {
+        withErrorContext(paymentError, error, paymentRequirements)
+        callHook(bchServerConfig, 'onPaymentError', paymentError, error.config)
         return Promise.reject(paymentError)
       }
     }
@@ -529,22 +1640,97 @@ export function withPaymentInterceptor (
   return axiosInstance
 }
 
-const internals = {
-  dependencies,
-  currentUtxo,
-  sendPayment
+// The fetch Response behind an adapter response, with the settlement of the
+// payment attached like on axios responses.
+function toFetchResponse (response, settlement) {
+  const { fetchResponse } = response
+  if (settlement) fetchResponse.x402Settlement = settlement
+  if (response.x402Quote) fetchResponse.x402Quote = response.x402Quote
+  return fetchResponse
 }
 
-export function __resetCurrentUtxo () {
-  currentUtxo.txid = null
-  currentUtxo.vout = null
-  currentUtxo.satsLeft = 0
+/**
+ * Wraps a fetch function so it pays for 402 responses.
+ *
+ * Payments run through the same handler as withPaymentInterceptor(), with the
+ * same selector and config options, and share its tab state when given the
+ * same signer. A paid response carries `x402Settlement`. A response that isn't
+ * a 402 is returned as is, even when it isn't ok. Payment failures reject
+ * with the same errors the axios interceptor rejects with.
+ *
+ * The tab state is exposed on `fetchWithPayment.x402`, as on an axios
+ * instance.
+ *
+ * @param {Function} fetchFn - Global fetch, or a compatible function such as undici's
+ * @param {ReturnType<typeof createSigner>} signer
+ * @param {Function|Object} paymentRequirementsSelectorOrConfig - Optional selector or BCH server config
+ * @param {Object} maybeConfig - Optional BCH server config when a selector is provided
+ * @returns {(input: string|URL|Request, init?: Object) => Promise<Response>}
+ */
+export function wrapFetchWithPayment (
+  fetchFn,
+  signer,
+  paymentRequirementsSelectorOrConfig,
+  maybeConfig
+) {
+  const adapter = createFetchAdapter(fetchFn)
+  withPaymentInterceptor(adapter, signer, paymentRequirementsSelectorOrConfig, maybeConfig)
+  const handle402 = adapter.getHandler()
+
+  async function fetchWithPayment (input, init) {
+    const config = toRequestConfig(input, init)
+    const response = await adapter.send(config)
+    if (response.status !== 402) return response.fetchResponse
+
+    try {
+      const paidResponse = await handle402(createHttpError(response, config))
+      return toFetchResponse(paidResponse, paidResponse.x402Settlement)
+    } catch (err) {
+      // A response the handler passed through, such as a 402 with autoPay
+      // off or a replayed request that failed, is returned as fetch would.
+      if (err && err.isFetchError) {
+        return toFetchResponse(err.response, err.x402Settlement)
+      }
+      throw err
+    }
+  }
+
+  fetchWithPayment.x402 = {
+    ...adapter.x402,
+    // Same as api.x402.quote(), with fetch arguments.
+    quote: async (input, init = {}) => {
+      const response = await fetchWithPayment(input, {
+        ...init,
+        x402: { ...init.x402, dryRun: true }
+      })
+      return response.x402Quote || null
+    }
+  }
+  return fetchWithPayment
+}
+
+const internals = {
+  dependencies,
+  sendPayment,
+  buildTokenTransaction
 }
 
 export function __resetInternals () {
   internals.sendPayment = sendPayment
+  internals.buildTokenTransaction = buildTokenTransaction
   __resetDependencies()
-  __resetCurrentUtxo()
+  __resetSignerTabStates()
+}
+
+/**
+ * Forgets every signer's tab. The client used to track a single UTXO for all
+ * payees, and this reset it. Tabs are now kept per signer and payee.
+ *
+ * @deprecated Use `api.x402.resetTab()` to forget the tabs of one instance,
+ *   or `__resetInternals()` in tests.
+ */
+export function __resetCurrentUtxo () {
+  __resetSignerTabStates()
 }
 
 export const __internals = internals
@@ -0,0 +1,262 @@
+/*
+  CashToken payments.
+
+  Some x402 servers price requests in a fungible CashToken instead of BCH. The
+  payment requirement then names the token category (its 32-byte ID, as 64
+  hex characters) in `asset`, and `amount` counts token units rather than
+  sats.
+
+  bch-js can't build CashToken transactions, so these are built and signed
+  with libauth. Token UTXOs are expected in the format Fulcrum reports them:
+  a `token_data` object with the `category` and `amount` of the tokens.
+*/
+
+// External dependencies
+import {
+  binToHex,
+  cashAddressToLockingBytecode,
+  decodePrivateKeyWif,
+  encodeTransaction,
+  generateTransaction,
+  hexToBin,
+  importWalletTemplate,
+  walletTemplateP2pkhNonHd,
+  walletTemplateToCompilerBCH
+} from '@bitauth/libauth'
+
+// Local libraries
+import { InsufficientFundsError } from './errors.js'
+import { DUST_LIMIT_SATS, selectCoins } from './coin-selection.js'
+import { toPrevout } from './signing.js'
+
+// Sats locked in each token output. Token outputs have a higher dust limit
+// than plain P2PKH outputs, and 1000 sats covers it with room to spare.
+export const TOKEN_OUTPUT_SATS = 1000
+
+// Estimated sizes in bytes, used to size the fee.
+const TX_OVERHEAD_BYTES = 10
+const P2PKH_INPUT_BYTES = 148
+const P2PKH_OUTPUT_BYTES = 34
+const TOKEN_OUTPUT_BYTES = P2PKH_OUTPUT_BYTES + 43 // token prefix with the largest amount
+
+// Asset that x402-bch servers use for native BCH.
+export const NATIVE_ASSET_PLACEHOLDER = '0x0000000000000000000000000000000000000001'
+
+/**
+ * Checks whether a requirement's asset is native BCH rather than a token.
+ *
+ * @param {string} [asset]
+ * @returns {boolean}
+ */
+export function isNativeAsset (asset) {
+  if (!asset) return true
+  const value = String(asset).toLowerCase()
+  return value === NATIVE_ASSET_PLACEHOLDER || value === 'bch'
+}
+
+/**
+ * Returns the token category named by a requirement's asset, or null if the
+ * asset isn't a CashToken.
+ *
+ * @param {string} [asset]
+ * @returns {string|null} Category as lowercase hex
+ */
+export function getTokenCategory (asset) {
+  if (typeof asset !== 'string') return null
+  return /^[0-9a-f]{64}$/i.test(asset) ? asset.toLowerCase() : null
+}
+
+// True for UTXOs that hold only fungible tokens of one category. UTXOs with an
+// NFT are never spent, so a payment can't burn or give away an NFT.
+function isFungibleUtxo (utxo, category) {
+  const token = utxo.token_data
+  return Boolean(token) &&
+    token.category === category &&
+    !token.nft &&
+    BigInt(token.amount || 0) > 0n
+}
+
+/**
+ * Selects token UTXOs of a category that hold at least `amount` tokens,
+ * largest first.
+ *
+ * @param {Array<Object>} utxos - Wallet UTXOs, with token_data on token UTXOs
+ * @param {string} category - Token category
+ * @param {bigint} amount - Token units to send
+ * @returns {{ inputs: Array<Object>, totalTokens: bigint }}
+ * @throws {InsufficientFundsError} With `shortfallTokens` set to the units missing
+ */
+export function selectTokenUtxos (utxos, category, amount) {
+  const candidates = utxos
+    .filter(utxo => isFungibleUtxo(utxo, category))
+    .sort((a, b) => {
+      const diff = BigInt(b.token_data.amount) - BigInt(a.token_data.amount)
+      return diff > 0n ? 1 : diff < 0n ? -1 : 0
+    })
+
+  const inputs = []
+  let totalTokens = 0n
+  for (const utxo of candidates) {
+    if (totalTokens >= amount) break
+    inputs.push(utxo)
+    totalTokens += BigInt(utxo.token_data.amount)
+  }
+
+  if (totalTokens < amount) {
+    const shortfallTokens = amount - totalTokens
+    const err = new InsufficientFundsError(
+      `Not enough tokens of category ${category}. Short by ${shortfallTokens} tokens.`
+    )
+    err.shortfallTokens = shortfallTokens
+    throw err
+  }
+
+  return { inputs, totalTokens }
+}
+
+function toLockingBytecode (address) {
+  const result = cashAddressToLockingBytecode(address)
+  if (typeof result === 'string') {
+    throw new Error(`Invalid cash address ${address}: ${result}`)
+  }
+  return result.bytecode
+}
+
+/**
+ * Builds and signs a transaction that sends fungible CashTokens.
+ *
+ * Token UTXOs of the category pay the tokens. Plain BCH UTXOs are added to
+ * pay for the fee and the sats locked in the token outputs. Leftover tokens
+ * go back to `changeAddress`, and so does leftover BCH unless it is dust.
+ *
+ * Without a `wif` the transaction is left unsigned, for an external signer
+ * to sign with the returned `prevouts`.
+ *
+ * @param {Object} options
+ * @param {string} [options.wif] - Private key that controls the UTXOs
+ * @param {Array<Object>} options.utxos - Wallet UTXOs, with token_data on token UTXOs
+ * @param {string} options.payTo - Address to send the tokens to
+ * @param {string} options.changeAddress - Address for token and BCH change
+ * @param {string} options.category - Token category
+ * @param {number|string|bigint} options.amount - Token units to send
+ * @param {number} options.feeRate - Sats per byte
+ * @returns {{ hex: string, prevouts: Array<Object>, fee: number, tokensSent: bigint }}
+ * @throws {InsufficientFundsError} If the wallet lacks tokens or BCH
+ */
+export function buildTokenTransaction (options) {
+  const { wif, utxos, payTo, changeAddress, category, feeRate } = options
+  const amount = BigInt(options.amount)
+
+  let decoded = null
+  if (wif) {
+    decoded = decodePrivateKeyWif(wif)
+    if (typeof decoded === 'string') throw new Error(`Invalid WIF: ${decoded}`)
+  }
+
+  // Tokens first, then enough BCH to cover the token outputs and the fee.
+  const tokens = selectTokenUtxos(utxos, category, amount)
+  const tokenChange = tokens.totalTokens - amount
+  const tokenOutputCount = tokenChange > 0n ? 2 : 1
+  const tokenInputSats = tokens.inputs.reduce((total, utxo) => total + utxo.value, 0)
+  const tokenOutputSats = TOKEN_OUTPUT_SATS * tokenOutputCount
+
+  const feeFor = (bchInputCount, bchOutputCount) => Math.ceil(feeRate * (
+    TX_OVERHEAD_BYTES +
+    P2PKH_INPUT_BYTES * (bchInputCount + tokens.inputs.length) +
+    P2PKH_OUTPUT_BYTES * bchOutputCount +
+    TOKEN_OUTPUT_BYTES * tokenOutputCount
+  ))
+
+  let bchInputs = []
+  let fee
+  let bchChange
+
+  const surplus = tokenInputSats - tokenOutputSats - feeFor(0, 0)
+  if (surplus >= 0) {
+    // The sats on the token UTXOs already pay for everything.
+    bchChange = tokenInputSats - tokenOutputSats - feeFor(0, 1)
+    if (bchChange >= DUST_LIMIT_SATS) {
+      fee = feeFor(0, 1)
+    } else {
+      bchChange = 0
+      fee = surplus + feeFor(0, 0)
+    }
+  } else {
+    // selectCoins counts the payment output in outputCount. Here the payment
+    // is a token output, which feeFor already includes.
+    const selection = selectCoins(
+      utxos,
+      tokenOutputSats - tokenInputSats,
+      (inputCount, outputCount) => feeFor(inputCount, outputCount - 1)
+    )
+    bchInputs = selection.inputs
+    fee = selection.fee
+    bchChange = selection.change
+  }
+
+  const template = importWalletTemplate(walletTemplateP2pkhNonHd)
+  if (typeof template === 'string') throw new Error(template)
+  const compiler = walletTemplateToCompilerBCH(template)
+
+  // Unsigned inputs get an empty unlocking script.
+  const unlockingBytecodeFor = utxo => {
+    if (!decoded) return Uint8Array.of()
+    return {
+      compiler,
+      data: { keys: { privateKeys: { key: decoded.privateKey } } },
+      script: 'unlock',
+      valueSatoshis: BigInt(utxo.value),
+      ...(utxo.token_data && {
+        token: {
+          amount: BigInt(utxo.token_data.amount),
+          category: hexToBin(utxo.token_data.category)
+        }
+      })
+    }
+  }
+
+  const toInput = utxo => ({
+    outpointIndex: utxo.tx_pos,
+    outpointTransactionHash: hexToBin(utxo.tx_hash),
+    sequenceNumber: 0,
+    unlockingBytecode: unlockingBytecodeFor(utxo)
+  })
+  const spent = [...tokens.inputs, ...bchInputs]
+
+  const outputs = [{
+    lockingBytecode: toLockingBytecode(payTo),
+    valueSatoshis: BigInt(TOKEN_OUTPUT_SATS),
+    token: { amount, category: hexToBin(category) }
+  }]
+  if (tokenChange > 0n) {
+    outputs.push({
+      lockingBytecode: toLockingBytecode(changeAddress),
+      valueSatoshis: BigInt(TOKEN_OUTPUT_SATS),
+      token: { amount: tokenChange, category: hexToBin(category) }
+    })
+  }
+  if (bchChange > 0) {
+    outputs.push({
+      lockingBytecode: toLockingBytecode(changeAddress),
+      valueSatoshis: BigInt(bchChange)
+    })
+  }
+
+  const result = generateTransaction({
+    version: 2,
+    locktime: 0,
+    inputs: spent.map(toInput),
+    outputs
+  })
+  if (!result.success) {
+    const reasons = result.errors.flatMap(error => error.errors.map(err => err.error))
+    throw new Error(`Could not build CashToken transaction: ${reasons.join(', ')}`)
+  }
+
+  return {
+    hex: binToHex(encodeTransaction(result.transaction)),
+    prevouts: spent.map(toPrevout),
+    fee,
+    tokensSent: amount
+  }
+}
@@ -0,0 +1,332 @@
+/*
+  Command-line client for paid x402 requests. bin/x402-bch.js runs it.
+
+  The key comes from the X402_BCH_WIF environment variable, or from a
+  keystore (see lib/keystore.js) unlocked with X402_BCH_PASSPHRASE. Tabs are
+  kept in a state file, so one command can reuse the tab another one funded.
+  The payment ledger only grows, so it is appended to a JSON Lines file next
+  to it instead of being rewritten with the tabs.
+*/
+
+// Public npm libraries
+import { promises as fs } from 'fs'
+import os from 'os'
+import path from 'path'
+import { format, parseArgs } from 'util'
+
+// Local libraries
+import {
+  BCH_NETWORKS,
+  createSigner,
+  createSignerFromKeystore,
+  createFileStorage,
+  createJsonlStorage,
+  createTabState,
+  createLedger,
+  decryptKeystore,
+  parsePaymentRequired,
+  selectPaymentRequirements,
+  wrapFetchWithPayment
+} from '../index.js'
+import { toHeaderObject } from './fetch-adapter.js'
+import { getWifAddress } from './signing.js'
+
+export const DEFAULT_SERVER_URL = 'https://free-bch.fullstack.cash'
+export const DEFAULT_MAX_SATS = 10000
+export const DEFAULT_STATE_PATH = path.join(os.homedir(), '.x402-bch', 'state.json')
+
+export const USAGE = `Usage: x402-bch <command> [options]
+
+Commands:
+  get <url>          Pay for a GET request and print the response body
+  post <url>         Pay for a POST request and print the response body
+  quote <url>        Show the payment requirements of a URL without paying
+  tab                Show the tracked tabs
+  history            List past payments
+
+Options:
+  -H, --header <h>       Request header, as "Name: value". Repeatable
+  -d, --data <body>      POST body. @file reads it from a file
+      --max-sats <n>     Refuse to pay more than n sats for a request or a
+                         prepayment (default ${DEFAULT_MAX_SATS})
+      --amount <n>       Sats to prepay when funding a tab (default: the price)
+      --keystore <path>  Keystore holding the key. The passphrase is read from
+                         X402_BCH_PASSPHRASE
+      --network <name>   mainnet, testnet3, testnet4, chipnet or regtest
+                         (default mainnet)
+      --server-url <url> BCH server URL (default ${DEFAULT_SERVER_URL})
+      --api-type <type>  consumer-api or rest-api (default consumer-api)
+      --bearer-token <t> BCH server token. Defaults to X402_BCH_BEARER_TOKEN
+      --state <path>     Tab file (default ${DEFAULT_STATE_PATH}). The ledger
+                         is kept next to it, in <name>.ledger.jsonl
+      --format <f>       history output: json or csv (default json)
+      --host <host>      history: only payments to this host
+      --since <date>     history: only payments from this date
+      --until <date>     history: only payments before this date
+  -h, --help             Show this help
+
+The key is read from X402_BCH_WIF unless --keystore is given.
+`
+
+const OPTIONS = {
+  header: { type: 'string', short: 'H', multiple: true },
+  data: { type: 'string', short: 'd' },
+  'max-sats': { type: 'string' },
+  amount: { type: 'string' },
+  keystore: { type: 'string' },
+  network: { type: 'string' },
+  'server-url': { type: 'string' },
+  'api-type': { type: 'string' },
+  'bearer-token': { type: 'string' },
+  state: { type: 'string' },
+  format: { type: 'string' },
+  host: { type: 'string' },
+  since: { type: 'string' },
+  until: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+}
+
+// Errors in how the command was called. They exit with code 2.
+class UsageError extends Error {}
+
+// The ledger file that goes with a state file: state.json -> state.ledger.jsonl
+export function getLedgerPath (statePath) {
+  return `${statePath.replace(/\.json$/, '')}.ledger.jsonl`
+}
+
+function toSats (value, name) {
+  if (value === undefined) return undefined
+  const sats = Number(value)
+  if (!Number.isInteger(sats) || sats < 0) {
+    throw new UsageError(`--${name} must be a whole number of sats, got ${value}`)
+  }
+  return sats
+}
+
+function checkNetwork (network) {
+  if (network !== undefined && !BCH_NETWORKS[network]) {
+    throw new UsageError(
+      `Unknown network "${network}". Use one of: ${Object.keys(BCH_NETWORKS).join(', ')}`
+    )
+  }
+}
+
+function parseHeaders (headers = []) {
+  const result = {}
+  for (const header of headers) {
+    const separator = header.indexOf(':')
+    if (separator < 1) throw new UsageError(`Invalid header "${header}". Expected "Name: value"`)
+    result[header.slice(0, separator).trim()] = header.slice(separator + 1).trim()
+  }
+  return result
+}
+
+async function readBody (data) {
+  if (data === undefined) return undefined
+  return data.startsWith('@') ? fs.readFile(data.slice(1), 'utf-8') : data
+}
+
+function requireUrl (url, command) {
+  if (!url) throw new UsageError(`${command} needs a URL`)
+  return url
+}
+
+function requireKey (values, env) {
+  if (values.keystore && !env.X402_BCH_PASSPHRASE) {
+    throw new UsageError('Set X402_BCH_PASSPHRASE to unlock the keystore')
+  }
+  if (!values.keystore && !env.X402_BCH_WIF) {
+    throw new UsageError('Set X402_BCH_WIF or pass --keystore to pay for requests')
+  }
+}
+
+async function loadSigner (values, env) {
+  const paymentAmountSats = toSats(values.amount, 'amount')
+  const options = { network: values.network || 'mainnet' }
+  requireKey(values, env)
+
+  if (values.keystore) {
+    return createSignerFromKeystore(values.keystore, env.X402_BCH_PASSPHRASE, paymentAmountSats, options)
+  }
+  return createSigner(env.X402_BCH_WIF, paymentAmountSats, options)
+}
+
+// tab and history only need the address, so they don't load a wallet.
+async function loadAddress (values, env) {
+  const network = values.network || 'mainnet'
+  requireKey(values, env)
+
+  if (values.keystore) {
+    const keystore = JSON.parse(await fs.readFile(values.keystore, 'utf-8'))
+    return getWifAddress(await decryptKeystore(keystore, env.X402_BCH_PASSPHRASE), network)
+  }
+  return getWifAddress(env.X402_BCH_WIF, network)
+}
+
+function toJson (value) {
+  return JSON.stringify(value, (key, item) => typeof item === 'bigint' ? item.toString() : item, 2)
+}
+
+async function pay (method, url, values, context) {
+  const { env, stdout, stderr, fetch, storage, ledgerStorage } = context
+  const signer = await loadSigner(values, env)
+  const maxSats = toSats(values['max-sats'], 'max-sats') ?? DEFAULT_MAX_SATS
+
+  try {
+    const fetchWithPayment = wrapFetchWithPayment(fetch, signer, {
+      apiType: values['api-type'] || 'consumer-api',
+      bchServerURL: values['server-url'] || DEFAULT_SERVER_URL,
+      bearerToken: values['bearer-token'] || env.X402_BCH_BEARER_TOKEN || '',
+      network: values.network || 'mainnet',
+      storage,
+      ledger: { storage: ledgerStorage },
+      // The budget covers what this one command may broadcast, so it isn't
+      // saved with the tabs.
+      policy: { maxSatsPerRequest: maxSats, dailyBudgetSats: maxSats, storage: null }
+    })
+
+    const headers = parseHeaders(values.header)
+    const body = await readBody(values.data)
+    if (body !== undefined && !Object.keys(headers).some(name => name.toLowerCase() === 'content-type')) {
+      headers['Content-Type'] = 'application/json'
+    }
+
+    const response = await fetchWithPayment(url, { method, headers, body })
+    stdout.write(`${await response.text()}\n`)
+    if (response.x402Settlement) {
+      stderr.write(`Settlement: ${toJson(response.x402Settlement)}\n`)
+    }
+    return response.ok ? 0 : 1
+  } finally {
+    signer.dispose()
+  }
+}
+
+async function quote (url, values, context) {
+  const { stdout, fetch } = context
+  const response = await fetch(url, { headers: parseHeaders(values.header) })
+
+  if (response.status !== 402) {
+    stdout.write(`No payment required. ${url} answered with status ${response.status}\n`)
+    return 0
+  }
+
+  const text = await response.text()
+  let data = text
+  try {
+    data = JSON.parse(text)
+  } catch (err) {}
+
+  const paymentRequired = parsePaymentRequired({ headers: toHeaderObject(response.headers), data })
+  let selected = null
+  try {
+    selected = selectPaymentRequirements(paymentRequired.accepts, { networks: [values.network || 'mainnet'] })
+  } catch (err) {
+    // Nothing this client can pay. The offers are still shown.
+  }
+
+  stdout.write(`${toJson({ ...paymentRequired, selected })}\n`)
+  return 0
+}
+
+async function showTabs (values, context) {
+  const { env, stdout, storage } = context
+  const address = await loadAddress(values, env)
+
+  const tabState = createTabState({ storage, namespace: address })
+  await tabState.load()
+  stdout.write(`${toJson({ address, tabs: tabState.list() })}\n`)
+  return 0
+}
+
+async function showHistory (values, context) {
+  const { env, stdout, ledgerStorage } = context
+  const filter = {}
+  for (const field of ['host', 'since', 'until']) {
+    if (values[field] !== undefined) filter[field] = values[field]
+  }
+
+  const exportFormat = values.format || 'json'
+  if (exportFormat !== 'json' && exportFormat !== 'csv') {
+    throw new UsageError(`--format must be json or csv, got ${exportFormat}`)
+  }
+
+  const ledger = createLedger({ storage: ledgerStorage, namespace: await loadAddress(values, env) })
+  const output = await ledger.export(exportFormat, filter)
+  stdout.write(output.endsWith('\n') ? output : `${output}\n`)
+  return 0
+}
+
+/**
+ * Runs the x402-bch command line client.
+ *
+ * @param {Array<string>} argv - Arguments after the program name
+ * @param {Object} [io]
+ * @param {Object} [io.env] - Environment variables. Defaults to process.env
+ * @param {Object} [io.stdout] - Stream for results. Defaults to process.stdout
+ * @param {Object} [io.stderr] - Stream for errors and settlements. Defaults to process.stderr
+ * @param {Function} [io.fetch] - fetch function. Defaults to the global fetch
+ * @returns {Promise<number>} Exit code: 0 on success, 1 when the request or
+ *   payment failed, 2 on a usage error
+ */
+export async function runCli (argv, io = {}) {
+  const {
+    env = process.env,
+    stdout = process.stdout,
+    stderr = process.stderr,
+    fetch = globalThis.fetch
+  } = io
+
+  // Libraries log progress with console.log. Send it to stderr, so stdout
+  // only carries the output of the command and can be redirected to a file.
+  const consoleLog = console.log
+  console.log = (...args) => stderr.write(`${format(...args)}\n`)
+
+  try {
+    const { values, positionals } = parseArgs({
+      args: argv,
+      options: OPTIONS,
+      allowPositionals: true
+    })
+    const [command, url] = positionals
+
+    if (values.help || !command) {
+      stdout.write(USAGE)
+      return values.help ? 0 : 2
+    }
+    checkNetwork(values.network)
+
+    const statePath = values.state || DEFAULT_STATE_PATH
+    const context = {
+      env,
+      stdout,
+      stderr,
+      fetch,
+      storage: createFileStorage(statePath),
+      ledgerStorage: createJsonlStorage(getLedgerPath(statePath))
+    }
+
+    switch (command) {
+      case 'get':
+        return await pay('GET', requireUrl(url, command), values, context)
+      case 'post':
+        return await pay('POST', requireUrl(url, command), values, context)
+      case 'quote':
+        return await quote(requireUrl(url, command), values, context)
+      case 'tab':
+        return await showTabs(values, context)
+      case 'history':
+        return await showHistory(values, context)
+      default:
+        throw new UsageError(`Unknown command "${command}"`)
+    }
+  } catch (err) {
+    stderr.write(`Error: ${err.message}\n`)
+    // parseArgs throws TypeErrors with an ERR_PARSE_ARGS code
+    const usage = err instanceof UsageError || String(err.code).startsWith('ERR_PARSE_ARGS')
+    if (usage) stderr.write('Run x402-bch --help for usage.\n')
+    return usage ? 2 : 1
+  } finally {
+    console.log = consoleLog
+  }
+}
@@ -0,0 +1,93 @@
+/*
+  Coin selection for BCH prepayments.
+
+  Picks the P2PKH UTXOs that fund a payment. The fewest inputs are preferred,
+  since every input makes the transaction bigger and the fee higher. The fee
+  is sized from the actual number of inputs and outputs, and change that
+  would be dust is left to the miners instead of creating an output nodes
+  reject.
+*/
+
+// Local libraries
+import { InsufficientFundsError } from './errors.js'
+
+// Smallest output nodes relay. UTXOs at or below this value are also assumed
+// to carry SLP tokens and are never spent as plain BCH.
+export const DUST_LIMIT_SATS = 546
+
+// True for UTXOs that hold plain BCH and are safe to spend for a payment.
+function isSpendable (utxo) {
+  if (utxo.token_data || utxo.tokenData) return false
+  return utxo.value > DUST_LIMIT_SATS
+}
+
+// Work out the change for the selected inputs. Change below the dust limit is
+// dropped and added to the fee.
+function withChange (inputs, totalSats, targetSats, feeFor, dustLimit) {
+  const feeWithChange = feeFor(inputs.length, 2)
+  const change = totalSats - targetSats - feeWithChange
+
+  if (change >= dustLimit) {
+    return { inputs, totalSats, fee: feeWithChange, change }
+  }
+
+  return { inputs, totalSats, fee: totalSats - targetSats, change: 0 }
+}
+
+/**
+ * Selects UTXOs that cover a payment plus the fee for spending them.
+ *
+ * If a single UTXO can pay, the smallest one that does is used, so large
+ * coins aren't broken up needlessly. Otherwise the largest UTXOs are combined
+ * until they cover the payment, which gives the fewest inputs.
+ *
+ * @param {Array<{ tx_hash: string, tx_pos: number, value: number }>} utxos - Wallet UTXOs
+ * @param {number} targetSats - Sats to send
+ * @param {(inputCount: number, outputCount: number) => number} feeFor - Fee in
+ *   sats for a transaction with this many inputs and outputs
+ * @param {Object} [options]
+ * @param {number} [options.dustLimit] - Smallest change output worth creating
+ * @returns {{ inputs: Array<Object>, totalSats: number, fee: number, change: number }}
+ *   `change` is 0 when the leftover was too small and went to the fee
+ * @throws {InsufficientFundsError} With `shortfallSats` set to the sats missing
+ */
+export function selectCoins (utxos, targetSats, feeFor, options = {}) {
+  const { dustLimit = DUST_LIMIT_SATS } = options
+
+  const candidates = utxos
+    .filter(isSpendable)
+    .sort((a, b) => b.value - a.value)
+
+  // Inputs are enough once they pay for the payment without a change output.
+  const covers = (inputCount, totalSats) =>
+    totalSats >= targetSats + feeFor(inputCount, 1)
+
+  // Smallest single UTXO that covers the payment on its own
+  const single = candidates
+    .filter(utxo => covers(1, utxo.value))
+    .pop()
+  if (single) {
+    return withChange([single], single.value, targetSats, feeFor, dustLimit)
+  }
+
+  // Otherwise combine the largest UTXOs
+  const inputs = []
+  let totalSats = 0
+  for (const utxo of candidates) {
+    inputs.push(utxo)
+    totalSats += utxo.value
+
+    if (covers(inputs.length, totalSats)) {
+      return withChange(inputs, totalSats, targetSats, feeFor, dustLimit)
+    }
+  }
+
+  const fee = feeFor(Math.max(inputs.length, 1), 1)
+  const shortfallSats = targetSats + fee - totalSats
+  const err = new InsufficientFundsError(
+    `Not enough BCH to complete transaction! Short by ${shortfallSats} sats. ` +
+    'Send more BCH to your wallet address.'
+  )
+  err.shortfallSats = shortfallSats
+  throw err
+}
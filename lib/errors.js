@@ -0,0 +1,127 @@
+/*
+  Error classes for x402 payment failures.
+
+  Every error thrown by the payment flow carries a stable, machine-readable
+  `code`, so callers can branch on the kind of failure instead of matching
+  message strings. The interceptor also attaches the axios error that
+  triggered the payment and the payment requirements it chose.
+*/
+
+export const ERROR_CODES = {
+  MISSING_REQUEST_CONFIG: 'ERR_X402_MISSING_REQUEST_CONFIG',
+  MISSING_REQUIREMENTS: 'ERR_X402_MISSING_REQUIREMENTS',
+  NO_BCH_REQUIREMENT: 'ERR_X402_NO_BCH_REQUIREMENT',
+  INVALID_PAYMENT_REQUIRED: 'ERR_X402_INVALID_PAYMENT_REQUIRED',
+  INSUFFICIENT_FUNDS: 'ERR_X402_INSUFFICIENT_FUNDS',
+  UTXO_LOOKUP_FAILED: 'ERR_X402_UTXO_LOOKUP_FAILED',
+  BROADCAST_FAILED: 'ERR_X402_BROADCAST_FAILED',
+  PAYMENT_REJECTED: 'ERR_X402_PAYMENT_REJECTED',
+  POLICY_VIOLATION: 'ERR_X402_POLICY_VIOLATION',
+  UNSUPPORTED_NETWORK: 'ERR_X402_UNSUPPORTED_NETWORK',
+  UNSUPPORTED_ASSET: 'ERR_X402_UNSUPPORTED_ASSET',
+  UNSUPPORTED_SIGNER: 'ERR_X402_UNSUPPORTED_SIGNER',
+  PAYMENT_DECLINED: 'ERR_X402_PAYMENT_DECLINED',
+  INVALID_REQUEST_OPTIONS: 'ERR_X402_INVALID_REQUEST_OPTIONS'
+}
+
+/**
+ * Base class for every x402 payment error.
+ *
+ * @property {string} code - One of ERROR_CODES
+ * @property {Object|null} axiosError - The error whose 402 started the payment
+ * @property {Object|null} paymentRequirements - The requirements that were chosen
+ * @property {Object|undefined} response - The axios response of axiosError, if any
+ */
+export class X402PaymentError extends Error {
+  constructor (message, code, options = {}) {
+    super(message)
+    this.name = this.constructor.name
+    this.code = code
+    this.axiosError = options.axiosError || null
+    this.paymentRequirements = options.paymentRequirements || null
+    if (options.cause) this.cause = options.cause
+  }
+
+  // Keep err.response working for callers that inspect axios errors.
+  get response () {
+    return this.axiosError ? this.axiosError.response : undefined
+  }
+}
+
+export class MissingRequestConfigError extends X402PaymentError {
+  constructor (message = 'Missing axios request configuration', options) {
+    super(message, ERROR_CODES.MISSING_REQUEST_CONFIG, options)
+  }
+}
+
+export class MissingPaymentRequirementsError extends X402PaymentError {
+  constructor (message = 'No payment requirements found in 402 response', options) {
+    super(message, ERROR_CODES.MISSING_REQUIREMENTS, options)
+  }
+}
+
+export class NoBCHRequirementsError extends X402PaymentError {
+  constructor (message = 'No BCH payment requirements found in 402 response', options) {
+    super(message, ERROR_CODES.NO_BCH_REQUIREMENT, options)
+  }
+}
+
+export class InvalidPaymentRequiredError extends X402PaymentError {
+  constructor (message, options) {
+    super(message, ERROR_CODES.INVALID_PAYMENT_REQUIRED, options)
+  }
+}
+
+export class InsufficientFundsError extends X402PaymentError {
+  constructor (message = 'Insufficient balance', options) {
+    super(message, ERROR_CODES.INSUFFICIENT_FUNDS, options)
+  }
+}
+
+export class UtxoLookupError extends X402PaymentError {
+  constructor (message, options) {
+    super(message, ERROR_CODES.UTXO_LOOKUP_FAILED, options)
+  }
+}
+
+export class BroadcastError extends X402PaymentError {
+  constructor (message, options) {
+    super(message, ERROR_CODES.BROADCAST_FAILED, options)
+  }
+}
+
+export class PaymentRejectedError extends X402PaymentError {
+  constructor (message = 'The server rejected the payment', options) {
+    super(message, ERROR_CODES.PAYMENT_REJECTED, options)
+  }
+}
+
+export class UnsupportedNetworkError extends X402PaymentError {
+  constructor (message, options) {
+    super(message, ERROR_CODES.UNSUPPORTED_NETWORK, options)
+  }
+}
+
+export class UnsupportedAssetError extends X402PaymentError {
+  constructor (message, options) {
+    super(message, ERROR_CODES.UNSUPPORTED_ASSET, options)
+  }
+}
+
+export class UnsupportedSignerError extends X402PaymentError {
+  constructor (message, options) {
+    super(message, ERROR_CODES.UNSUPPORTED_SIGNER, options)
+  }
+}
+
+export class PaymentDeclinedError extends X402PaymentError {
+  constructor (message = 'The payment was not approved', options) {
+    super(message, ERROR_CODES.PAYMENT_DECLINED, options)
+  }
+}
+
+export class InvalidRequestOptionsError extends X402PaymentError {
+  constructor (message = 'Invalid x402 request options', options) {
+    super(message, ERROR_CODES.INVALID_REQUEST_OPTIONS, options)
+  }
+}
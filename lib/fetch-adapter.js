@@ -0,0 +1,145 @@
+/*
+  Adapter that runs the payment interceptor over the fetch API.
+
+  The 402 handler in withPaymentInterceptor() talks to axios: it reads a
+  rejected request's `error.response` and `error.config`, and replays requests
+  with `axiosInstance.request(config)`. This adapter gives a fetch function
+  that shape, so wrapFetchWithPayment() runs the very same handler and the two
+  transports behave alike and share tab state.
+
+  Request configs carry the original fetch input and init. Each attempt sends
+  a clone of a Request input, so the body must be something fetch can send
+  more than once (not a one-shot stream).
+*/
+
+// Fetch Request objects, from Node or from undici. URLs and strings are not.
+function isRequest (input) {
+  return Boolean(input) &&
+    typeof input === 'object' &&
+    typeof input.url === 'string' &&
+    typeof input.clone === 'function'
+}
+
+/**
+ * Copies fetch headers, or any HeadersInit, into a plain object with
+ * lowercase names.
+ *
+ * @param {Headers|Object|Array} [headers]
+ * @returns {Object}
+ */
+export function toHeaderObject (headers) {
+  const result = {}
+  new Headers(headers || {}).forEach((value, name) => {
+    result[name] = value
+  })
+  return result
+}
+
+/**
+ * Builds the axios-style request config for a fetch call.
+ *
+ * @param {string|URL|Request} input
+ * @param {Object} [init]
+ * @returns {{ url: string, method: string, headers: Object, x402: Object, fetchInput: any, fetchInit: Object }}
+ */
+export function toRequestConfig (input, init = {}) {
+  const request = isRequest(input) ? input : null
+
+  return {
+    url: request ? request.url : String(input),
+    method: (init.method || request?.method || 'GET').toUpperCase(),
+    headers: toHeaderObject(init.headers || request?.headers),
+    // Per-request x402 options, as on an axios request config
+    x402: init.x402,
+    fetchInput: input,
+    fetchInit: init
+  }
+}
+
+// A response in the shape of an axios response. `fetchResponse` is the
+// untouched fetch Response that is handed back to the caller.
+async function toAdapterResponse (fetchResponse, config) {
+  const response = {
+    status: fetchResponse.status,
+    statusText: fetchResponse.statusText,
+    headers: toHeaderObject(fetchResponse.headers),
+    data: null,
+    config,
+    fetchResponse
+  }
+
+  // Only a 402 body is read, for its payment requirements. It is read from a
+  // clone so the caller can still consume the original.
+  if (fetchResponse.status === 402) {
+    const text = await fetchResponse.clone().text()
+    try {
+      response.data = JSON.parse(text)
+    } catch (err) {
+      response.data = text
+    }
+  }
+
+  return response
+}
+
+/**
+ * An error for a response that isn't ok, shaped like an axios error.
+ *
+ * @param {Object} response - Adapter response
+ * @param {Object} config - Request config
+ * @returns {Error}
+ */
+export function createHttpError (response, config) {
+  const err = new Error(`Request failed with status code ${response.status}`)
+  err.response = response
+  err.config = config
+  err.isFetchError = true
+  return err
+}
+
+/**
+ * Creates an object with the parts of an axios instance the payment
+ * interceptor uses, backed by a fetch function.
+ *
+ * @param {Function} fetchFn - fetch, or a compatible function such as undici's
+ * @returns {{ interceptors: Object, request: Function, send: Function, getHandler: Function }}
+ */
+export function createFetchAdapter (fetchFn) {
+  if (typeof fetchFn !== 'function') {
+    throw new Error('wrapFetchWithPayment() requires a fetch function')
+  }
+
+  let handler = null
+
+  const adapter = {
+    interceptors: {
+      response: {
+        use (onFulfilled, onRejected) {
+          handler = onRejected
+        }
+      }
+    },
+
+    // Send a request with the headers in its config and resolve to an
+    // adapter response, whatever the status.
+    async send (config) {
+      const { fetchInput, fetchInit } = config
+      const input = isRequest(fetchInput) ? fetchInput.clone() : fetchInput
+      const fetchResponse = await fetchFn(input, { ...fetchInit, headers: { ...config.headers } })
+      return toAdapterResponse(fetchResponse, config)
+    },
+
+    // Like axios, reject responses that aren't ok.
+    async request (config) {
+      const response = await adapter.send(config)
+      if (!response.fetchResponse.ok) throw createHttpError(response, config)
+      return response
+    },
+
+    getHandler () {
+      return handler
+    }
+  }
+
+  return adapter
+}
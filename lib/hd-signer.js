@@ -0,0 +1,256 @@
+/*
+  HD wallet signer.
+
+  A signer from createSigner() holds a single key, so every prepayment and its
+  change reuse one address. The HD signer derives its keys from a BIP39
+  mnemonic instead. Following BIP44, receive addresses are on chain 0 and
+  change addresses on chain 1 of the account at `derivationPath`.
+
+  Prepayments spend UTXOs from any derived address and send their change to a
+  fresh change address. Before a prepayment, addresses with any transaction
+  history are marked used (see `discoverUsedAddresses()`), so addresses used
+  in an earlier session are not handed out again. The payment authorization
+  is signed by the key that owned the UTXOs the prepayment spent (see
+  `forAddress()`).
+
+  `address` is always the first receive address, so tab state stored under it
+  survives a restart. Tabs also keep the derivation path of the key that
+  funded them, which a new signer from the same mnemonic derives again. Fund
+  the wallet at `getReceiveAddress()`, which moves on once an address has
+  been used.
+*/
+
+// Local libraries
+import {
+  attachPrivateKey,
+  detachPrivateKey,
+  signP2pkhTransaction
+} from './signing.js'
+
+// BIP44 account for BCH (coin type 145).
+export const DEFAULT_DERIVATION_PATH = "m/44'/145'/0'"
+
+// Unused addresses scanned past the last used one on each chain.
+export const DEFAULT_GAP_LIMIT = 20
+
+const RECEIVE_CHAIN = 0
+const CHANGE_CHAIN = 1
+
+/**
+ * Checks whether a signer derives several addresses from one mnemonic.
+ *
+ * @param {Object} signer
+ * @returns {boolean}
+ */
+export function isHDSigner (signer) {
+  return Boolean(signer) && typeof signer.getAddresses === 'function'
+}
+
+/**
+ * Creates a signer whose keys are derived from a BIP39 mnemonic.
+ *
+ * @param {Object} bchjs - bch-js instance used to derive and sign
+ * @param {string} mnemonic - BIP39 mnemonic
+ * @param {Object} [options]
+ * @param {string} [options.derivationPath] - BIP44 account path. Defaults to
+ *   m/44'/145'/0'.
+ * @param {number} [options.gapLimit] - Unused addresses to scan past the last
+ *   used one. Defaults to 20.
+ * @param {string} [options.network] - Network name from BCH_NETWORKS. Defaults
+ *   to mainnet.
+ * @param {number} [options.paymentAmountSats] - Default spend amount for prepayments
+ * @returns {Promise<Object>} Signer with the createSigner() interface, plus
+ *   address rotation helpers
+ */
+export async function createHDSigner (bchjs, mnemonic, options = {}) {
+  const {
+    derivationPath = DEFAULT_DERIVATION_PATH,
+    gapLimit = DEFAULT_GAP_LIMIT,
+    network = 'mainnet',
+    paymentAmountSats
+  } = options
+
+  if (typeof mnemonic !== 'string') {
+    throw new Error('A BIP39 mnemonic is required to create an HD signer')
+  }
+  const validation = bchjs.Mnemonic.validate(mnemonic, bchjs.Mnemonic.wordLists().english)
+  if (validation !== 'Valid mnemonic') {
+    throw new Error(`Invalid mnemonic: ${validation}`)
+  }
+  if (!/^m(\/\d+'?)*$/.test(derivationPath)) {
+    throw new Error(`Invalid derivationPath "${derivationPath}". Expected a path like m/44'/145'/0'`)
+  }
+  if (!Number.isInteger(gapLimit) || gapLimit < 1) {
+    throw new Error(`gapLimit must be a positive integer, got ${gapLimit}`)
+  }
+
+  const seed = await bchjs.Mnemonic.toSeed(mnemonic)
+  const root = bchjs.HDNode.fromSeed(seed, network === 'mainnet' ? 'mainnet' : 'testnet')
+  let account = bchjs.HDNode.derivePath(root, derivationPath)
+  seed.fill(0)
+
+  // Derived keys, by chain and index and by address
+  const keysByPath = new Map()
+  const keysByAddress = new Map()
+  // First index on each chain that hasn't been used yet
+  const nextIndex = { [RECEIVE_CHAIN]: 0, [CHANGE_CHAIN]: 0 }
+
+  function derive (chain, index) {
+    if (!account) throw new Error('This signer has been disposed')
+
+    const path = `${chain}/${index}`
+    let key = keysByPath.get(path)
+    if (!key) {
+      const node = bchjs.HDNode.derivePath(account, path)
+      key = {
+        chain,
+        index,
+        path: `${derivationPath}/${path}`,
+        address: bchjs.HDNode.toCashAddress(node, network === 'regtest'),
+        wif: bchjs.HDNode.toWIF(node),
+        ecpair: bchjs.HDNode.toKeyPair(node)
+      }
+      keysByPath.set(path, key)
+      keysByAddress.set(key.address, key)
+    }
+    return key
+  }
+
+  // Derive every address that may hold funds, on both chains.
+  function deriveAll () {
+    const keys = []
+    for (const chain of [RECEIVE_CHAIN, CHANGE_CHAIN]) {
+      for (let index = 0; index < nextIndex[chain] + gapLimit; index++) {
+        keys.push(derive(chain, index))
+      }
+    }
+    return keys
+  }
+
+  // Look up the key of an address. Addresses that haven't been derived yet
+  // in this session are searched for up to the gap limit.
+  function getKey (address) {
+    if (!account) throw new Error('This signer has been disposed')
+
+    let key = keysByAddress.get(address)
+    if (!key) {
+      deriveAll()
+      key = keysByAddress.get(address)
+    }
+    if (!key) throw new Error(`Address ${address} was not derived by this HD signer`)
+    return key
+  }
+
+  // Derive the key at a full path under this account, e.g. one saved with a
+  // tab. Returns null for a path outside the account.
+  function deriveFromPath (path) {
+    const prefix = `${derivationPath}/`
+    if (typeof path !== 'string' || !path.startsWith(prefix)) return null
+
+    const match = /^([01])\/(\d+)$/.exec(path.slice(prefix.length))
+    return match ? derive(Number(match[1]), Number(match[2])) : null
+  }
+
+  function signWith (wif, message) {
+    return bchjs.BitcoinCash.signMessageWithPrivKey(wif, message)
+  }
+
+  const first = derive(RECEIVE_CHAIN, 0)
+
+  const signer = {
+    address: first.address,
+    network,
+    paymentAmountSats,
+    derivationPath,
+    gapLimit,
+
+    signMessage (message) {
+      return signWith(getKey(first.address).wif, message)
+    },
+
+    // Address to fund the wallet with. It changes once it has been used.
+    getReceiveAddress () {
+      return derive(RECEIVE_CHAIN, nextIndex[RECEIVE_CHAIN]).address
+    },
+
+    // Address for the change of a prepayment. Each call returns a new one.
+    nextChangeAddress () {
+      const key = derive(CHANGE_CHAIN, nextIndex[CHANGE_CHAIN])
+      nextIndex[CHANGE_CHAIN] = key.index + 1
+      return key.address
+    },
+
+    // Every address that may hold funds: the used ones on both chains, plus
+    // gapLimit unused ones past them.
+    getAddresses () {
+      return deriveAll().map(key => key.address)
+    },
+
+    // Record that an address holds or held funds, so it isn't handed out again.
+    markAddressUsed (address) {
+      const { chain, index } = getKey(address)
+      if (index >= nextIndex[chain]) nextIndex[chain] = index + 1
+    },
+
+    // Mark every address with transaction history as used, scanning until
+    // gapLimit unused addresses follow the last used one on each chain.
+    // `findUsed(addresses)` resolves to those of the addresses that have
+    // history. A new signer starts at index 0 on both chains, so call this
+    // before handing out addresses in a new session.
+    async discoverUsedAddresses (findUsed) {
+      const checked = new Set()
+      for (;;) {
+        const unchecked = signer.getAddresses().filter(address => !checked.has(address))
+        if (unchecked.length === 0) return
+
+        for (const address of unchecked) checked.add(address)
+        const used = await findUsed(unchecked)
+        for (const address of used) signer.markAddressUsed(address)
+      }
+    },
+
+    getKeyPair (address) {
+      return getKey(address).ecpair
+    },
+
+    // Full derivation path of a derived address, e.g. m/44'/145'/0'/1/3.
+    getDerivationPath (address) {
+      return getKey(address).path
+    },
+
+    // Sign a transaction whose inputs spend any of the derived addresses.
+    async signTransaction (unsignedTxHex, prevouts) {
+      return signP2pkhTransaction(unsignedTxHex, prevouts, prevout => getKey(prevout.address).wif)
+    },
+
+    // A plain signer for one derived address. The interceptor signs the
+    // authorization of a tab with the key that funded it. `path` is the
+    // address's derivation path, when known, so addresses past the gap limit
+    // are found after a restart.
+    forAddress (address, path) {
+      deriveFromPath(path)
+      const { wif, ecpair } = getKey(address)
+      const addressSigner = {
+        ...signer,
+        address,
+        signMessage (message) {
+          return signWith(getKey(address).wif, message)
+        }
+      }
+      return attachPrivateKey(addressSigner, { wif, ecpair })
+    },
+
+    // Drop the account key and every derived key. The signer can't sign or
+    // derive addresses afterwards.
+    dispose () {
+      account = null
+      keysByPath.clear()
+      keysByAddress.clear()
+      detachPrivateKey(signer, ['wif', 'ecpair'])
+    }
+  }
+
+  // Keys are kept off the enumerable properties, so the signer never
+  // serializes or logs a WIF.
+  return attachPrivateKey(signer, { wif: first.wif, ecpair: first.ecpair })
+}
@@ -0,0 +1,133 @@
+/*
+  Password-protected keystores.
+
+  A keystore is a JSON object holding a WIF encrypted with AES-256-GCM. The
+  AES key is derived from a passphrase with scrypt, so the file is safe to
+  keep on disk or in a secrets store while the passphrase is supplied at
+  runtime. The layout follows the Web3 Secret Storage keystore:
+
+  {
+    "version": 1,
+    "address": "bitcoincash:qq...",
+    "crypto": {
+      "cipher": "aes-256-gcm",
+      "ciphertext": "<hex>",
+      "iv": "<hex>",
+      "authTag": "<hex>",
+      "kdf": "scrypt",
+      "kdfparams": { "n": 131072, "r": 8, "p": 1, "dklen": 32, "salt": "<hex>" }
+    }
+  }
+*/
+
+// Public npm libraries
+import crypto from 'crypto'
+import { promisify } from 'util'
+
+const scrypt = promisify(crypto.scrypt)
+
+export const KEYSTORE_VERSION = 1
+
+// scrypt cost parameters for new keystores
+export const DEFAULT_KDF_PARAMS = { n: 131072, r: 8, p: 1, dklen: 32 }
+
+const CIPHER = 'aes-256-gcm'
+const KDF = 'scrypt'
+
+// Derive the AES key. Node caps scrypt memory at 32 MB unless told otherwise.
+function deriveKey (passphrase, { n, r, p, dklen, salt }) {
+  return scrypt(passphrase.normalize('NFKC'), Buffer.from(salt, 'hex'), dklen, {
+    N: n,
+    r,
+    p,
+    maxmem: 256 * n * r
+  })
+}
+
+function assertPassphrase (passphrase) {
+  if (typeof passphrase !== 'string' || passphrase.length === 0) {
+    throw new Error('A non-empty passphrase is required')
+  }
+}
+
+/**
+ * Encrypts a WIF into a keystore.
+ *
+ * @param {string} wif - Private key in Wallet Import Format
+ * @param {string} passphrase
+ * @param {Object} [options]
+ * @param {string} [options.address] - Address of the key, stored in the clear
+ *   so the keystore can be identified and checked after decryption
+ * @param {Object} [options.kdfParams] - scrypt `n`, `r`, `p` and `dklen`
+ * @returns {Promise<Object>} Keystore
+ */
+export async function encryptKeystore (wif, passphrase, options = {}) {
+  if (typeof wif !== 'string' || !wif) throw new Error('A WIF is required')
+  assertPassphrase(passphrase)
+
+  const kdfparams = {
+    ...DEFAULT_KDF_PARAMS,
+    ...options.kdfParams,
+    salt: crypto.randomBytes(32).toString('hex')
+  }
+  const key = await deriveKey(passphrase, kdfparams)
+  const iv = crypto.randomBytes(12)
+
+  try {
+    const cipher = crypto.createCipheriv(CIPHER, key, iv)
+    const ciphertext = Buffer.concat([cipher.update(wif, 'utf8'), cipher.final()])
+
+    return {
+      version: KEYSTORE_VERSION,
+      ...(options.address && { address: options.address }),
+      crypto: {
+        cipher: CIPHER,
+        ciphertext: ciphertext.toString('hex'),
+        iv: iv.toString('hex'),
+        authTag: cipher.getAuthTag().toString('hex'),
+        kdf: KDF,
+        kdfparams
+      }
+    }
+  } finally {
+    key.fill(0)
+  }
+}
+
+/**
+ * Decrypts the WIF in a keystore. The derived key and the decrypted bytes are
+ * zeroed before returning.
+ *
+ * @param {Object} keystore
+ * @param {string} passphrase
+ * @returns {Promise<string>} WIF
+ * @throws {Error} If the keystore is malformed or the passphrase is wrong
+ */
+export async function decryptKeystore (keystore, passphrase) {
+  assertPassphrase(passphrase)
+
+  const params = keystore?.crypto
+  if (keystore?.version !== KEYSTORE_VERSION || !params) {
+    throw new Error(`Unsupported keystore. Expected version ${KEYSTORE_VERSION}`)
+  }
+  if (params.cipher !== CIPHER || params.kdf !== KDF) {
+    throw new Error(`Unsupported keystore. Expected ${KDF} and ${CIPHER}, got ${params.kdf} and ${params.cipher}`)
+  }
+
+  const key = await deriveKey(passphrase, params.kdfparams)
+  let plaintext
+  try {
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(params.iv, 'hex'))
+    decipher.setAuthTag(Buffer.from(params.authTag, 'hex'))
+    plaintext = Buffer.concat([
+      decipher.update(Buffer.from(params.ciphertext, 'hex')),
+      decipher.final()
+    ])
+    return plaintext.toString('utf8')
+  } catch (err) {
+    throw new Error('Could not decrypt the keystore. Check the passphrase.', { cause: err })
+  } finally {
+    key.fill(0)
+    if (plaintext) plaintext.fill(0)
+  }
+}
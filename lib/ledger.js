@@ -0,0 +1,199 @@
+/*
+  Payment ledger for the x402 payment interceptor.
+
+  The ledger keeps a record of every prepayment the client broadcast and every
+  debit of a tab, so spending can be audited and exported for bookkeeping.
+  Entries are written through a storage adapter (see lib/storage.js), one key
+  per entry, so a file or database adapter keeps the history across restarts.
+  The history only grows, so a file-backed ledger belongs in its own
+  createJsonlStorage() file, which appends each entry instead of rewriting.
+
+  Each entry has a `type`:
+  - 'prepayment' - a UTXO broadcast to fund a tab. `amount` is what the UTXO
+    holds for the server and `fee` the miner fee.
+  - 'debit' - a request paid from a tab. `amount` is the price of the request
+    and `result` says whether the server accepted the payment.
+
+  Amounts are decimal strings, in sats or, for CashToken assets, token units.
+*/
+
+// Public npm libraries
+import crypto from 'crypto'
+
+// Local libraries
+import { createMemoryStorage } from './storage.js'
+
+export const LEDGER_FIELDS = [
+  'id',
+  'type',
+  'timestamp',
+  'url',
+  'host',
+  'payTo',
+  'network',
+  'asset',
+  'amount',
+  'fee',
+  'txid',
+  'vout',
+  'mode',
+  'result',
+  'error'
+]
+
+/**
+ * Resolves the full URL of a request from its URL and optional base URL.
+ *
+ * @param {string} url
+ * @param {string} [baseURL]
+ * @returns {string|null}
+ */
+export function getRequestUrl (url, baseURL) {
+  try {
+    return new URL(url || '', baseURL).href
+  } catch (err) {
+    return url || null
+  }
+}
+
+// Filter fields matched by equality
+const MATCH_FIELDS = ['type', 'host', 'payTo', 'network', 'asset', 'txid', 'mode', 'result', 'url']
+
+function toTime (value, name) {
+  const time = value instanceof Date ? value.getTime() : new Date(value).getTime()
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid ${name} date in payment history filter: ${value}`)
+  }
+  return time
+}
+
+/**
+ * Checks whether a ledger entry matches a payment history filter.
+ *
+ * @param {Object} entry - Ledger entry
+ * @param {Object} [filter]
+ * @returns {boolean}
+ */
+export function matchesFilter (entry, filter = {}) {
+  for (const field of MATCH_FIELDS) {
+    if (filter[field] !== undefined && entry[field] !== filter[field]) return false
+  }
+
+  const time = Date.parse(entry.timestamp)
+  if (filter.since !== undefined && time < toTime(filter.since, 'since')) return false
+  if (filter.until !== undefined && time >= toTime(filter.until, 'until')) return false
+
+  return true
+}
+
+// Quote a CSV cell when it holds a separator, a quote or a line break.
+function toCsvCell (value) {
+  if (value === null || value === undefined) return ''
+  const text = String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Formats ledger entries as CSV, with a header row of LEDGER_FIELDS.
+ *
+ * @param {Array<Object>} entries
+ * @returns {string}
+ */
+export function toCSV (entries) {
+  const rows = [LEDGER_FIELDS.join(',')]
+  for (const entry of entries) {
+    rows.push(LEDGER_FIELDS.map(field => toCsvCell(entry[field])).join(','))
+  }
+  return `${rows.join('\n')}\n`
+}
+
+/**
+ * Creates a payment ledger.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.storage] - Storage adapter. Defaults to memory.
+ * @param {string} [options.namespace] - Prefix that keeps one wallet's entries
+ *   apart from another's in shared storage. Usually the signer address.
+ * @param {Function} [options.now] - Clock, for testing. Defaults to Date.now
+ * @returns {{
+ *   storage: Object,
+ *   record: (entry: Object) => Promise<Object>,
+ *   getPaymentHistory: (filter?: Object) => Promise<Array<Object>>,
+ *   export: (format?: string, filter?: Object) => Promise<string>
+ * }}
+ */
+export function createLedger (options = {}) {
+  const {
+    storage = createMemoryStorage(),
+    namespace = '',
+    now = Date.now
+  } = options
+  const storagePrefix = `ledger:${namespace}:`
+  // Entries recorded in the same millisecond still get distinct, ordered ids.
+  // The sequence only counts this ledger's entries, so the random suffix keeps
+  // two ledgers over the same storage and namespace from overwriting each
+  // other.
+  let lastTime = 0
+  let sequence = 0
+
+  function nextId (time) {
+    sequence = time === lastTime ? sequence + 1 : 0
+    lastTime = time
+    const paddedTime = String(time).padStart(15, '0')
+    return `${paddedTime}-${String(sequence).padStart(4, '0')}-${crypto.randomUUID()}`
+  }
+
+  const ledger = {
+    storage,
+
+    // Store an entry and return it with its id and timestamp filled in.
+    async record (entry) {
+      const time = now()
+      const id = nextId(time)
+      const stored = {
+        id,
+        timestamp: new Date(time).toISOString(),
+        ...entry,
+        amount: entry.amount === undefined || entry.amount === null
+          ? null
+          : String(entry.amount)
+      }
+      await storage.set(`${storagePrefix}${id}`, stored)
+      return stored
+    },
+
+    /**
+     * Lists recorded entries, oldest first.
+     *
+     * @param {Object} [filter] - Any of type, host, payTo, network, asset,
+     *   txid, mode, result and url to match exactly, and `since` (inclusive)
+     *   and `until` (exclusive) as a Date, timestamp or date string
+     * @returns {Promise<Array<Object>>}
+     */
+    async getPaymentHistory (filter = {}) {
+      const entries = await storage.entries(storagePrefix)
+      return entries
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([, entry]) => entry)
+        .filter(entry => matchesFilter(entry, filter))
+    },
+
+    /**
+     * Exports recorded entries for bookkeeping.
+     *
+     * @param {string} [format] - 'json' (default) or 'csv'
+     * @param {Object} [filter] - See getPaymentHistory()
+     * @returns {Promise<string>}
+     */
+    async export (format = 'json', filter = {}) {
+      if (format !== 'json' && format !== 'csv') {
+        throw new Error(`Unknown export format "${format}". Expected json or csv`)
+      }
+
+      const entries = await ledger.getPaymentHistory(filter)
+      return format === 'csv' ? toCSV(entries) : JSON.stringify(entries, null, 2)
+    }
+  }
+
+  return ledger
+}
@@ -0,0 +1,114 @@
+/*
+  BCH chains and their CAIP-2 identifiers.
+
+  x402 v2 names networks with CAIP-2 IDs. For bip122 chains the reference is
+  the first 32 hex characters of a block hash that identifies the chain. Every
+  bip122 chain shares the namespace, Bitcoin (BTC) included, so a requirement
+  is only paid in BCH when its network is one of the chains listed here and
+  the caller has opted into that chain.
+
+  BCH mainnet and testnet3 share their genesis block with BTC, so their IDs
+  use the hash of the first block after the 2017 fork instead. Chipnet split
+  from testnet4 after the genesis block, so the two share an ID. Regtest
+  shares its genesis block with BTC regtest.
+*/
+
+export const BCH_NETWORKS = {
+  mainnet: 'bip122:000000000000000000651ef99cb9fcbe',
+  testnet3: 'bip122:00000000000e38fef93ed9582a7df438',
+  testnet4: 'bip122:000000001dd410c49a788668ce267517',
+  chipnet: 'bip122:000000001dd410c49a788668ce267517',
+  regtest: 'bip122:0f9188f13cb7b2c71f2a335e3a4fc328'
+}
+
+// Networks accepted when the caller doesn't configure any.
+export const DEFAULT_NETWORKS = ['mainnet']
+
+// x402 v1 names BCH mainnet 'bch'.
+const V1_ALIASES = {
+  bch: BCH_NETWORKS.mainnet
+}
+
+/**
+ * Converts a network name from a payment requirement to its CAIP-2 ID.
+ *
+ * @param {string} network - v1 name ('bch') or CAIP-2 ID
+ * @returns {string|null} CAIP-2 ID, or null if it isn't a known BCH chain
+ */
+export function toCaip2Network (network) {
+  if (!network) return null
+  if (V1_ALIASES[network]) return V1_ALIASES[network]
+  return Object.values(BCH_NETWORKS).includes(network) ? network : null
+}
+
+/**
+ * Resolves the networks a caller configured to the CAIP-2 IDs they accept.
+ *
+ * @param {Array<string>} [networks] - Names from BCH_NETWORKS or their CAIP-2
+ *   IDs. Defaults to mainnet only.
+ * @returns {Set<string>} Accepted CAIP-2 IDs
+ * @throws {Error} If a network isn't a known BCH chain
+ */
+export function resolveNetworks (networks = DEFAULT_NETWORKS) {
+  if (!Array.isArray(networks) || networks.length === 0) {
+    throw new Error('networks must be a non-empty array of BCH network names')
+  }
+
+  return new Set(networks.map(network => {
+    const id = BCH_NETWORKS[network] || toCaip2Network(network)
+    if (!id) {
+      throw new Error(
+        `Unknown BCH network "${network}". ` +
+        `Use one of: ${Object.keys(BCH_NETWORKS).join(', ')}`
+      )
+    }
+    return id
+  }))
+}
+
+/**
+ * Checks whether a payment requirement's network is one of the accepted
+ * chains.
+ *
+ * @param {string} network - Network of a payment requirement
+ * @param {Set<string>} [accepted] - Result of resolveNetworks(). Defaults to mainnet.
+ * @returns {boolean}
+ */
+export function isAcceptedNetwork (network, accepted = resolveNetworks()) {
+  const id = toCaip2Network(network)
+  return id !== null && accepted.has(id)
+}
+
+/**
+ * Resolves a network option to a name from BCH_NETWORKS.
+ *
+ * @param {string} [network] - Name or CAIP-2 ID. Defaults to mainnet.
+ * @returns {string} Network name. The shared testnet4/chipnet ID resolves to
+ *   'testnet4'.
+ * @throws {Error} If the network isn't a known BCH chain
+ */
+export function getNetworkName (network = 'mainnet') {
+  if (BCH_NETWORKS[network]) return network
+
+  const id = toCaip2Network(network)
+  const name = Object.keys(BCH_NETWORKS).find(name => BCH_NETWORKS[name] === id)
+  if (!name) {
+    throw new Error(
+      `Unknown BCH network "${network}". ` +
+      `Use one of: ${Object.keys(BCH_NETWORKS).join(', ')}`
+    )
+  }
+  return name
+}
+
+/**
+ * Returns the cash address prefix used on a network.
+ *
+ * @param {string} network - Name from BCH_NETWORKS
+ * @returns {string} 'bitcoincash', 'bchtest' or 'bchreg'
+ */
+export function getAddressPrefix (network) {
+  if (network === 'mainnet') return 'bitcoincash'
+  if (network === 'regtest') return 'bchreg'
+  return 'bchtest'
+}
@@ -0,0 +1,248 @@
+/*
+  Spending policy for the x402 payment interceptor.
+
+  Limits what a server can make the client pay: a maximum price per request,
+  rolling hourly and daily budgets, and allowlists of hosts and payTo
+  addresses. The interceptor checks the policy before it signs a payment
+  header or broadcasts a prepayment, and records every prepayment it actually
+  broadcasts so the budgets track real spending.
+
+  The prepayments are kept in memory. Pass a storage adapter (see
+  lib/storage.js) to also save them, one key per prepayment, so a restart
+  doesn't reset the budgets. Prepayments older than a day no longer count and
+  are removed from storage.
+*/
+
+// Public npm libraries
+import crypto from 'crypto'
+
+// Local libraries
+import { ERROR_CODES, X402PaymentError } from './errors.js'
+import { isNativeAsset } from './cashtokens.js'
+
+const HOUR_MS = 60 * 60 * 1000
+const DAY_MS = 24 * HOUR_MS
+
+export class SpendingPolicyError extends X402PaymentError {
+  constructor (message, rule, details = {}) {
+    super(message, ERROR_CODES.POLICY_VIOLATION)
+    this.rule = rule
+    this.details = details
+  }
+}
+
+// Match a hostname against an allowlist entry. '*.example.com' matches any
+// subdomain of example.com, but not example.com itself.
+function hostMatches (hostname, pattern) {
+  const host = hostname.toLowerCase()
+  const entry = pattern.toLowerCase()
+
+  if (entry.startsWith('*.')) {
+    return host.endsWith(entry.slice(1))
+  }
+
+  return host === entry
+}
+
+/**
+ * Resolves the hostname of a request from its URL and optional base URL.
+ *
+ * @param {string} url
+ * @param {string} [baseURL]
+ * @returns {string|null} Hostname, or null if the URL can't be parsed
+ */
+export function getRequestHost (url, baseURL) {
+  try {
+    return new URL(url || '', baseURL).hostname
+  } catch (err) {
+    return null
+  }
+}
+
+/**
+ * Creates a spending policy.
+ *
+ * @param {Object} options
+ * @param {number} [options.maxSatsPerRequest] - Largest price accepted for one request
+ * @param {number} [options.hourlyBudgetSats] - Most sats broadcast in any 60 minutes
+ * @param {number} [options.dailyBudgetSats] - Most sats broadcast in any 24 hours
+ * @param {Array<string>} [options.allowedHosts] - Hostnames that may be paid. Supports '*.example.com'
+ * @param {Array<string>} [options.allowedPayTo] - Addresses that may be paid
+ * @param {Object} [options.storage] - Storage adapter that keeps the budgets
+ *   across restarts. Call `load()` before relying on them.
+ * @param {string} [options.namespace] - Prefix that keeps one wallet's
+ *   budgets apart from another's in shared storage
+ * @param {Function} [options.now] - Clock, for testing. Defaults to Date.now
+ * @returns {{
+ *   load: () => Promise<void>,
+ *   checkRequest: (request: Object) => void,
+ *   checkBroadcast: (sats: number) => void,
+ *   reserve: (sats: number) => { commit: Function, release: Function },
+ *   recordPayment: (payment: Object) => Promise<void>,
+ *   getSpent: (windowMs: number) => number
+ * }}
+ */
+export function createSpendingPolicy (options = {}) {
+  const {
+    maxSatsPerRequest,
+    hourlyBudgetSats,
+    dailyBudgetSats,
+    allowedHosts,
+    allowedPayTo,
+    storage = null,
+    namespace = '',
+    now = Date.now
+  } = options
+  const storagePrefix = `policy:${namespace}:`
+
+  // Prepayments broadcast in the last 24 hours: { timestamp, sats, key }.
+  // `key` is the storage key, when there is storage.
+  let payments = []
+  // Sats held by reserve() for prepayments that are still being sent
+  let reserved = 0
+  let loadPromise = null
+
+  function prune () {
+    const cutoff = now() - DAY_MS
+    const expired = payments.filter(payment => payment.timestamp <= cutoff)
+    if (expired.length === 0) return
+
+    payments = payments.filter(payment => payment.timestamp > cutoff)
+    if (storage) {
+      // Nothing waits for this, so a failure is only logged.
+      Promise.all(expired.map(payment => storage.delete(payment.key))).catch(err => {
+        console.error('Error in x402-bch-axios removing expired payments from the spending policy storage: ', err.message)
+      })
+    }
+  }
+
+  function getSpent (windowMs) {
+    prune()
+    const cutoff = now() - windowMs
+    return payments
+      .filter(payment => payment.timestamp > cutoff)
+      .reduce((total, payment) => total + payment.sats, 0)
+  }
+
+  const policy = {
+    storage,
+
+    // Restore the prepayments saved in storage. Safe to call more than once.
+    load () {
+      if (!storage) return Promise.resolve()
+
+      if (!loadPromise) {
+        loadPromise = storage.entries(storagePrefix).then(entries => {
+          const known = new Set(payments.map(payment => payment.key))
+          for (const [key, { timestamp, sats }] of entries) {
+            // Payments recorded while storage was loading are already here.
+            if (!known.has(key)) payments.push({ timestamp, sats, key })
+          }
+          prune()
+        })
+        // Let a failed load be retried on the next call.
+        loadPromise.catch(() => { loadPromise = null })
+      }
+
+      return loadPromise
+    },
+
+    // Check the host, payTo and price of a 402 before anything is signed.
+    checkRequest ({ host, payTo, amount, asset }) {
+      if (allowedHosts) {
+        if (!host || !allowedHosts.some(pattern => hostMatches(host, pattern))) {
+          throw new SpendingPolicyError(
+            `Spending policy does not allow payments to host ${host}`,
+            'allowedHosts',
+            { host }
+          )
+        }
+      }
+
+      if (allowedPayTo && !allowedPayTo.includes(payTo)) {
+        throw new SpendingPolicyError(
+          `Spending policy does not allow payments to address ${payTo}`,
+          'allowedPayTo',
+          { payTo }
+        )
+      }
+
+      // Only native BCH prices are in sats. A CashToken price is in token units.
+      const pricedInSats = isNativeAsset(asset)
+      if (pricedInSats && maxSatsPerRequest !== undefined && Number(amount) > maxSatsPerRequest) {
+        throw new SpendingPolicyError(
+          `Payment of ${amount} sats exceeds the per-request limit of ${maxSatsPerRequest} sats`,
+          'maxSatsPerRequest',
+          { amount: Number(amount), limit: maxSatsPerRequest }
+        )
+      }
+    },
+
+    // Check the rolling budgets before a prepayment is broadcast. Sats held
+    // by reserve() count as spent.
+    checkBroadcast (sats) {
+      const budgets = [
+        { rule: 'hourlyBudgetSats', label: 'hourly', limit: hourlyBudgetSats, windowMs: HOUR_MS },
+        { rule: 'dailyBudgetSats', label: 'daily', limit: dailyBudgetSats, windowMs: DAY_MS }
+      ]
+
+      for (const { rule, label, limit, windowMs } of budgets) {
+        if (limit === undefined) continue
+
+        const spent = getSpent(windowMs) + reserved
+        if (spent + Number(sats) > limit) {
+          throw new SpendingPolicyError(
+            `Broadcasting ${sats} sats would exceed the ${label} budget of ${limit} sats (${spent} sats already spent)`,
+            rule,
+            { sats: Number(sats), spent, limit }
+          )
+        }
+      }
+    },
+
+    // Check the budgets and hold the sats until the prepayment is sent, so
+    // prepayments running at the same time can't overspend them together.
+    // commit() records what was actually broadcast; release() frees the sats
+    // when nothing was. Only the first call of either counts.
+    reserve (sats) {
+      policy.checkBroadcast(sats)
+
+      const held = Number(sats)
+      let settled = false
+      reserved += held
+
+      const settle = () => {
+        if (settled) return false
+        settled = true
+        reserved -= held
+        return true
+      }
+
+      return {
+        commit: async (satsSent = held) => {
+          if (settle()) await policy.recordPayment({ sats: satsSent })
+        },
+        release: () => {
+          settle()
+        }
+      }
+    },
+
+    // Record a prepayment the interceptor broadcast. It counts against the
+    // budgets right away. The returned promise settles once it is saved.
+    async recordPayment ({ sats, timestamp = now() }) {
+      const payment = { timestamp, sats: Number(sats) }
+      if (storage) {
+        payment.key = `${storagePrefix}${String(timestamp).padStart(15, '0')}-${crypto.randomUUID()}`
+      }
+      payments.push(payment)
+      prune()
+
+      if (storage) await storage.set(payment.key, { timestamp, sats: payment.sats })
+    },
+
+    getSpent
+  }
+
+  return policy
+}
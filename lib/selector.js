@@ -0,0 +1,199 @@
+/*
+  Ranking selector for x402 payment requirements.
+
+  A 402 may offer several ways to pay. The default selector takes the first
+  BCH `utxo` offer. The ranking selector instead drops offers the client can't
+  or won't pay, ranks the rest by the caller's preferences and picks the best
+  one. It can also explain its choice, which helps when a server's offers
+  change and the client starts paying a different payee or asset.
+
+  Offers are ranked by, in order:
+  1. the position of their payTo in `preferredPayTo`,
+  2. the position of their asset in `preferredAssets`,
+  3. native BCH before tokens, or the reverse with `preferAsset: 'token'`,
+  4. the lowest amount,
+  5. their position in the 402.
+*/
+
+// Local libraries
+import { NoBCHRequirementsError } from './errors.js'
+import { resolveNetworks, isAcceptedNetwork } from './networks.js'
+import { getTokenCategory, isNativeAsset } from './cashtokens.js'
+
+// Re-exported for callers that import it from the selector.
+export { isNativeAsset }
+
+// Position of a value in a preference list. Unlisted values rank last.
+function preferenceRank (list, value) {
+  if (!list) return 0
+  const index = list.indexOf(value)
+  return index === -1 ? list.length : index
+}
+
+function getAmount (requirement) {
+  return Number(requirement.amount ?? requirement.minAmountRequired)
+}
+
+/**
+ * Creates a selector that ranks BCH payment requirements by the caller's
+ * preferences. Pass it to `withPaymentInterceptor()` in place of the default
+ * selector.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.preferAsset] - 'native' (default) to rank native
+ *   BCH before tokens, 'token' for the reverse
+ * @param {Array<string>} [options.preferredAssets] - Assets to rank first, best first
+ * @param {Array<string>} [options.preferredPayTo] - Addresses to rank first, best first
+ * @param {number} [options.maxAmountSats] - Skip native BCH offers that cost
+ *   more. Token offers are priced in token units, so it doesn't apply to them.
+ * @param {number} [options.minTimeoutSeconds] - Skip offers whose
+ *   maxTimeoutSeconds is shorter than this
+ * @param {Array<string>} [options.networks] - Accepted BCH networks. Defaults
+ *   to the networks the interceptor passes in, or mainnet.
+ * @returns {Function & { explain: Function }} Selector. Call
+ *   `selector.explain(accepts, context)` to see how each offer was ranked.
+ */
+export function createRankingSelector (options = {}) {
+  const {
+    preferAsset = 'native',
+    preferredAssets,
+    preferredPayTo,
+    maxAmountSats,
+    minTimeoutSeconds
+  } = options
+
+  if (preferAsset !== 'native' && preferAsset !== 'token') {
+    throw new Error(`preferAsset must be 'native' or 'token', got ${preferAsset}`)
+  }
+
+  // Why an offer can't be paid, or null if it can.
+  function getSkipReason (requirement, context, acceptedNetworks) {
+    if (requirement?.scheme !== 'utxo') {
+      return `scheme ${requirement?.scheme} is not utxo`
+    }
+    if (!isAcceptedNetwork(requirement.network, acceptedNetworks)) {
+      return `network ${requirement.network} is not accepted`
+    }
+    if (!requirement.payTo) return 'payTo is missing'
+
+    const amount = getAmount(requirement)
+    if (!Number.isFinite(amount) || amount < 0) {
+      return `amount ${requirement.amount ?? requirement.minAmountRequired} is invalid`
+    }
+    if (!isNativeAsset(requirement.asset) && !getTokenCategory(requirement.asset)) {
+      return `asset ${requirement.asset} is neither BCH nor a CashToken`
+    }
+    // Token offers are priced in token units, not sats
+    if (maxAmountSats !== undefined && isNativeAsset(requirement.asset) && amount > maxAmountSats) {
+      return `amount ${amount} exceeds maxAmountSats of ${maxAmountSats}`
+    }
+
+    if (minTimeoutSeconds !== undefined &&
+        requirement.maxTimeoutSeconds !== undefined &&
+        Number(requirement.maxTimeoutSeconds) < minTimeoutSeconds) {
+      return `maxTimeoutSeconds ${requirement.maxTimeoutSeconds} is below ${minTimeoutSeconds}`
+    }
+
+    // Skip offers the interceptor's spending policy would reject anyway
+    if (context.policy) {
+      try {
+        context.policy.checkRequest({
+          host: context.host,
+          payTo: requirement.payTo,
+          amount,
+          asset: requirement.asset
+        })
+      } catch (err) {
+        return `spending policy: ${err.message}`
+      }
+    }
+
+    return null
+  }
+
+  function rankKeys (requirement, index) {
+    const native = isNativeAsset(requirement.asset)
+    return [
+      preferenceRank(preferredPayTo, requirement.payTo),
+      preferenceRank(preferredAssets, requirement.asset),
+      native === (preferAsset === 'native') ? 0 : 1,
+      getAmount(requirement),
+      index
+    ]
+  }
+
+  function compare (a, b) {
+    for (let i = 0; i < a.keys.length; i++) {
+      if (a.keys[i] !== b.keys[i]) return a.keys[i] - b.keys[i]
+    }
+    return 0
+  }
+
+  // Describe what made the winner beat the runner-up.
+  function describeWin (winner, runnerUp) {
+    if (!runnerUp) return 'it is the only offer that can be paid'
+
+    const [payTo, asset, kind, amount] = winner.keys.map((key, i) => key !== runnerUp.keys[i])
+    if (payTo) return `its payTo ${winner.requirement.payTo} is preferred`
+    if (asset) return `its asset ${winner.requirement.asset} is preferred`
+    if (kind) return preferAsset === 'native' ? 'native BCH is preferred' : 'tokens are preferred'
+    if (amount) return `it is the cheapest offer (${getAmount(winner.requirement)})`
+    return 'it comes first among equally ranked offers'
+  }
+
+  /**
+   * Ranks every offer in a 402 and explains the choice.
+   *
+   * @param {Array<Object>} accepts - Payment requirements from the 402
+   * @param {Object} [context] - Passed in by the interceptor
+   * @param {Array<string>} [context.networks] - Accepted BCH networks
+   * @param {string} [context.host] - Host of the request being paid for
+   * @param {Object} [context.policy] - Spending policy of the interceptor
+   * @returns {{
+   *   selected: Object|null,
+   *   reason: string,
+   *   ranked: Array<{ requirement: Object, index: number }>,
+   *   skipped: Array<{ requirement: Object, index: number, reason: string }>
+   * }}
+   */
+  function explain (accepts = [], context = {}) {
+    const acceptedNetworks = resolveNetworks(options.networks || context.networks)
+
+    const ranked = []
+    const skipped = []
+    accepts.forEach((requirement, index) => {
+      const reason = getSkipReason(requirement, context, acceptedNetworks)
+      if (reason) {
+        skipped.push({ requirement, index, reason })
+      } else {
+        ranked.push({ requirement, index, keys: rankKeys(requirement, index) })
+      }
+    })
+    ranked.sort(compare)
+
+    const winner = ranked[0]
+    return {
+      selected: winner ? winner.requirement : null,
+      reason: winner
+        ? `Picked offer ${winner.index} because ${describeWin(winner, ranked[1])}`
+        : 'No offer can be paid',
+      ranked: ranked.map(({ requirement, index }) => ({ requirement, index })),
+      skipped
+    }
+  }
+
+  function selector (accepts, context) {
+    const { selected, skipped } = explain(accepts, context)
+    if (selected) return selected
+
+    const reasons = skipped.map(({ index, reason }) => `offer ${index}: ${reason}`)
+    throw new NoBCHRequirementsError(
+      reasons.length
+        ? `No payable BCH payment requirements found in 402 response (${reasons.join('; ')})`
+        : undefined
+    )
+  }
+
+  selector.explain = explain
+  return selector
+}
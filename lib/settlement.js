@@ -0,0 +1,115 @@
+/*
+  Settlement details returned by an x402 server after a paid request.
+
+  Servers report what they settled in a base64-encoded JSON header:
+  `PAYMENT-RESPONSE` in protocol v2, `X-PAYMENT-RESPONSE` in v1. This library
+  decodes that header and combines it with what the client knows about the
+  payment, so callers can see which UTXO was charged and what is left on it.
+*/
+
+/**
+ * Reads a header case-insensitively from axios headers, fetch Headers or a
+ * plain object.
+ *
+ * @param {Object} headers
+ * @param {string} name
+ * @returns {string|undefined}
+ */
+export function getHeader (headers, name) {
+  if (!headers) return undefined
+
+  if (typeof headers.get === 'function') {
+    const value = headers.get(name)
+    if (value !== undefined && value !== null) return value
+  }
+
+  const lowerName = name.toLowerCase()
+  const key = Object.keys(headers).find(key => key.toLowerCase() === lowerName)
+  return key ? headers[key] : undefined
+}
+
+/**
+ * Decodes the settlement header of a response. Supports v2
+ * `PAYMENT-RESPONSE` and v1 `X-PAYMENT-RESPONSE`, base64-encoded or plain
+ * JSON.
+ *
+ * @param {Object} headers - Response headers
+ * @returns {Object|null} Decoded header, or null if absent or unreadable
+ */
+export function decodePaymentResponse (headers) {
+  const value = getHeader(headers, 'PAYMENT-RESPONSE') ||
+                getHeader(headers, 'X-PAYMENT-RESPONSE')
+  if (!value) return null
+
+  try {
+    return JSON.parse(Buffer.from(value, 'base64').toString('utf-8'))
+  } catch (err) {
+    // Not base64. Some servers send the JSON as-is.
+  }
+
+  try {
+    return JSON.parse(value)
+  } catch (err) {
+    return null
+  }
+}
+
+// Return the first field of obj that is set, or null.
+function pick (obj, fields) {
+  for (const field of fields) {
+    if (obj[field] !== undefined && obj[field] !== null) return obj[field]
+  }
+  return null
+}
+
+/**
+ * Builds the settlement object attached to a paid response.
+ *
+ * Values reported by the server win. When the server doesn't report a value,
+ * the client's own view of the payment is used instead.
+ *
+ * @param {Object} headers - Response headers
+ * @param {Object} payment - What the client sent
+ * @param {string} payment.mode - 'check-my-tab', 'reuse' or 'new-utxo'
+ * @param {string|null} [payment.txid]
+ * @param {number|null} [payment.vout]
+ * @param {number} [payment.cost] - Price of the request in sats
+ * @returns {{
+ *   success: boolean,
+ *   txid: string|null,
+ *   vout: number|null,
+ *   amountDebited: number|null,
+ *   remainingBalanceSats: number|null,
+ *   mode: string,
+ *   network: string|null,
+ *   payer: string|null,
+ *   raw: Object|null
+ * }}
+ */
+export function buildSettlement (headers, payment = {}) {
+  const raw = decodePaymentResponse(headers)
+  const reported = raw || {}
+
+  const amountDebited = pick(reported, ['amount', 'amountDebited', 'debited'])
+  const remaining = pick(reported, [
+    'remainingBalanceSat',
+    'remainingBalanceSats',
+    'remainingBalance',
+    'satsLeft'
+  ])
+  const vout = pick(reported, ['vout'])
+
+  return {
+    success: reported.success !== undefined ? Boolean(reported.success) : true,
+    txid: pick(reported, ['transaction', 'txid']) || payment.txid || null,
+    vout: vout !== null ? Number(vout) : (payment.vout ?? null),
+    amountDebited: amountDebited !== null
+      ? Number(amountDebited)
+      : (payment.cost ?? null),
+    remainingBalanceSats: remaining !== null ? Number(remaining) : null,
+    mode: payment.mode,
+    network: pick(reported, ['network']),
+    payer: pick(reported, ['payer']),
+    raw
+  }
+}
@@ -0,0 +1,187 @@
+/*
+  Signer contract.
+
+  The payment code only talks to a signer through this contract, so the key
+  behind it can live in a remote signing service or an HSM:
+
+  - `address` - cash address the signer pays from
+  - `network` - network name from BCH_NETWORKS
+  - `paymentAmountSats` - optional default prepayment
+  - `signMessage(message)` - resolves to a BCH signed-message signature
+  - `signTransaction(unsignedTxHex, prevouts)` - resolves to the signed
+    transaction hex. `prevouts` lists the output each input spends, in input
+    order: `{ txid, vout, value, address, token? }`. `value` is in sats and
+    `token` is `{ category, amount }` for CashToken UTXOs.
+
+  Every input spends a P2PKH output owned by the signer. Payments from a
+  signer that holds a `wif`, like one from createSigner(), are still signed in
+  process. createLocalSigner() in index.js is the reference implementation of
+  a signer without one.
+*/
+
+// External dependencies
+import {
+  binToHex,
+  decodePrivateKeyWif,
+  decodeTransaction,
+  encodeTransaction,
+  generateTransaction,
+  hexToBin,
+  importWalletTemplate,
+  privateKeyToP2pkhCashAddress,
+  walletTemplateP2pkhNonHd,
+  walletTemplateToCompilerBCH
+} from '@bitauth/libauth'
+
+// Local libraries
+import { getAddressPrefix } from './networks.js'
+
+/**
+ * Checks whether a signer holds no WIF and must be asked to sign.
+ *
+ * @param {Object} signer
+ * @returns {boolean}
+ */
+export function isExternalSigner (signer) {
+  return Boolean(signer) && !signer.wif && typeof signer.signTransaction === 'function'
+}
+
+/**
+ * Derives the P2PKH cash address of a WIF with libauth, without loading a
+ * wallet.
+ *
+ * @param {string} wif
+ * @param {string} [network] - Network name from BCH_NETWORKS. Defaults to mainnet.
+ * @returns {string} Cash address
+ * @throws {Error} If the WIF is invalid
+ */
+export function getWifAddress (wif, network = 'mainnet') {
+  const decoded = decodePrivateKeyWif(String(wif))
+  if (typeof decoded === 'string') throw new Error(`Invalid WIF: ${decoded}`)
+
+  return privateKeyToP2pkhCashAddress({
+    privateKey: decoded.privateKey,
+    prefix: getAddressPrefix(network)
+  }).address
+}
+
+/**
+ * Attaches private key material to a signer as non-enumerable properties, so
+ * JSON.stringify(), console.log() and object spread never copy it.
+ *
+ * @param {Object} signer
+ * @param {Object} secrets - For example `{ wif, ecpair }`
+ * @returns {Object} The signer
+ */
+export function attachPrivateKey (signer, secrets) {
+  for (const [name, value] of Object.entries(secrets)) {
+    Object.defineProperty(signer, name, {
+      value,
+      writable: true,
+      configurable: true,
+      enumerable: false
+    })
+  }
+  return signer
+}
+
+/**
+ * Removes private key material attached with attachPrivateKey().
+ *
+ * @param {Object} signer
+ * @param {Array<string>} names
+ */
+export function detachPrivateKey (signer, names) {
+  for (const name of names) delete signer[name]
+}
+
+/**
+ * Describes the output a wallet UTXO spends, for `signTransaction()`.
+ *
+ * @param {Object} utxo - Electrumx UTXO, tagged with the address that owns it
+ * @returns {{ txid: string, vout: number, value: number, address: string, token?: Object }}
+ */
+export function toPrevout (utxo) {
+  return {
+    txid: utxo.tx_hash,
+    vout: utxo.tx_pos,
+    value: utxo.value,
+    address: utxo.address,
+    ...(utxo.token_data && {
+      token: {
+        category: utxo.token_data.category,
+        amount: String(utxo.token_data.amount)
+      }
+    })
+  }
+}
+
+/**
+ * Signs every input of an unsigned transaction that spends P2PKH outputs.
+ *
+ * @param {string} unsignedTxHex - Transaction with empty unlocking scripts
+ * @param {Array<Object>} prevouts - Output spent by each input, in input order
+ * @param {(prevout: Object) => string} getWif - WIF of the key that owns a prevout
+ * @returns {string} Signed transaction hex
+ */
+export function signP2pkhTransaction (unsignedTxHex, prevouts, getWif) {
+  const transaction = decodeTransaction(hexToBin(unsignedTxHex))
+  if (typeof transaction === 'string') {
+    throw new Error(`Could not decode the unsigned transaction: ${transaction}`)
+  }
+  if (!Array.isArray(prevouts) || prevouts.length !== transaction.inputs.length) {
+    throw new Error(
+      `Expected a prevout for each of the ${transaction.inputs.length} inputs, ` +
+      `got ${Array.isArray(prevouts) ? prevouts.length : prevouts}`
+    )
+  }
+
+  const template = importWalletTemplate(walletTemplateP2pkhNonHd)
+  if (typeof template === 'string') throw new Error(template)
+  const compiler = walletTemplateToCompilerBCH(template)
+
+  const inputs = transaction.inputs.map((input, index) => {
+    const prevout = prevouts[index]
+    const txid = binToHex(input.outpointTransactionHash)
+    if (txid !== prevout.txid || input.outpointIndex !== prevout.vout) {
+      throw new Error(
+        `Input ${index} spends ${txid}:${input.outpointIndex}, ` +
+        `but its prevout is ${prevout.txid}:${prevout.vout}`
+      )
+    }
+
+    const decoded = decodePrivateKeyWif(getWif(prevout))
+    if (typeof decoded === 'string') throw new Error(`Invalid WIF: ${decoded}`)
+
+    return {
+      outpointIndex: input.outpointIndex,
+      outpointTransactionHash: input.outpointTransactionHash,
+      sequenceNumber: input.sequenceNumber,
+      unlockingBytecode: {
+        compiler,
+        data: { keys: { privateKeys: { key: decoded.privateKey } } },
+        script: 'unlock',
+        valueSatoshis: BigInt(prevout.value),
+        ...(prevout.token && {
+          token: {
+            amount: BigInt(prevout.token.amount),
+            category: hexToBin(prevout.token.category)
+          }
+        })
+      }
+    }
+  })
+
+  const result = generateTransaction({
+    version: transaction.version,
+    locktime: transaction.locktime,
+    inputs,
+    outputs: transaction.outputs
+  })
+  if (!result.success) {
+    const reasons = result.errors.flatMap(error => error.errors.map(err => err.error))
+    throw new Error(`Could not sign the transaction: ${reasons.join(', ')}`)
+  }
+
+  return binToHex(encodeTransaction(result.transaction))
+}
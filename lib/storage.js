@@ -0,0 +1,227 @@
+/*
+  Storage adapters used to persist x402 client state between restarts.
+
+  A storage adapter is any object with these async methods:
+  - get(key) - resolves to the stored value, or undefined
+  - set(key, value) - stores a JSON-serializable value
+  - delete(key) - removes the key
+  - entries(prefix) - resolves to an array of [key, value] pairs whose key
+    starts with prefix
+
+  The built-in adapters keep everything in memory, in a single JSON file, or
+  in an append-only JSON Lines file for stores that only grow. Anything else
+  (Redis, LevelDB, a database table) can be plugged in by implementing the
+  same four methods.
+*/
+
+// Public npm libraries
+import { promises as fs } from 'fs'
+import path from 'path'
+
+// Returns a function that runs operations one at a time, so concurrent
+// writes don't interleave.
+function createQueue () {
+  let queue = Promise.resolve()
+
+  return function enqueue (fn) {
+    const result = queue.then(fn)
+    queue = result.catch(() => {})
+    return result
+  }
+}
+
+/**
+ * Creates a storage adapter that keeps values in memory. Values are lost when
+ * the process exits.
+ *
+ * @returns {{ get: Function, set: Function, delete: Function, entries: Function }}
+ */
+export function createMemoryStorage () {
+  const data = new Map()
+
+  return {
+    async get (key) {
+      return data.get(key)
+    },
+
+    async set (key, value) {
+      data.set(key, value)
+    },
+
+    async delete (key) {
+      data.delete(key)
+    },
+
+    async entries (prefix = '') {
+      return Array.from(data).filter(([key]) => key.startsWith(prefix))
+    }
+  }
+}
+
+/**
+ * Creates a storage adapter backed by a JSON file. The file is read on first
+ * use and rewritten after every change, so each write costs as much as the
+ * whole file. Use createJsonlStorage() for stores that only grow.
+ *
+ * @param {string} filePath - Path to the JSON file. Missing directories are created.
+ * @returns {{ get: Function, set: Function, delete: Function, entries: Function }}
+ */
+export function createFileStorage (filePath) {
+  if (!filePath) {
+    throw new Error('createFileStorage() requires a file path')
+  }
+
+  let data = null
+  const enqueue = createQueue()
+
+  async function readFile () {
+    if (data) return data
+
+    try {
+      const json = await fs.readFile(filePath, 'utf-8')
+      data = JSON.parse(json)
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw new Error(`Could not read x402 storage file ${filePath}: ${err.message}`)
+      }
+      data = {}
+    }
+
+    return data
+  }
+
+  // Write to a temp file and rename it, so a crash mid-write can't leave a
+  // truncated JSON file behind.
+  async function writeFile () {
+    await fs.mkdir(path.dirname(filePath), { recursive: true })
+    const tmpPath = `${filePath}.tmp`
+    await fs.writeFile(tmpPath, JSON.stringify(data, null, 2))
+    await fs.rename(tmpPath, filePath)
+  }
+
+  return {
+    get (key) {
+      return enqueue(async () => {
+        const store = await readFile()
+        return store[key]
+      })
+    },
+
+    set (key, value) {
+      return enqueue(async () => {
+        const store = await readFile()
+        store[key] = value
+        await writeFile()
+      })
+    },
+
+    delete (key) {
+      return enqueue(async () => {
+        const store = await readFile()
+        if (!(key in store)) return
+        delete store[key]
+        await writeFile()
+      })
+    },
+
+    entries (prefix = '') {
+      return enqueue(async () => {
+        const store = await readFile()
+        return Object.entries(store).filter(([key]) => key.startsWith(prefix))
+      })
+    }
+  }
+}
+
+/**
+ * Creates an append-only storage adapter backed by a JSON Lines file. Every
+ * change appends one line, so a write costs the same however large the file
+ * grows. Suits stores that only grow, like the payment ledger. The file is
+ * read on first use.
+ *
+ * @param {string} filePath - Path to the .jsonl file. Missing directories are created.
+ * @returns {{ get: Function, set: Function, delete: Function, entries: Function }}
+ */
+export function createJsonlStorage (filePath) {
+  if (!filePath) {
+    throw new Error('createJsonlStorage() requires a file path')
+  }
+
+  let data = null
+  // Set when the file doesn't end with a line break, e.g. after a crash
+  // mid-write, so the next line doesn't run on from the cut-off one.
+  let needsLineBreak = false
+  const enqueue = createQueue()
+
+  async function readFile () {
+    if (data) return data
+
+    let text = ''
+    try {
+      text = await fs.readFile(filePath, 'utf-8')
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw new Error(`Could not read x402 storage file ${filePath}: ${err.message}`)
+      }
+    }
+
+    data = new Map()
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue
+
+      let record
+      try {
+        record = JSON.parse(line)
+      } catch (err) {
+        // A line cut off by a crash is skipped
+        continue
+      }
+      if (record.deleted) data.delete(record.key)
+      else data.set(record.key, record.value)
+    }
+    needsLineBreak = text.length > 0 && !text.endsWith('\n')
+
+    return data
+  }
+
+  async function append (record) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true })
+    const line = `${needsLineBreak ? '\n' : ''}${JSON.stringify(record)}\n`
+    await fs.appendFile(filePath, line)
+    needsLineBreak = false
+  }
+
+  return {
+    get (key) {
+      return enqueue(async () => {
+        const store = await readFile()
+        return store.get(key)
+      })
+    },
+
+    set (key, value) {
+      return enqueue(async () => {
+        const store = await readFile()
+        await append({ key, value })
+        store.set(key, value)
+      })
+    },
+
+    // Deleting appends a tombstone. The file never shrinks.
+    delete (key) {
+      return enqueue(async () => {
+        const store = await readFile()
+        if (!store.has(key)) return
+        await append({ key, deleted: true })
+        store.delete(key)
+      })
+    },
+
+    entries (prefix = '') {
+      return enqueue(async () => {
+        const store = await readFile()
+        return Array.from(store).filter(([key]) => key.startsWith(prefix))
+      })
+    }
+  }
+}
@@ -0,0 +1,271 @@
+/*
+  Tab state for the x402 payment interceptor.
+
+  A "tab" is the prepaid UTXO that the client funded for a server, along with
+  the number of sats the client believes are still left on it. Each signer
+  owns its own tab state by default, so several wallets can run side by side
+  in one Node process without reusing each other's txid/vout.
+
+  Tabs are keyed by payTo, network and asset. A UTXO that paid one server is
+  never offered to another one. The network and asset are normalized first,
+  so a server that names mainnet 'bch' in one 402 and by its CAIP-2 ID in the
+  next, or leaves out the native BCH asset, still gets a single tab.
+
+  Tab state can be persisted through a storage adapter (see lib/storage.js)
+  so a restart doesn't forget a UTXO that still has sats left on the server.
+
+  Each tab also has a lock, so concurrent 402 responses for the same payee
+  fund the tab once and then take turns debiting it.
+*/
+
+// Local libraries
+import { toCaip2Network } from './networks.js'
+import {
+  getTokenCategory,
+  isNativeAsset,
+  NATIVE_ASSET_PLACEHOLDER
+} from './cashtokens.js'
+
+/**
+ * Builds the key that identifies the tab for a set of payment requirements.
+ *
+ * @param {Object} paymentRequirements - Selected payment requirements
+ * @returns {string}
+ */
+export function getTabKey (paymentRequirements = {}) {
+  const { payTo, network, asset } = paymentRequirements
+  if (!payTo) {
+    throw new Error('Payment requirements must include payTo to track a tab')
+  }
+
+  // Unknown networks and assets are kept as they are.
+  const networkKey = toCaip2Network(network) || network || ''
+  const assetKey = isNativeAsset(asset)
+    ? NATIVE_ASSET_PLACEHOLDER
+    : getTokenCategory(asset) || asset
+
+  return [networkKey, payTo, assetKey].join('|')
+}
+
+// The key getTabKey() built for a tab before it normalized the network and
+// asset. Tabs saved under it are moved to the current key on load.
+function getLegacyTabKey ({ payTo, network, asset }) {
+  return [network || '', payTo, asset || ''].join('|')
+}
+
+function emptyTab () {
+  return {
+    txid: null,
+    vout: null,
+    satsLeft: 0
+  }
+}
+
+/**
+ * Creates an isolated tab state container holding one tab per payee.
+ *
+ * Reads are synchronous and served from memory. Changes are written through
+ * to the optional storage adapter, and `load()` restores previously saved
+ * tabs, so balances survive a restart.
+ *
+ * @param {Object} options
+ * @param {Object} [options.storage] - Storage adapter (see lib/storage.js)
+ * @param {string} [options.namespace] - Prefix that keeps one wallet's tabs
+ *   apart from another's in shared storage. Usually the signer address.
+ * @returns {{
+ *   storage: Object|null,
+ *   load: () => Promise<void>,
+ *   get: (key: string) => Object,
+ *   set: (key: string, tab: Object) => Promise<Object>,
+ *   delete: (key: string) => Promise<void>,
+ *   list: () => Array<Object>,
+ *   reset: () => Promise<void>,
+ *   runExclusive: (key: string, fn: Function) => Promise<any>
+ * }}
+ */
+export function createTabState (options = {}) {
+  const { storage = null, namespace = '' } = options
+  const storagePrefix = `tab:${namespace}:`
+  const tabs = new Map()
+  const locks = new Map()
+  let loadPromise = null
+
+  return {
+    storage,
+
+    // Restore saved tabs from storage. Safe to call more than once.
+    load () {
+      if (!storage) return Promise.resolve()
+
+      if (!loadPromise) {
+        loadPromise = storage.entries(storagePrefix).then(async entries => {
+          for (const [storageKey, tab] of entries) {
+            const savedKey = storageKey.slice(storagePrefix.length)
+            const key = tab.payTo && savedKey === getLegacyTabKey(tab)
+              ? getTabKey(tab)
+              : savedKey
+            const isNew = !tabs.has(key)
+            // Don't clobber tabs that changed while storage was loading.
+            if (isNew) tabs.set(key, tab)
+
+            if (key !== savedKey) {
+              if (isNew) await storage.set(storagePrefix + key, tab)
+              await storage.delete(storageKey)
+            }
+          }
+        })
+        // Let a failed load be retried on the next call.
+        loadPromise.catch(() => { loadPromise = null })
+      }
+
+      return loadPromise
+    },
+
+    // Return copies so callers can't mutate the tracked tabs by accident.
+    get (key) {
+      const tab = tabs.get(key)
+      return tab ? { ...tab } : emptyTab()
+    },
+
+    async set (key, { txid = null, vout = null, satsLeft = 0, prepaidAmount, payTo, network, asset, from, fromPath } = {}) {
+      const now = new Date().toISOString()
+      const previous = tabs.get(key)
+
+      // A tab is "created" when its UTXO is first seen, and "updated" every
+      // time its balance changes.
+      const createdAt = previous && previous.txid === txid && previous.createdAt
+        ? previous.createdAt
+        : now
+
+      const tab = { txid, vout, satsLeft, payTo, network, asset, createdAt, updatedAt: now }
+      // What the UTXO prepaid, when this client funded it
+      if (prepaidAmount !== undefined) tab.prepaidAmount = prepaidAmount
+      // Address that funded the tab, and its derivation path, when the
+      // signer has more than one
+      if (from) tab.from = from
+      if (fromPath) tab.fromPath = fromPath
+      tabs.set(key, tab)
+
+      if (storage) await storage.set(storagePrefix + key, tab)
+
+      return { ...tab }
+    },
+
+    async delete (key) {
+      tabs.delete(key)
+      if (storage) await storage.delete(storagePrefix + key)
+    },
+
+    list () {
+      return Array.from(tabs, ([key, tab]) => ({ key, ...tab }))
+    },
+
+    async reset () {
+      const keys = Array.from(tabs.keys())
+      tabs.clear()
+      if (storage) {
+        await Promise.all(keys.map(key => storage.delete(storagePrefix + key)))
+      }
+    },
+
+    // Run fn while holding the lock for one tab. Calls for the same key run
+    // one after another in the order they were made; other keys aren't
+    // blocked. The lock is released whether fn resolves or rejects.
+    runExclusive (key, fn) {
+      const previous = locks.get(key) || Promise.resolve()
+      const result = previous.then(() => fn())
+      const tail = result.then(() => {}, () => {})
+
+      locks.set(key, tail)
+      tail.then(() => {
+        if (locks.get(key) === tail) locks.delete(key)
+      })
+
+      return result
+    }
+  }
+}
+
+/**
+ * Brings a tab's local balance in line with the balance the server reports
+ * after a paid request. The server is the source of truth.
+ *
+ * Other requests may have debited the tab while this one was in flight, so
+ * the tab isn't simply overwritten. Instead, the difference between what the
+ * server reports and what the client expected right after this request's
+ * debit is applied to the current balance. With nothing else in flight, the
+ * result equals the reported balance.
+ *
+ * @param {ReturnType<typeof createTabState>} tabState
+ * @param {string} key - Tab key
+ * @param {Object} balances
+ * @param {string} balances.txid - UTXO the request was charged against
+ * @param {number} balances.expectedSatsLeft - Local balance right after the debit
+ * @param {number|null} balances.reportedSatsLeft - Balance the server reports
+ * @returns {Promise<number>} Sats of drift that were corrected (0 if none)
+ */
+export function reconcileTabBalance (tabState, key, balances) {
+  const { txid, expectedSatsLeft, reportedSatsLeft } = balances
+  if (reportedSatsLeft === null || reportedSatsLeft === undefined) {
+    return Promise.resolve(0)
+  }
+
+  return tabState.runExclusive(key, async () => {
+    const tab = tabState.get(key)
+
+    // The tab has moved on to another UTXO. Nothing to reconcile.
+    if (tab.txid !== txid) return 0
+
+    const drift = Number(reportedSatsLeft) - expectedSatsLeft
+    if (drift === 0) return 0
+
+    console.warn(
+      `x402-bch-axios: tab balance mismatch for ${tab.payTo || key} (txid ${txid}). ` +
+      `Expected ${expectedSatsLeft} sats left, server reports ${reportedSatsLeft}. ` +
+      'Using the server balance.'
+    )
+
+    await tabState.set(key, { ...tab, satsLeft: tab.satsLeft + drift })
+    return drift
+  })
+}
+
+let signerTabStates = new WeakMap()
+
+/**
+ * Returns the tab state owned by a signer, creating it on first use.
+ *
+ * The storage adapter is bound when the tab state is created. Asking for the
+ * same signer's tab state with a different adapter later is an error, since
+ * the two would silently disagree about the signer's balances.
+ *
+ * @param {Object} signer - Signer returned by `createSigner()`
+ * @param {Object} options
+ * @param {Object} [options.storage] - Storage adapter (see lib/storage.js)
+ * @returns {ReturnType<typeof createTabState>}
+ */
+export function getSignerTabState (signer, options = {}) {
+  if (!signer || typeof signer !== 'object') {
+    throw new Error('A signer object is required to look up tab state')
+  }
+
+  const { storage = null } = options
+
+  let tabState = signerTabStates.get(signer)
+  if (!tabState) {
+    tabState = createTabState({ storage, namespace: signer.address || '' })
+    signerTabStates.set(signer, tabState)
+  } else if (storage && tabState.storage !== storage) {
+    throw new Error(
+      'This signer already has tab state bound to a different storage adapter. ' +
+      'Pass the same storage, or pass a tabState explicitly.'
+    )
+  }
+
+  return tabState
+}
+
+// Drop every signer's tab state. Only used by the unit tests.
+export function __resetSignerTabStates () {
+  signerTabStates = new WeakMap()
+}
@@ -0,0 +1,157 @@
+/*
+  Unit tests for the lib/cashtokens.js library.
+*/
+
+// npm libraries
+import { assert } from 'chai'
+import {
+  createVirtualMachineBCH,
+  decodeTransaction,
+  encodeCashAddress,
+  encodePrivateKeyWif,
+  hash160,
+  hexToBin,
+  secp256k1
+} from '@bitauth/libauth'
+
+// Local libraries
+import { InsufficientFundsError } from '../../lib/errors.js'
+import { signP2pkhTransaction } from '../../lib/signing.js'
+
+// Unit under test
+import {
+  buildTokenTransaction,
+  getTokenCategory,
+  selectTokenUtxos,
+  TOKEN_OUTPUT_SATS
+} from '../../lib/cashtokens.js'
+
+const CATEGORY = 'ab'.repeat(32)
+
+// Fixed test key, so the transactions are repeatable.
+const privateKey = hexToBin('11'.repeat(32))
+const wif = encodePrivateKeyWif(privateKey, 'mainnet')
+const pubkeyHash = hash160(secp256k1.derivePublicKeyCompressed(privateKey))
+const address = encodeCashAddress({ prefix: 'bitcoincash', type: 'p2pkh', payload: pubkeyHash }).address
+const payTo = encodeCashAddress({ prefix: 'bitcoincash', type: 'p2pkh', payload: new Uint8Array(20).fill(7) }).address
+
+function utxo (value, index, tokens) {
+  return {
+    tx_hash: index.toString(16).padStart(64, '0'),
+    tx_pos: 0,
+    value,
+    ...(tokens !== undefined && { token_data: { category: CATEGORY, amount: String(tokens) } })
+  }
+}
+
+// Checks the signatures of a built transaction with the libauth VM.
+function verify (hex, spent) {
+  const transaction = decodeTransaction(hexToBin(hex))
+  const sourceOutputs = spent.map(utxo => ({
+    lockingBytecode: new Uint8Array([0x76, 0xa9, 0x14, ...pubkeyHash, 0x88, 0xac]),
+    valueSatoshis: BigInt(utxo.value),
+    ...(utxo.token_data && {
+      token: { amount: BigInt(utxo.token_data.amount), category: hexToBin(CATEGORY) }
+    })
+  }))
+  return { transaction, valid: createVirtualMachineBCH().verify({ sourceOutputs, transaction }) }
+}
+
+describe('#cashtokens.js', () => {
+  describe('#getTokenCategory', () => {
+    it('should return the category of a token asset', () => {
+      assert.equal(getTokenCategory(CATEGORY.toUpperCase()), CATEGORY)
+    })
+
+    it('should return null for native BCH', () => {
+      assert.isNull(getTokenCategory('0x0000000000000000000000000000000000000001'))
+      assert.isNull(getTokenCategory(undefined))
+    })
+  })
+
+  describe('#selectTokenUtxos', () => {
+    it('should pick the largest token UTXOs first', () => {
+      const utxos = [utxo(1000, 1, 20), utxo(1000, 2, 80), utxo(1000, 3, 50), utxo(5000, 4)]
+
+      const result = selectTokenUtxos(utxos, CATEGORY, 100n)
+
+      assert.deepEqual(result.inputs, [utxos[1], utxos[2]])
+      assert.equal(result.totalTokens, 130n)
+    })
+
+    it('should never spend NFTs', () => {
+      const nft = utxo(1000, 1, 500)
+      nft.token_data.nft = { capability: 'none', commitment: '' }
+
+      assert.throws(() => selectTokenUtxos([nft], CATEGORY, 100n), InsufficientFundsError)
+    })
+
+    it('should report the shortfall in tokens', () => {
+      try {
+        selectTokenUtxos([utxo(1000, 1, 30)], CATEGORY, 100n)
+        assert.fail('Expected error to be thrown')
+      } catch (err) {
+        assert.instanceOf(err, InsufficientFundsError)
+        assert.equal(err.shortfallTokens, 70n)
+        assert.include(err.message, 'Short by 70 tokens')
+      }
+    })
+  })
+
+  describe('#buildTokenTransaction', () => {
+    it('should send tokens with token and BCH change', () => {
+      const utxos = [utxo(1000, 1, 150), utxo(10000, 2)]
+
+      const result = buildTokenTransaction({
+        wif, utxos, payTo, changeAddress: address, category: CATEGORY, amount: 100, feeRate: 1
+      })
+
+      const { transaction, valid } = verify(result.hex, utxos)
+      assert.isTrue(valid)
+      assert.equal(result.tokensSent, 100n)
+      assert.lengthOf(transaction.outputs, 3)
+      assert.equal(transaction.outputs[0].valueSatoshis, BigInt(TOKEN_OUTPUT_SATS))
+      assert.equal(transaction.outputs[1].token.amount, 50n)
+
+      const totalOut = transaction.outputs.reduce((sum, output) => sum + output.valueSatoshis, 0n)
+      assert.equal(11000n - totalOut, BigInt(result.fee))
+    })
+
+    it('should not add BCH inputs when the token UTXO covers the fee', () => {
+      const utxos = [utxo(5000, 1, 100), utxo(10000, 2)]
+
+      const result = buildTokenTransaction({
+        wif, utxos, payTo, changeAddress: address, category: CATEGORY, amount: 100, feeRate: 1
+      })
+
+      const { transaction, valid } = verify(result.hex, [utxos[0]])
+      assert.isTrue(valid)
+      assert.lengthOf(transaction.inputs, 1)
+    })
+
+    it('should leave the transaction unsigned without a WIF', () => {
+      const utxos = [utxo(1000, 1, 150), utxo(10000, 2)].map(u => ({ ...u, address }))
+
+      const result = buildTokenTransaction({
+        utxos, payTo, changeAddress: address, category: CATEGORY, amount: 100, feeRate: 1
+      })
+
+      assert.deepEqual(result.prevouts.map(prevout => prevout.token?.amount), ['150', undefined])
+      assert.notStrictEqual(verify(result.hex, utxos).valid, true)
+
+      const signed = signP2pkhTransaction(result.hex, result.prevouts, () => wif)
+      assert.isTrue(verify(signed, utxos).valid)
+    })
+
+    it('should throw when there is not enough BCH for the fee', () => {
+      const utxos = [utxo(800, 1, 100)]
+
+      assert.throws(
+        () => buildTokenTransaction({
+          wif, utxos, payTo, changeAddress: address, category: CATEGORY, amount: 100, feeRate: 1
+        }),
+        InsufficientFundsError
+      )
+    })
+  })
+})
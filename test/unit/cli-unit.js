@@ -0,0 +1,217 @@
+/*
+  Unit tests for the lib/cli.js command line client.
+*/
+
+// npm libraries
+import { assert } from 'chai'
+import sinon from 'sinon'
+import { promises as fs } from 'fs'
+import os from 'os'
+import path from 'path'
+
+// Unit under test
+import { getLedgerPath, runCli, USAGE } from '../../lib/cli.js'
+import { encryptKeystore, __internals, __resetInternals } from '../../index.js'
+
+// Key of the first address of the BIP39 'abandon ... about' test mnemonic.
+const TEST_WIF = 'KxbEv3FeYig2afQp7QEA9R3gwqdTBFwAJJ6Ma7j1SkmZoxC9bAXZ'
+const TEST_ADDRESS = 'bitcoincash:qqyx49mu0kkn9ftfj6hje6g2wfer34yfnq5tahq3q6'
+
+describe('#cli.js', () => {
+  let sandbox
+  let tmpDir
+  let statePath
+
+  const requirements = {
+    network: 'bip122:000000000000000000651ef99cb9fcbe',
+    scheme: 'utxo',
+    payTo: 'bitcoincash:qprecv',
+    amount: '1500',
+    asset: '0x0000000000000000000000000000000000000001',
+    maxTimeoutSeconds: 60,
+    extra: {}
+  }
+
+  function create402Response () {
+    const paymentRequired = Buffer.from(JSON.stringify({
+      x402Version: 2,
+      accepts: [requirements]
+    })).toString('base64')
+    return new Response('', { status: 402, headers: { 'PAYMENT-REQUIRED': paymentRequired } })
+  }
+
+  function createOutput () {
+    let text = ''
+    return {
+      write (chunk) {
+        text += chunk
+      },
+      get text () {
+        return text
+      }
+    }
+  }
+
+  async function run (argv, { env = { X402_BCH_WIF: TEST_WIF }, fetch } = {}) {
+    const stdout = createOutput()
+    const stderr = createOutput()
+    const code = await runCli([...argv, '--state', statePath], { env, stdout, stderr, fetch })
+    return { code, stdout: stdout.text, stderr: stderr.text }
+  }
+
+  beforeEach(async () => {
+    sandbox = sinon.createSandbox()
+    __resetInternals()
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'x402-bch-cli-'))
+    statePath = path.join(tmpDir, 'state.json')
+  })
+
+  afterEach(async () => {
+    sandbox.restore()
+    __resetInternals()
+    await fs.rm(tmpDir, { recursive: true, force: true })
+  })
+
+  it('should print the usage', async () => {
+    const result = await run(['--help'])
+
+    assert.equal(result.code, 0)
+    assert.equal(result.stdout, USAGE)
+  })
+
+  it('should exit with code 2 on an unknown command or option', async () => {
+    const unknownCommand = await run(['delete', 'https://api.example.com'])
+    assert.equal(unknownCommand.code, 2)
+    assert.include(unknownCommand.stderr, 'Unknown command "delete"')
+
+    const unknownOption = await run(['get', 'https://api.example.com', '--verbose'])
+    assert.equal(unknownOption.code, 2)
+  })
+
+  it('should reject an unknown network with the names it knows', async () => {
+    const fetch = sandbox.stub()
+
+    const result = await run(['quote', 'https://api.example.com/weather', '--network', 'testnet'], { fetch })
+
+    assert.equal(result.code, 2)
+    assert.include(result.stderr, 'Unknown network "testnet"')
+    assert.include(result.stderr, 'testnet3, testnet4')
+    assert.isTrue(fetch.notCalled)
+    assert.include(USAGE, 'mainnet, testnet3, testnet4, chipnet or regtest')
+  })
+
+  it('should require a key to pay', async () => {
+    const result = await run(['get', 'https://api.example.com/weather'], { env: {} })
+
+    assert.equal(result.code, 2)
+    assert.include(result.stderr, 'Set X402_BCH_WIF or pass --keystore')
+  })
+
+  it('should quote a URL without paying', async () => {
+    const fetch = sandbox.stub().resolves(create402Response())
+
+    const result = await run(['quote', 'https://api.example.com/weather'], { env: {}, fetch })
+
+    assert.equal(result.code, 0)
+    const quote = JSON.parse(result.stdout)
+    assert.deepEqual(quote.accepts, [requirements])
+    assert.deepEqual(quote.selected, requirements)
+    assert.isTrue(fetch.calledOnce)
+  })
+
+  it('should pay for a request, then show the tab and the history', async () => {
+    const sendPaymentStub = sandbox
+      .stub()
+      .resolves({ txid: 'tx123', vout: 0, satsSent: 2000, fee: 226 })
+    __internals.sendPayment = sendPaymentStub
+
+    const fetch = sandbox.stub()
+    fetch.onCall(0).resolves(create402Response())
+    fetch.onCall(1).resolves(create402Response())
+    fetch.onCall(2).resolves(new Response('{"temp":21}', { status: 200 }))
+
+    const paid = await run(['get', 'https://api.example.com/weather', '--amount', '2000'], { fetch })
+
+    assert.equal(paid.code, 0)
+    assert.equal(paid.stdout, '{"temp":21}\n')
+    assert.include(paid.stderr, '"txid": "tx123"')
+    const [signer, , bchServerConfig] = sendPaymentStub.firstCall.args
+    assert.equal(signer.address, TEST_ADDRESS)
+    assert.equal(bchServerConfig.bchServerURL, 'https://free-bch.fullstack.cash')
+
+    const tab = JSON.parse((await run(['tab'])).stdout)
+    assert.equal(tab.address, TEST_ADDRESS)
+    assert.include(tab.tabs[0], { txid: 'tx123', satsLeft: 500 })
+
+    const history = await run(['history', '--format', 'csv', '--host', 'api.example.com'])
+    const rows = history.stdout.trim().split('\n')
+    assert.lengthOf(rows, 3)
+    assert.include(rows[1], 'prepayment')
+    assert.include(rows[2], 'debit')
+
+    // The ledger is appended to its own file, not rewritten with the tabs
+    const state = JSON.parse(await fs.readFile(statePath, 'utf-8'))
+    assert.isTrue(Object.keys(state).every(key => key.startsWith('tab:')))
+    const ledgerLines = (await fs.readFile(getLedgerPath(statePath), 'utf-8')).trim().split('\n')
+    assert.lengthOf(ledgerLines, 2)
+  })
+
+  it('should keep library logging off stdout', async () => {
+    __internals.sendPayment = sandbox.stub().callsFake(async () => {
+      console.log('Broadcasting prepayment')
+      return { txid: 'tx123', vout: 0, satsSent: 2000, fee: 226 }
+    })
+    const fetch = sandbox.stub()
+    fetch.onCall(0).resolves(create402Response())
+    fetch.onCall(1).resolves(create402Response())
+    fetch.onCall(2).resolves(new Response('{"temp":21}', { status: 200 }))
+
+    const paid = await run(['get', 'https://api.example.com/weather'], { fetch })
+    const history = await run(['history', '--format', 'csv'])
+
+    assert.equal(paid.stdout, '{"temp":21}\n')
+    assert.include(paid.stderr, 'Broadcasting prepayment\n')
+    assert.match(history.stdout, /^id,/)
+  })
+
+  it('should send a POST body and headers', async () => {
+    const fetch = sandbox.stub().resolves(new Response('created', { status: 201 }))
+
+    const result = await run([
+      'post', 'https://api.example.com/items',
+      '-d', '{"name":"x"}',
+      '-H', 'X-Request-Id: 42'
+    ], { fetch })
+
+    assert.equal(result.code, 0)
+    const [, init] = fetch.firstCall.args
+    assert.equal(init.method, 'POST')
+    assert.equal(init.body, '{"name":"x"}')
+    assert.include(init.headers, { 'x-request-id': '42', 'content-type': 'application/json' })
+  })
+
+  it('should refuse a price above --max-sats', async () => {
+    const sendPaymentStub = sandbox.stub()
+    __internals.sendPayment = sendPaymentStub
+    const fetch = sandbox.stub().resolves(create402Response())
+
+    const result = await run(['get', 'https://api.example.com/weather', '--max-sats', '1000'], { fetch })
+
+    assert.equal(result.code, 1)
+    assert.include(result.stderr, 'Error:')
+    assert.isTrue(sendPaymentStub.notCalled)
+  })
+
+  it('should load the key from a keystore', async () => {
+    const keystore = await encryptKeystore(TEST_WIF, 'passphrase', { kdfParams: { n: 1024 } })
+    const keystorePath = path.join(tmpDir, 'keystore.json')
+    await fs.writeFile(keystorePath, JSON.stringify(keystore))
+
+    const result = await run(['tab', '--keystore', keystorePath], {
+      env: { X402_BCH_PASSPHRASE: 'passphrase' }
+    })
+
+    assert.equal(result.code, 0)
+    assert.equal(JSON.parse(result.stdout).address, TEST_ADDRESS)
+  })
+})
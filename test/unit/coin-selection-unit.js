@@ -0,0 +1,133 @@
+/*
+  Unit tests for the lib/coin-selection.js library.
+*/
+
+// npm libraries
+import { assert } from 'chai'
+
+// Local libraries
+import { InsufficientFundsError, ERROR_CODES } from '../../lib/errors.js'
+
+// Unit under test
+import { selectCoins } from '../../lib/coin-selection.js'
+
+// 1 sat/byte, with P2PKH sizes of 148 bytes per input and 34 per output.
+const feeFor = (inputCount, outputCount) => 148 * inputCount + 34 * outputCount + 10
+
+function utxo (value, index = 0) {
+  return { tx_hash: `txid-${index}`, tx_pos: 0, value }
+}
+
+describe('#coin-selection.js', () => {
+  describe('#selectCoins', () => {
+    it('should use the smallest single UTXO that covers the payment', () => {
+      const utxos = [utxo(50000, 0), utxo(3000, 1), utxo(10000, 2)]
+
+      const result = selectCoins(utxos, 2000, feeFor)
+
+      assert.deepEqual(result.inputs, [utxos[1]])
+      assert.equal(result.totalSats, 3000)
+      assert.equal(result.fee, feeFor(1, 2))
+    })
+
+    it('should combine UTXOs when no single one is big enough', () => {
+      const utxos = Array.from({ length: 10 }, (_, i) => utxo(1500, i))
+
+      const result = selectCoins(utxos, 2000, feeFor)
+
+      assert.lengthOf(result.inputs, 2)
+      assert.equal(result.totalSats, 3000)
+      assert.equal(result.fee, feeFor(2, 2))
+    })
+
+    it('should prefer the largest UTXOs to keep the input count low', () => {
+      const utxos = [utxo(700, 0), utxo(1800, 1), utxo(900, 2), utxo(1600, 3)]
+
+      const result = selectCoins(utxos, 2500, feeFor)
+
+      assert.deepEqual(result.inputs.map(input => input.value), [1800, 1600])
+    })
+
+    it('should add an input when the fee of the extra input is not covered', () => {
+      // 2 inputs cover the payment but not their own fee
+      const utxos = [utxo(1200, 0), utxo(1200, 1), utxo(1200, 2)]
+
+      const result = selectCoins(utxos, 2200, feeFor)
+
+      assert.lengthOf(result.inputs, 3)
+      assert.equal(result.fee, feeFor(3, 2))
+    })
+
+    it('should skip token dust and CashToken UTXOs', () => {
+      const utxos = [
+        utxo(546, 0),
+        { ...utxo(5000, 1), token_data: { category: 'abc', amount: '10' } },
+        utxo(3000, 2)
+      ]
+
+      const result = selectCoins(utxos, 2000, feeFor)
+
+      assert.deepEqual(result.inputs, [utxos[2]])
+    })
+
+    it('should return change when it is above the dust limit', () => {
+      const result = selectCoins([utxo(5000)], 2000, feeFor)
+
+      assert.equal(result.fee, feeFor(1, 2))
+      assert.equal(result.change, 5000 - 2000 - feeFor(1, 2))
+    })
+
+    it('should add dust change to the fee', () => {
+      // 300 sats would be left over with a change output
+      const value = 2000 + feeFor(1, 2) + 300
+
+      const result = selectCoins([utxo(value)], 2000, feeFor)
+
+      assert.equal(result.change, 0)
+      assert.equal(result.fee, value - 2000)
+    })
+
+    it('should accept a custom dust limit', () => {
+      const value = 2000 + feeFor(1, 2) + 300
+
+      const result = selectCoins([utxo(value)], 2000, feeFor, { dustLimit: 300 })
+
+      assert.equal(result.change, 300)
+    })
+
+    it('should pay without change when change would not fit', () => {
+      // Enough for one output, not for a change output too
+      const value = 2000 + feeFor(1, 1) + 10
+
+      const result = selectCoins([utxo(value)], 2000, feeFor)
+
+      assert.deepEqual(result.inputs.map(input => input.value), [value])
+      assert.equal(result.change, 0)
+      assert.equal(result.fee, feeFor(1, 1) + 10)
+    })
+
+    it('should report the shortfall in sats', () => {
+      const utxos = [utxo(1000, 0), utxo(800, 1)]
+
+      try {
+        selectCoins(utxos, 2000, feeFor)
+        assert.fail('Expected error to be thrown')
+      } catch (err) {
+        assert.instanceOf(err, InsufficientFundsError)
+        assert.equal(err.code, ERROR_CODES.INSUFFICIENT_FUNDS)
+        assert.equal(err.shortfallSats, 2000 + feeFor(2, 1) - 1800)
+        assert.include(err.message, `Short by ${err.shortfallSats} sats`)
+      }
+    })
+
+    it('should report the shortfall when the wallet has no spendable UTXOs', () => {
+      try {
+        selectCoins([], 2000, feeFor)
+        assert.fail('Expected error to be thrown')
+      } catch (err) {
+        assert.instanceOf(err, InsufficientFundsError)
+        assert.equal(err.shortfallSats, 2000 + feeFor(1, 1))
+      }
+    })
+  })
+})
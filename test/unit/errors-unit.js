@@ -0,0 +1,75 @@
+/*
+  Unit tests for the lib/errors.js library.
+*/
+
+// npm libraries
+import { assert } from 'chai'
+
+// Unit under test
+import {
+  ERROR_CODES,
+  X402PaymentError,
+  MissingRequestConfigError,
+  MissingPaymentRequirementsError,
+  NoBCHRequirementsError,
+  InvalidPaymentRequiredError,
+  InsufficientFundsError,
+  UtxoLookupError,
+  BroadcastError,
+  PaymentRejectedError,
+  UnsupportedNetworkError,
+  UnsupportedAssetError,
+  UnsupportedSignerError,
+  PaymentDeclinedError,
+  InvalidRequestOptionsError
+} from '../../lib/errors.js'
+
+describe('#errors.js', () => {
+  it('should give every error class a stable code', () => {
+    const cases = [
+      [MissingRequestConfigError, ERROR_CODES.MISSING_REQUEST_CONFIG],
+      [MissingPaymentRequirementsError, ERROR_CODES.MISSING_REQUIREMENTS],
+      [NoBCHRequirementsError, ERROR_CODES.NO_BCH_REQUIREMENT],
+      [InvalidPaymentRequiredError, ERROR_CODES.INVALID_PAYMENT_REQUIRED],
+      [InsufficientFundsError, ERROR_CODES.INSUFFICIENT_FUNDS],
+      [UtxoLookupError, ERROR_CODES.UTXO_LOOKUP_FAILED],
+      [BroadcastError, ERROR_CODES.BROADCAST_FAILED],
+      [PaymentRejectedError, ERROR_CODES.PAYMENT_REJECTED],
+      [UnsupportedNetworkError, ERROR_CODES.UNSUPPORTED_NETWORK],
+      [UnsupportedAssetError, ERROR_CODES.UNSUPPORTED_ASSET],
+      [UnsupportedSignerError, ERROR_CODES.UNSUPPORTED_SIGNER],
+      [PaymentDeclinedError, ERROR_CODES.PAYMENT_DECLINED],
+      [InvalidRequestOptionsError, ERROR_CODES.INVALID_REQUEST_OPTIONS]
+    ]
+
+    for (const [ErrorClass, code] of cases) {
+      const err = new ErrorClass('message')
+      assert.instanceOf(err, X402PaymentError)
+      assert.instanceOf(err, Error)
+      assert.equal(err.code, code)
+      assert.equal(err.name, ErrorClass.name)
+    }
+  })
+
+  it('should carry the axios error, requirements and cause', () => {
+    const axiosError = { response: { status: 402 } }
+    const paymentRequirements = { payTo: 'addr' }
+    const cause = new Error('root cause')
+
+    const err = new PaymentRejectedError('rejected', { axiosError, paymentRequirements, cause })
+
+    assert.strictEqual(err.axiosError, axiosError)
+    assert.strictEqual(err.paymentRequirements, paymentRequirements)
+    assert.strictEqual(err.cause, cause)
+    assert.strictEqual(err.response, axiosError.response)
+  })
+
+  it('should default the context to null', () => {
+    const err = new InsufficientFundsError()
+
+    assert.equal(err.message, 'Insufficient balance')
+    assert.isNull(err.axiosError)
+    assert.isNull(err.paymentRequirements)
+    assert.isUndefined(err.response)
+  })
+})
@@ -0,0 +1,62 @@
+/*
+  Unit tests for the lib/fetch-adapter.js library.
+*/
+
+// npm libraries
+import { assert } from 'chai'
+
+// Unit under test
+import {
+  createFetchAdapter,
+  toHeaderObject,
+  toRequestConfig
+} from '../../lib/fetch-adapter.js'
+
+describe('#fetch-adapter.js', () => {
+  describe('#toHeaderObject', () => {
+    it('should lowercase the names of any HeadersInit', () => {
+      assert.deepEqual(toHeaderObject({ Accept: 'text/plain' }), { accept: 'text/plain' })
+      assert.deepEqual(toHeaderObject([['X-Id', '1']]), { 'x-id': '1' })
+      assert.deepEqual(toHeaderObject(new Headers({ 'PAYMENT-REQUIRED': 'abc' })), { 'payment-required': 'abc' })
+      assert.deepEqual(toHeaderObject(), {})
+    })
+  })
+
+  describe('#toRequestConfig', () => {
+    it('should build a config from a URL and init', () => {
+      const config = toRequestConfig(new URL('https://api.example.com/weather'), {
+        method: 'post',
+        headers: { Accept: 'application/json' }
+      })
+
+      assert.include(config, { url: 'https://api.example.com/weather', method: 'POST' })
+      assert.deepEqual(config.headers, { accept: 'application/json' })
+    })
+
+    it('should take the URL, method and headers of a Request', () => {
+      const request = new Request('https://api.example.com/weather', {
+        method: 'PUT',
+        headers: { 'X-Id': '1' }
+      })
+      const config = toRequestConfig(request)
+
+      assert.include(config, { url: 'https://api.example.com/weather', method: 'PUT' })
+      assert.deepEqual(config.headers, { 'x-id': '1' })
+      assert.strictEqual(config.fetchInput, request)
+    })
+  })
+
+  describe('#createFetchAdapter', () => {
+    it('should reject responses that are not ok, like axios', async () => {
+      const adapter = createFetchAdapter(async () => new Response('nope', { status: 404 }))
+
+      try {
+        await adapter.request(toRequestConfig('https://api.example.com/missing'))
+        assert.fail('Expected error to be thrown')
+      } catch (err) {
+        assert.equal(err.message, 'Request failed with status code 404')
+        assert.equal(err.response.status, 404)
+      }
+    })
+  })
+})
@@ -0,0 +1,201 @@
+/*
+  Unit tests for the lib/hd-signer.js library.
+*/
+
+// npm libraries
+import { assert } from 'chai'
+import BCHWallet from 'minimal-slp-wallet'
+import {
+  cashAddressToLockingBytecode,
+  createVirtualMachineBCH,
+  decodeTransaction,
+  hexToBin
+} from '@bitauth/libauth'
+
+// Unit under test
+import { createHDSigner, isHDSigner } from '../../lib/hd-signer.js'
+
+// BIP39 test vector. Its first BCH address is well known.
+const MNEMONIC = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about'
+const FIRST_ADDRESS = 'bitcoincash:qqyx49mu0kkn9ftfj6hje6g2wfer34yfnq5tahq3q6'
+
+describe('#hd-signer.js', () => {
+  let bchjs
+
+  before(() => {
+    bchjs = new BCHWallet().bchjs
+  })
+
+  describe('#createHDSigner', () => {
+    it('should use the first receive address as the signer address', async () => {
+      const signer = await createHDSigner(bchjs, MNEMONIC, { paymentAmountSats: 2000 })
+
+      assert.equal(signer.address, FIRST_ADDRESS)
+      assert.equal(signer.getReceiveAddress(), FIRST_ADDRESS)
+      assert.equal(signer.paymentAmountSats, 2000)
+      assert.equal(signer.network, 'mainnet')
+      assert.isTrue(isHDSigner(signer))
+    })
+
+    it('should move to a new receive address once one is used', async () => {
+      const signer = await createHDSigner(bchjs, MNEMONIC)
+
+      signer.markAddressUsed(FIRST_ADDRESS)
+
+      assert.notEqual(signer.getReceiveAddress(), FIRST_ADDRESS)
+      assert.equal(signer.address, FIRST_ADDRESS)
+    })
+
+    it('should return a new change address each time', async () => {
+      const signer = await createHDSigner(bchjs, MNEMONIC)
+
+      const first = signer.nextChangeAddress()
+      const second = signer.nextChangeAddress()
+
+      assert.notEqual(first, second)
+      assert.notEqual(first, FIRST_ADDRESS)
+    })
+
+    it('should scan gapLimit addresses past the last used one on each chain', async () => {
+      const signer = await createHDSigner(bchjs, MNEMONIC, { gapLimit: 3 })
+      assert.lengthOf(signer.getAddresses(), 6)
+
+      signer.markAddressUsed(signer.getAddresses()[2])
+      signer.nextChangeAddress()
+
+      // 3 used receive addresses and 1 used change address
+      assert.lengthOf(signer.getAddresses(), 6 + 3 + 1)
+    })
+
+    it('should skip past addresses with transaction history', async () => {
+      const signer = await createHDSigner(bchjs, MNEMONIC, { gapLimit: 2 })
+      const [, receive1, change0] = signer.getAddresses()
+      const batches = []
+
+      await signer.discoverUsedAddresses(async addresses => {
+        batches.push(addresses)
+        return addresses.filter(address => [receive1, change0].includes(address))
+      })
+
+      // The second batch holds the addresses past the ones found used
+      assert.lengthOf(batches, 2)
+      assert.lengthOf(batches[1], 3)
+      assert.notInclude([FIRST_ADDRESS, receive1], signer.getReceiveAddress())
+      assert.notEqual(signer.nextChangeAddress(), change0)
+    })
+
+    it('should sign with the key of a derived address', async () => {
+      const signer = await createHDSigner(bchjs, MNEMONIC)
+      const change = signer.nextChangeAddress()
+
+      const changeSigner = signer.forAddress(change)
+      const signature = changeSigner.signMessage('message')
+
+      assert.equal(changeSigner.address, change)
+      assert.isTrue(bchjs.BitcoinCash.verifyMessage(change, signature, 'message'))
+      assert.isTrue(bchjs.BitcoinCash.verifyMessage(FIRST_ADDRESS, signer.signMessage('message'), 'message'))
+      assert.strictEqual(signer.getKeyPair(change), changeSigner.ecpair)
+    })
+
+    it('should sign inputs from several derived addresses', async () => {
+      const signer = await createHDSigner(bchjs, MNEMONIC)
+      const change = signer.nextChangeAddress()
+      const txid = 'ab'.repeat(32)
+
+      const transactionBuilder = new bchjs.TransactionBuilder('mainnet')
+      transactionBuilder.addInput(txid, 0)
+      transactionBuilder.addInput(txid, 1)
+      transactionBuilder.addOutput(FIRST_ADDRESS, 3000)
+      const unsignedHex = transactionBuilder.transaction.buildIncomplete().toHex()
+
+      const signedHex = await signer.signTransaction(unsignedHex, [
+        { txid, vout: 0, value: 2000, address: FIRST_ADDRESS },
+        { txid, vout: 1, value: 2000, address: change }
+      ])
+
+      const valid = createVirtualMachineBCH().verify({
+        transaction: decodeTransaction(hexToBin(signedHex)),
+        sourceOutputs: [FIRST_ADDRESS, change].map(owner => ({
+          lockingBytecode: cashAddressToLockingBytecode(owner).bytecode,
+          valueSatoshis: 2000n
+        }))
+      })
+      assert.isTrue(valid)
+    })
+
+    it('should find the key of a tab after a restart', async () => {
+      const before = await createHDSigner(bchjs, MNEMONIC, { gapLimit: 2 })
+      const near = before.nextChangeAddress()
+      for (let i = 0; i < 3; i++) before.nextChangeAddress()
+      const far = before.nextChangeAddress()
+      const farPath = before.getDerivationPath(far)
+      assert.equal(farPath, "m/44'/145'/0'/1/4")
+
+      // A new signer from the same mnemonic has only derived receive/0
+      const after = await createHDSigner(bchjs, MNEMONIC, { gapLimit: 2 })
+
+      // Addresses within the gap limit are searched for. Others need their
+      // path, and a path that doesn't lead to the address is not trusted.
+      assert.equal(after.forAddress(near).address, near)
+      assert.throws(() => after.forAddress(far), /not derived by this HD signer/)
+      assert.throws(() => after.forAddress(far, "m/44'/145'/0'/1/3"), /not derived by this HD signer/)
+
+      const farSigner = after.forAddress(far, farPath)
+      assert.isTrue(bchjs.BitcoinCash.verifyMessage(far, farSigner.signMessage('message'), 'message'))
+    })
+
+    it('should never serialize a WIF and drop its keys when disposed', async () => {
+      const signer = await createHDSigner(bchjs, MNEMONIC)
+      const changeSigner = signer.forAddress(signer.nextChangeAddress())
+
+      assert.isString(signer.wif)
+      assert.notInclude(JSON.stringify(signer), signer.wif)
+      assert.notInclude(JSON.stringify(changeSigner), changeSigner.wif)
+
+      signer.dispose()
+
+      assert.isUndefined(signer.wif)
+      assert.throws(() => signer.signMessage('message'), /signer has been disposed/)
+      assert.throws(() => signer.getAddresses(), /signer has been disposed/)
+    })
+
+    it('should refuse addresses it did not derive', async () => {
+      const signer = await createHDSigner(bchjs, MNEMONIC, { gapLimit: 3 })
+
+      assert.throws(() => signer.forAddress('bitcoincash:qpother'), /not derived by this HD signer/)
+    })
+
+    it('should derive testnet and regtest addresses', async () => {
+      const chipnet = await createHDSigner(bchjs, MNEMONIC, { network: 'chipnet' })
+      const regtest = await createHDSigner(bchjs, MNEMONIC, { network: 'regtest' })
+
+      assert.match(chipnet.address, /^bchtest:/)
+      assert.match(chipnet.wif, /^c/)
+      assert.match(regtest.address, /^bchreg:/)
+    })
+
+    it('should use a custom derivation path', async () => {
+      const signer = await createHDSigner(bchjs, MNEMONIC, { derivationPath: "m/44'/145'/1'" })
+
+      assert.notEqual(signer.address, FIRST_ADDRESS)
+    })
+
+    it('should reject invalid options', async () => {
+      const cases = [
+        [['abandon about'], /Invalid mnemonic/],
+        [[undefined], /mnemonic is required/],
+        [[MNEMONIC, { derivationPath: '44/145' }], /Invalid derivationPath/],
+        [[MNEMONIC, { gapLimit: 0 }], /gapLimit must be a positive integer/]
+      ]
+
+      for (const [args, message] of cases) {
+        try {
+          await createHDSigner(bchjs, ...args)
+          assert.fail('Expected error to be thrown')
+        } catch (err) {
+          assert.match(err.message, message)
+        }
+      }
+    })
+  })
+})
@@ -6,19 +6,58 @@
 import { assert } from 'chai'
 import sinon from 'sinon'
 import cloneDeep from 'lodash.clonedeep'
+import BCHWallet from 'minimal-slp-wallet'
+import { promises as fs } from 'fs'
+import os from 'os'
+import path from 'path'
 
 // Unit under test
 import {
   createSigner,
+  createSignerFromKeystore,
+  createSignerFromBIP38,
+  encryptKeystore,
+  createLocalSigner,
+  createHDSigner,
   selectPaymentRequirements,
   createPaymentHeader,
   withPaymentInterceptor,
+  wrapFetchWithPayment,
+  createTabState,
+  getSignerTabState,
+  getTabKey,
+  createMemoryStorage,
+  createSpendingPolicy,
+  createLedger,
+  SpendingPolicyError,
+  parsePaymentRequired,
+  ERROR_CODES,
+  X402PaymentError,
+  MissingRequestConfigError,
+  MissingPaymentRequirementsError,
+  NoBCHRequirementsError,
+  InvalidPaymentRequiredError,
+  InsufficientFundsError,
+  UtxoLookupError,
+  BroadcastError,
+  PaymentRejectedError,
+  UnsupportedNetworkError,
+  UnsupportedAssetError,
+  UnsupportedSignerError,
+  PaymentDeclinedError,
+  InvalidRequestOptionsError,
+  BCH_NETWORKS,
   __setDependencies,
   __resetDependencies,
   __resetInternals,
+  __resetCurrentUtxo,
   __internals
 } from '../../index.js'
 
+// Key of the first address of the BIP39 'abandon ... about' test mnemonic.
+const TEST_WIF = 'KxbEv3FeYig2afQp7QEA9R3gwqdTBFwAJJ6Ma7j1SkmZoxC9bAXZ'
+const TEST_ADDRESS = 'bitcoincash:qqyx49mu0kkn9ftfj6hje6g2wfer34yfnq5tahq3q6'
+
 describe('#index.js', () => {
   let sandbox
 
@@ -70,6 +109,202 @@ describe('#index.js', () => {
 
       __resetDependencies()
     })
+
+    it('should derive a bchreg: address for regtest', () => {
+      const mockEcpair = { ecpair: true }
+      const toCashAddressStub = sandbox.stub().returns('bchreg:qptest')
+
+      __setDependencies({
+        BCHWallet: sandbox.stub().returns({
+          bchjs: {
+            ECPair: {
+              fromWIF: sandbox.stub().returns(mockEcpair),
+              toCashAddress: toCashAddressStub
+            }
+          }
+        })
+      })
+
+      const signer = createSigner('test-wif', 1500, { network: 'regtest' })
+
+      assert.deepEqual(toCashAddressStub.firstCall.args, [mockEcpair, true])
+      assert.equal(signer.address, 'bchreg:qptest')
+      assert.equal(signer.network, 'regtest')
+
+      __resetDependencies()
+    })
+
+    it('should throw when the private key is for another network', () => {
+      __setDependencies({
+        BCHWallet: sandbox.stub().returns({
+          bchjs: {
+            ECPair: {
+              fromWIF: sandbox.stub().returns({}),
+              toCashAddress: sandbox.stub().returns('bitcoincash:qptest')
+            }
+          }
+        })
+      })
+
+      assert.throws(
+        () => createSigner('test-wif', 1500, { network: 'chipnet' }),
+        /not for chipnet. Expected a bchtest: address/
+      )
+
+      __resetDependencies()
+    })
+
+    it('should throw on an unknown network', () => {
+      assert.throws(() => createSigner('test-wif', 1500, { network: 'btc' }), /Unknown BCH network/)
+    })
+
+    it('should never serialize its WIF', () => {
+      const signer = createSigner(TEST_WIF, 1500)
+
+      assert.equal(signer.wif, TEST_WIF)
+      assert.notInclude(JSON.stringify(signer), TEST_WIF)
+      assert.notProperty({ ...signer }, 'wif')
+      assert.notProperty({ ...signer }, 'ecpair')
+    })
+
+    it('should drop its key when disposed', async () => {
+      const signer = createSigner(TEST_WIF, 1500)
+
+      signer.dispose()
+
+      assert.isUndefined(signer.wif)
+      assert.isUndefined(signer.ecpair)
+      assert.throws(() => signer.signMessage('message'), /signer has been disposed/)
+      try {
+        await signer.signTransaction('00', [])
+        assert.fail('Expected error to be thrown')
+      } catch (err) {
+        assert.include(err.message, 'signer has been disposed')
+      }
+    })
+  })
+
+  describe('#createSignerFromKeystore', () => {
+    let tmpDir
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'x402-bch-keystore-'))
+    })
+
+    afterEach(async () => {
+      await fs.rm(tmpDir, { recursive: true, force: true })
+    })
+
+    it('should create a signer from a keystore file', async () => {
+      const keystore = await encryptKeystore(TEST_WIF, 'passphrase', {
+        address: TEST_ADDRESS,
+        kdfParams: { n: 1024 }
+      })
+      const keystorePath = path.join(tmpDir, 'keystore.json')
+      await fs.writeFile(keystorePath, JSON.stringify(keystore))
+
+      const signer = await createSignerFromKeystore(keystorePath, 'passphrase', 1500)
+
+      assert.equal(signer.address, TEST_ADDRESS)
+      assert.equal(signer.paymentAmountSats, 1500)
+    })
+
+    it('should reject a keystore whose key does not match its address', async () => {
+      const keystore = await encryptKeystore(TEST_WIF, 'passphrase', {
+        address: 'bitcoincash:qpother',
+        kdfParams: { n: 1024 }
+      })
+
+      try {
+        await createSignerFromKeystore(keystore, 'passphrase', 1500)
+        assert.fail('Expected error to be thrown')
+      } catch (err) {
+        assert.include(err.message, 'The keystore is for bitcoincash:qpother')
+      }
+    })
+
+    it('should reject a wrong passphrase', async () => {
+      const keystore = await encryptKeystore(TEST_WIF, 'passphrase', { kdfParams: { n: 1024 } })
+
+      try {
+        await createSignerFromKeystore(keystore, 'wrong', 1500)
+        assert.fail('Expected error to be thrown')
+      } catch (err) {
+        assert.include(err.message, 'Check the passphrase')
+      }
+    })
+  })
+
+  describe('#createSignerFromBIP38', () => {
+    afterEach(() => {
+      __resetDependencies()
+    })
+
+    function mockBip38 (decryptBIP38) {
+      __setDependencies({
+        BCHWallet: sandbox.stub().returns({
+          bchjs: {
+            BitcoinCash: { decryptBIP38 },
+            ECPair: {
+              fromWIF: sandbox.stub().returns({}),
+              toCashAddress: sandbox.stub().returns('bchtest:qptest')
+            }
+          }
+        })
+      })
+    }
+
+    it('should decrypt the key for the signer network', async () => {
+      const decryptBIP38 = sandbox.stub().returns('decrypted-wif')
+      mockBip38(decryptBIP38)
+
+      const signer = await createSignerFromBIP38('6Pencrypted', 'passphrase', 1500, { network: 'chipnet' })
+
+      assert.deepEqual(decryptBIP38.firstCall.args, ['6Pencrypted', 'passphrase', 'testnet'])
+      assert.equal(signer.wif, 'decrypted-wif')
+      assert.equal(signer.address, 'bchtest:qptest')
+    })
+
+    it('should reject a wrong passphrase', async () => {
+      mockBip38(sandbox.stub().throws(new Error('Expected values to be strictly deep-equal')))
+
+      try {
+        await createSignerFromBIP38('6Pencrypted', 'wrong', 1500)
+        assert.fail('Expected error to be thrown')
+      } catch (err) {
+        assert.equal(err.message, 'Could not decrypt the BIP38 key. Check the passphrase.')
+      }
+    })
+  })
+
+  describe('#createLocalSigner', () => {
+    it('should implement the async signer contract without exposing the WIF', async () => {
+      const signer = createLocalSigner(TEST_WIF, 1500)
+
+      assert.equal(signer.address, TEST_ADDRESS)
+      assert.equal(signer.paymentAmountSats, 1500)
+      assert.notInclude(JSON.stringify(signer), TEST_WIF)
+      assert.notProperty(signer, 'wif')
+
+      const pending = signer.signMessage('message')
+      assert.instanceOf(pending, Promise)
+      const bchjs = new BCHWallet().bchjs
+      assert.isTrue(bchjs.BitcoinCash.verifyMessage(signer.address, await pending, 'message'))
+    })
+  })
+
+  describe('#createHDSigner', () => {
+    it('should create an HD signer on the configured network', async () => {
+      const signer = await createHDSigner(
+        'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about',
+        { network: BCH_NETWORKS.regtest, paymentAmountSats: 1500 }
+      )
+
+      assert.equal(signer.network, 'regtest')
+      assert.match(signer.address, /^bchreg:/)
+      assert.equal(signer.paymentAmountSats, 1500)
+      assert.isFunction(signer.getAddresses)
+    })
   })
 
   describe('#selectPaymentRequirements', () => {
@@ -95,9 +330,32 @@ describe('#index.js', () => {
       assert.deepEqual(req, { network: 'bip122:000000000000000000651ef99cb9fcbe', scheme: 'utxo', payTo: 'addr1' })
     })
 
+    it('should not select Bitcoin (BTC) requirements', () => {
+      const accepts = [
+        { network: 'bip122:000000000019d6689c085ae165831e93', scheme: 'utxo', payTo: 'btc-addr' }
+      ]
+
+      assert.throws(
+        () => selectPaymentRequirements(accepts),
+        NoBCHRequirementsError,
+        /Offered: bip122:000000000019d6689c085ae165831e93/
+      )
+    })
+
+    it('should only select the configured networks', () => {
+      const accepts = [
+        { network: BCH_NETWORKS.mainnet, scheme: 'utxo', payTo: 'addr1' },
+        { network: BCH_NETWORKS.testnet4, scheme: 'utxo', payTo: 'addr2' }
+      ]
+
+      const req = selectPaymentRequirements(accepts, { networks: ['testnet4'] })
+      assert.equal(req.payTo, 'addr2')
+    })
+
     it('should throw if no BCH utxo requirement exists', () => {
       assert.throws(
         () => selectPaymentRequirements([{ network: 'btc', scheme: 'utxo' }]),
+        NoBCHRequirementsError,
         /No BCH payment requirements/
       )
     })
@@ -165,6 +423,25 @@ describe('#index.js', () => {
       assert.isTrue(signer.signMessage.calledOnce)
     })
 
+    it('should default the network to the signer network', async () => {
+      const signer = {
+        address: 'bchtest:qptest',
+        network: 'chipnet',
+        paymentAmountSats: 2000,
+        signMessage: sandbox.stub().returns('mock-signature')
+      }
+
+      const header = await createPaymentHeader(
+        signer,
+        { payTo: 'bchtest:qprecv', amount: '1500' },
+        2,
+        'tx123',
+        0
+      )
+
+      assert.equal(JSON.parse(header).accepted.network, BCH_NETWORKS.chipnet)
+    })
+
     it('should support v1 minAmountRequired field for backward compatibility', async () => {
       const signer = {
         address: 'bitcoincash:qptest',
@@ -191,6 +468,62 @@ describe('#index.js', () => {
       assert.equal(parsed.accepted.amount, 1500)
       assert.equal(parsed.payload.authorization.value, 1500)
     })
+
+    it('should wait for an async signMessage', async () => {
+      const signer = {
+        address: 'bitcoincash:qptest',
+        signMessage: sandbox.stub().resolves('remote-signature')
+      }
+
+      const header = await createPaymentHeader(signer, { payTo: 'bitcoincash:qprecv', amount: '1500' }, 2, 'tx123', 0)
+
+      assert.equal(JSON.parse(header).payload.signature, 'remote-signature')
+    })
+  })
+
+  describe('#parsePaymentRequired', () => {
+    it('should parse a v2 PAYMENT-REQUIRED header', () => {
+      const paymentRequired = { x402Version: 2, accepts: [{ payTo: 'addr' }], resource: { url: 'u' } }
+      const headers = {
+        'payment-required': Buffer.from(JSON.stringify(paymentRequired)).toString('base64')
+      }
+
+      assert.deepEqual(parsePaymentRequired({ headers }), {
+        x402Version: 2,
+        accepts: [{ payTo: 'addr' }],
+        resource: { url: 'u' },
+        extensions: null
+      })
+    })
+
+    it('should fall back to a v1 body', () => {
+      const result = parsePaymentRequired({ headers: {}, data: { accepts: [{ payTo: 'addr' }] } })
+
+      assert.equal(result.x402Version, 1)
+      assert.deepEqual(result.accepts, [{ payTo: 'addr' }])
+    })
+
+    it('should reject an undecodable header with no body to fall back to', () => {
+      assert.throws(
+        () => parsePaymentRequired({ headers: { 'payment-required': 'not-json' }, data: '' }),
+        InvalidPaymentRequiredError,
+        /Could not decode PAYMENT-REQUIRED header/
+      )
+    })
+
+    it('should reject accepts that is not an array', () => {
+      assert.throws(
+        () => parsePaymentRequired({ headers: {}, data: { accepts: 'bch' } }),
+        InvalidPaymentRequiredError
+      )
+    })
+
+    it('should reject a response without requirements', () => {
+      assert.throws(
+        () => parsePaymentRequired({ headers: {}, data: {} }),
+        MissingPaymentRequirementsError
+      )
+    })
   })
 
   describe('#withPaymentInterceptor', () => {
@@ -280,6 +613,7 @@ describe('#index.js', () => {
         await errorHandler(error)
         assert.fail('Expected rejection')
       } catch (err) {
+        assert.instanceOf(err, MissingRequestConfigError)
         assert.match(err.message, /Missing axios request configuration/)
       }
     })
@@ -299,100 +633,1695 @@ describe('#index.js', () => {
         await errorHandler(error)
         assert.fail('Expected rejection')
       } catch (err) {
-        // Should reject with "No payment requirements found in 402 response"
-        // or "No BCH payment requirements found in 402 response" from selector
-        assert.match(err.message, /No.*payment requirements/)
+        assert.instanceOf(err, MissingPaymentRequirementsError)
+        assert.equal(err.code, ERROR_CODES.MISSING_REQUIREMENTS)
+        assert.strictEqual(err.axiosError, error)
+        assert.match(err.message, /No payment requirements found/)
       }
     })
 
-    it('should send payment, attach headers, and retry request', async () => {
+    it('should attach the axios error and requirements when no BCH requirement matches', async () => {
       const axiosInstance = createAxiosInstance()
-      const signer = createSignerStub()
-      signer.signMessage.returns('signed')
+      withPaymentInterceptor(axiosInstance, createSignerStub())
 
-      const sendPaymentStub = sandbox
-        .stub()
-        .resolves({ txid: 'tx123', vout: 0, satsSent: 2000 })
-      __internals.sendPayment = sendPaymentStub
+      const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+      const error = create402Error({
+        response: { status: 402, headers: {}, data: { accepts: [{ network: 'eip155:1', scheme: 'exact' }] } }
+      })
 
-      // First call (check my tab) returns 402, second call (with UTXO) succeeds
-      axiosInstance.request
-        .onFirstCall()
-        .rejects(create402Error())
-        .onSecondCall()
-        .resolves({ data: 'ok' })
+      try {
+        await errorHandler(error)
+        assert.fail('Expected rejection')
+      } catch (err) {
+        assert.instanceOf(err, NoBCHRequirementsError)
+        assert.instanceOf(err, X402PaymentError)
+        assert.equal(err.code, ERROR_CODES.NO_BCH_REQUIREMENT)
+        assert.strictEqual(err.axiosError, error)
+        assert.isNull(err.paymentRequirements)
+      }
+    })
 
-      withPaymentInterceptor(axiosInstance, signer)
+    it('should reject selected requirements without a payTo', async () => {
+      const axiosInstance = createAxiosInstance()
+      withPaymentInterceptor(axiosInstance, createSignerStub())
 
       const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
-      const error = create402Error()
+      const requirements = { ...basePaymentRequirements, payTo: undefined }
+      const error = create402Error({
+        response: { status: 402, headers: {}, data: { accepts: [requirements] } }
+      })
 
-      const response = await errorHandler(error)
+      try {
+        await errorHandler(error)
+        assert.fail('Expected rejection')
+      } catch (err) {
+        assert.instanceOf(err, InvalidPaymentRequiredError)
+        assert.equal(err.code, ERROR_CODES.INVALID_PAYMENT_REQUIRED)
+        assert.deepEqual(err.paymentRequirements, requirements)
+      }
+    })
 
-      assert.deepEqual(response, { data: 'ok' })
-      assert.isTrue(sendPaymentStub.calledOnce)
-      assert.isTrue(axiosInstance.request.calledTwice)
+    it('should pass the networks, host and policy to the selector', async () => {
+      const axiosInstance = createAxiosInstance()
+      const selector = sandbox.stub().returns(cloneDeep(basePaymentRequirements))
+      const policy = createSpendingPolicy({ maxSatsPerRequest: 10 })
 
-      // Check the second call (with UTXO) - first call was check my tab
-      const updatedConfig = axiosInstance.request.secondCall.args[0]
-      assert.isTrue(updatedConfig.__is402Retry)
-      assert.property(updatedConfig.headers, 'PAYMENT-SIGNATURE')
-      assert.propertyVal(
-        updatedConfig.headers,
-        'Access-Control-Expose-Headers',
-        'PAYMENT-RESPONSE'
-      )
+      withPaymentInterceptor(axiosInstance, createSignerStub(), selector, { policy })
 
-      const headerPayload = JSON.parse(updatedConfig.headers['PAYMENT-SIGNATURE'])
-      assert.equal(headerPayload.x402Version, 2)
-      assert.deepEqual(headerPayload.accepted, basePaymentRequirements)
-      assert.equal(headerPayload.payload.authorization.txid, 'tx123')
-      assert.equal(__internals.currentUtxo.txid, 'tx123')
-      assert.equal(__internals.currentUtxo.satsLeft, 500)
-    })
+      const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+      const error = create402Error()
+      error.config.url = 'https://api.example.com/weather'
 
-    it('should reuse cached utxo when sufficient balance remains', async () => {
-      const axiosInstance = createAxiosInstance()
-      const signer = createSignerStub()
-      signer.signMessage.returns('signed')
+      try {
+        await errorHandler(error)
+        assert.fail('Expected rejection')
+      } catch (err) {
+        assert.instanceOf(err, SpendingPolicyError)
+      }
 
-      __internals.currentUtxo.txid = 'cached'
-      __internals.currentUtxo.vout = 1
-      __internals.currentUtxo.satsLeft = 2_000
+      assert.deepEqual(selector.firstCall.args[1], {
+        networks: ['mainnet'],
+        host: 'api.example.com',
+        policy
+      })
+    })
 
+    it('should reject requirements for a chain that is not configured', async () => {
+      const axiosInstance = createAxiosInstance()
+      const btcRequirements = {
+        ...basePaymentRequirements,
+        network: 'bip122:000000000019d6689c085ae165831e93'
+      }
       const sendPaymentStub = sandbox.stub()
       __internals.sendPayment = sendPaymentStub
 
-      axiosInstance.request.resolves({ status: 200 })
-
-      withPaymentInterceptor(axiosInstance, signer)
+      // A custom selector that picks the BTC offer
+      withPaymentInterceptor(axiosInstance, createSignerStub(), accepts => accepts[0])
 
       const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
-      const error = create402Error()
-
-      const result = await errorHandler(error)
-      assert.deepEqual(result, { status: 200 })
+      const error = create402Error({
+        response: { status: 402, headers: {}, data: { accepts: [btcRequirements] } }
+      })
 
-      assert.isTrue(sendPaymentStub.notCalled)
-      assert.equal(__internals.currentUtxo.txid, 'cached')
-      assert.equal(__internals.currentUtxo.satsLeft, 500)
+      try {
+        await errorHandler(error)
+        assert.fail('Expected rejection')
+      } catch (err) {
+        assert.instanceOf(err, UnsupportedNetworkError)
+        assert.equal(err.code, ERROR_CODES.UNSUPPORTED_NETWORK)
+        assert.include(err.message, 'bip122:000000000019d6689c085ae165831e93')
+        assert.deepEqual(err.paymentRequirements, btcRequirements)
+        assert.isTrue(sendPaymentStub.notCalled)
+      }
     })
 
-    it('should parse v2 response from PAYMENT-REQUIRED header', async () => {
+    it('should pay on the networks passed in the config', async () => {
       const axiosInstance = createAxiosInstance()
-      const signer = createSignerStub()
-      signer.signMessage.returns('signed')
+      const chipnetRequirements = {
+        ...basePaymentRequirements,
+        network: BCH_NETWORKS.chipnet
+      }
+      __internals.sendPayment = sandbox
+        .stub()
+        .resolves({ txid: 'tx123', vout: 0, satsSent: 2000 })
+      // "Check my tab" fails, then the paid retry succeeds
+      axiosInstance.request.onFirstCall().rejects(create402Error())
+      axiosInstance.request.onSecondCall().resolves({ data: 'ok', headers: {} })
 
-      const sendPaymentStub = sandbox
+      withPaymentInterceptor(axiosInstance, { ...createSignerStub(), network: 'chipnet' }, {
+        networks: ['chipnet']
+      })
+
+      const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+      const response = await errorHandler(create402Error({
+        response: { status: 402, headers: {}, data: { accepts: [chipnetRequirements] } }
+      }))
+
+      assert.equal(response.data, 'ok')
+      assert.deepEqual(__internals.sendPayment.firstCall.args[1], chipnetRequirements)
+    })
+
+    it('should accept the network named in the config', async () => {
+      const axiosInstance = createAxiosInstance()
+      const regtestRequirements = {
+        ...basePaymentRequirements,
+        network: BCH_NETWORKS.regtest
+      }
+      __internals.sendPayment = sandbox
         .stub()
         .resolves({ txid: 'tx123', vout: 0, satsSent: 2000 })
-      __internals.sendPayment = sendPaymentStub
+      axiosInstance.request.onFirstCall().rejects(create402Error())
+      axiosInstance.request.onSecondCall().resolves({ data: 'ok', headers: {} })
 
-      // First call (check my tab) returns 402, second call (with UTXO) succeeds
-      axiosInstance.request
-        .onFirstCall()
-        .rejects({
-          response: {
+      withPaymentInterceptor(axiosInstance, createSignerStub(), { network: 'regtest' })
+
+      const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+      const response = await errorHandler(create402Error({
+        response: { status: 402, headers: {}, data: { accepts: [regtestRequirements] } }
+      }))
+
+      assert.equal(response.data, 'ok')
+    })
+
+    it('should only let the selector choose offers on the signer network', async () => {
+      const axiosInstance = createAxiosInstance()
+      const chipnetRequirements = { ...basePaymentRequirements, network: BCH_NETWORKS.chipnet }
+      __internals.sendPayment = sandbox
+        .stub()
+        .resolves({ txid: 'tx123', vout: 0, satsSent: 2000 })
+      axiosInstance.request.onFirstCall().rejects(create402Error())
+      axiosInstance.request.onSecondCall().resolves({ data: 'ok', headers: {} })
+
+      // Both chains are accepted, but the signer is on mainnet
+      withPaymentInterceptor(axiosInstance, createSignerStub(), {
+        networks: ['mainnet', 'chipnet']
+      })
+
+      const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+      const response = await errorHandler(create402Error({
+        response: {
+          status: 402,
+          headers: {},
+          data: { accepts: [chipnetRequirements, cloneDeep(basePaymentRequirements)] }
+        }
+      }))
+
+      assert.equal(response.data, 'ok')
+      assert.deepEqual(__internals.sendPayment.firstCall.args[1], basePaymentRequirements)
+    })
+
+    it('should throw when the networks config leaves out the signer network', () => {
+      assert.throws(
+        () => withPaymentInterceptor(createAxiosInstance(), createSignerStub(), { networks: ['chipnet'] }),
+        /does not include the signer's network, mainnet/
+      )
+    })
+
+    it('should refuse requirements for a different network than the signer', async () => {
+      const axiosInstance = createAxiosInstance()
+      __internals.sendPayment = sandbox.stub()
+
+      // Both chains are accepted, but the signer is on chipnet. A custom
+      // selector may still pick the mainnet offer.
+      withPaymentInterceptor(axiosInstance, { ...createSignerStub(), network: 'chipnet' }, accepts => accepts[0], {
+        networks: ['mainnet', 'chipnet']
+      })
+
+      const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+      try {
+        await errorHandler(create402Error())
+        assert.fail('Expected rejection')
+      } catch (err) {
+        assert.instanceOf(err, UnsupportedNetworkError)
+        assert.include(err.message, 'the signer is on chipnet')
+        assert.isTrue(__internals.sendPayment.notCalled)
+      }
+    })
+
+    it('should refuse requirements priced in an asset that is neither BCH nor a CashToken', async () => {
+      const axiosInstance = createAxiosInstance()
+      __internals.sendPayment = sandbox.stub()
+
+      withPaymentInterceptor(axiosInstance, createSignerStub(), accepts => accepts[0])
+
+      const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+      try {
+        await errorHandler(create402Error({
+          response: {
+            status: 402,
+            headers: {},
+            data: { accepts: [{ ...cloneDeep(basePaymentRequirements), asset: 'USDC', amount: '250000' }] }
+          }
+        }))
+        assert.fail('Expected rejection')
+      } catch (err) {
+        assert.instanceOf(err, UnsupportedAssetError)
+        assert.equal(err.code, ERROR_CODES.UNSUPPORTED_ASSET)
+        assert.include(err.message, 'USDC')
+        assert.isTrue(__internals.sendPayment.notCalled)
+      }
+    })
+
+    it('should throw when the config and signer networks differ', () => {
+      assert.throws(
+        () => withPaymentInterceptor(
+          createAxiosInstance(),
+          { ...createSignerStub(), network: 'mainnet' },
+          { network: 'chipnet' }
+        ),
+        /config is for chipnet, but the signer is for mainnet/
+      )
+    })
+
+    it('should throw on an unknown network in the config', () => {
+      assert.throws(
+        () => withPaymentInterceptor(createAxiosInstance(), createSignerStub(), { networks: ['btc'] }),
+        /Unknown BCH network "btc"/
+      )
+    })
+
+    it('should attach context to errors thrown while paying', async () => {
+      const axiosInstance = createAxiosInstance()
+      const fundsError = new InsufficientFundsError()
+      __internals.sendPayment = sandbox.stub().rejects(fundsError)
+      axiosInstance.request.rejects(create402Error())
+
+      withPaymentInterceptor(axiosInstance, createSignerStub())
+
+      const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+      const error = create402Error()
+      try {
+        await errorHandler(error)
+        assert.fail('Expected rejection')
+      } catch (err) {
+        assert.strictEqual(err, fundsError)
+        assert.strictEqual(err.axiosError, error)
+        assert.deepEqual(err.paymentRequirements, basePaymentRequirements)
+      }
+    })
+
+    it('should send payment, attach headers, and retry request', async () => {
+      const axiosInstance = createAxiosInstance()
+      const signer = createSignerStub()
+      signer.signMessage.returns('signed')
+
+      const sendPaymentStub = sandbox
+        .stub()
+        .resolves({ txid: 'tx123', vout: 0, satsSent: 2000 })
+      __internals.sendPayment = sendPaymentStub
+
+      // First call (check my tab) returns 402, second call (with UTXO) succeeds
+      axiosInstance.request
+        .onFirstCall()
+        .rejects(create402Error())
+        .onSecondCall()
+        .resolves({ data: 'ok' })
+
+      withPaymentInterceptor(axiosInstance, signer)
+
+      const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+      const error = create402Error()
+
+      const response = await errorHandler(error)
+
+      assert.equal(response.data, 'ok')
+      assert.include(response.x402Settlement, {
+        success: true,
+        txid: 'tx123',
+        vout: 0,
+        amountDebited: 1500,
+        remainingBalanceSats: null,
+        mode: 'new-utxo',
+        raw: null
+      })
+      assert.isTrue(sendPaymentStub.calledOnce)
+      assert.isTrue(axiosInstance.request.calledTwice)
+
+      // Check the second call (with UTXO) - first call was check my tab
+      const updatedConfig = axiosInstance.request.secondCall.args[0]
+      assert.isTrue(updatedConfig.__is402Retry)
+      assert.property(updatedConfig.headers, 'PAYMENT-SIGNATURE')
+      assert.propertyVal(
+        updatedConfig.headers,
+        'Access-Control-Expose-Headers',
+        'PAYMENT-RESPONSE'
+      )
+
+      const headerPayload = JSON.parse(updatedConfig.headers['PAYMENT-SIGNATURE'])
+      assert.equal(headerPayload.x402Version, 2)
+      assert.deepEqual(headerPayload.accepted, basePaymentRequirements)
+      assert.equal(headerPayload.payload.authorization.txid, 'tx123')
+      assert.equal(axiosInstance.x402.getTab(basePaymentRequirements).txid, 'tx123')
+      assert.equal(axiosInstance.x402.getTab(basePaymentRequirements).satsLeft, 500)
+    })
+
+    it('should forget every signer\'s tab with the deprecated __resetCurrentUtxo', async () => {
+      const signer = createSignerStub()
+      await getSignerTabState(signer).set(getTabKey(basePaymentRequirements), {
+        txid: 'cached',
+        vout: 1,
+        satsLeft: 2_000
+      })
+
+      __resetCurrentUtxo()
+
+      assert.isNull(getSignerTabState(signer).get(getTabKey(basePaymentRequirements)).txid)
+    })
+
+    it('should reuse cached utxo when sufficient balance remains', async () => {
+      const axiosInstance = createAxiosInstance()
+      const signer = createSignerStub()
+      signer.signMessage.returns('signed')
+
+      await getSignerTabState(signer).set(getTabKey(basePaymentRequirements), {
+        txid: 'cached',
+        vout: 1,
+        satsLeft: 2_000
+      })
+
+      const sendPaymentStub = sandbox.stub()
+      __internals.sendPayment = sendPaymentStub
+
+      axiosInstance.request.resolves({ status: 200 })
+
+      withPaymentInterceptor(axiosInstance, signer)
+
+      const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+      const error = create402Error()
+
+      const result = await errorHandler(error)
+      assert.equal(result.status, 200)
+      assert.equal(result.x402Settlement.mode, 'reuse')
+      assert.equal(result.x402Settlement.txid, 'cached')
+
+      assert.isTrue(sendPaymentStub.notCalled)
+      assert.equal(axiosInstance.x402.getTab(basePaymentRequirements).txid, 'cached')
+      assert.equal(axiosInstance.x402.getTab(basePaymentRequirements).satsLeft, 500)
+    })
+
+    it('should not send a txid that paid a different payTo', async () => {
+      const axiosInstance = createAxiosInstance()
+      const signer = createSignerStub()
+      const otherPayee = { ...basePaymentRequirements, payTo: 'bitcoincash:qpother' }
+
+      // A tab with plenty of sats left, but it paid a different server
+      await getSignerTabState(signer).set(getTabKey(otherPayee), {
+        txid: 'paid-other',
+        vout: 0,
+        satsLeft: 10_000
+      })
+
+      const sendPaymentStub = sandbox
+        .stub()
+        .resolves({ txid: 'tx123', vout: 0, satsSent: 2000 })
+      __internals.sendPayment = sendPaymentStub
+
+      axiosInstance.request
+        .onFirstCall()
+        .rejects(create402Error())
+        .onSecondCall()
+        .resolves({ data: 'ok' })
+
+      withPaymentInterceptor(axiosInstance, signer)
+
+      const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+      await errorHandler(create402Error())
+
+      assert.isTrue(sendPaymentStub.calledOnce)
+      const headerPayload = JSON.parse(axiosInstance.request.secondCall.args[0].headers['PAYMENT-SIGNATURE'])
+      assert.equal(headerPayload.payload.authorization.txid, 'tx123')
+
+      // Each tab keeps its own balance
+      assert.equal(axiosInstance.x402.getTab(otherPayee).satsLeft, 10_000)
+      assert.equal(axiosInstance.x402.getTab(basePaymentRequirements).satsLeft, 500)
+      assert.lengthOf(axiosInstance.x402.getTabs(), 2)
+    })
+
+    it('should track CashToken tabs in token units', async () => {
+      const axiosInstance = createAxiosInstance()
+      const signer = createSignerStub()
+      const tokenRequirements = { ...basePaymentRequirements, asset: 'ab'.repeat(32), amount: '10' }
+      const error = create402Error()
+      error.response.data.accepts = [tokenRequirements]
+
+      const sendPaymentStub = sandbox
+        .stub()
+        .resolves({ txid: 'token-tx', vout: 0, satsSent: 1000, tokensSent: 50, fee: 500 })
+      __internals.sendPayment = sendPaymentStub
+      // Token prices aren't sats, and only the 1000 sats of the token output count
+      const policy = createSpendingPolicy({ maxSatsPerRequest: 5, dailyBudgetSats: 1500 })
+
+      axiosInstance.request
+        .onFirstCall()
+        .rejects(create402Error())
+        .onSecondCall()
+        .resolves({ data: 'ok' })
+
+      withPaymentInterceptor(axiosInstance, signer, undefined, { policy })
+
+      const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+      await errorHandler(error)
+
+      assert.isTrue(sendPaymentStub.calledOnce)
+      assert.equal(axiosInstance.x402.getTab(tokenRequirements).satsLeft, 40)
+      assert.equal(axiosInstance.x402.getTab(basePaymentRequirements).satsLeft, 0)
+      assert.equal(policy.getSpent(24 * 60 * 60 * 1000), 1000)
+    })
+
+    it('should sign with the key that funded the tab for HD signers', async () => {
+      const axiosInstance = createAxiosInstance()
+      const fundingSigner = { address: 'bitcoincash:qpfunder', signMessage: sandbox.stub().returns('funder-signature') }
+      const signer = {
+        ...createSignerStub(),
+        getAddresses: () => [],
+        forAddress: sandbox.stub().returns(fundingSigner)
+      }
+
+      __internals.sendPayment = sandbox
+        .stub()
+        .resolves({ txid: 'tx123', vout: 0, satsSent: 2000, from: 'bitcoincash:qpfunder', fromPath: "m/44'/145'/0'/1/7" })
+
+      axiosInstance.request
+        .onFirstCall()
+        .rejects(create402Error())
+        .onSecondCall()
+        .resolves({ data: 'ok' })
+
+      withPaymentInterceptor(axiosInstance, signer)
+
+      const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+      await errorHandler(create402Error())
+
+      const headerPayload = JSON.parse(axiosInstance.request.secondCall.args[0].headers['PAYMENT-SIGNATURE'])
+      assert.deepEqual(signer.forAddress.firstCall.args, ['bitcoincash:qpfunder', "m/44'/145'/0'/1/7"])
+      assert.equal(headerPayload.payload.authorization.from, 'bitcoincash:qpfunder')
+      assert.equal(headerPayload.payload.signature, 'funder-signature')
+      assert.include(axiosInstance.x402.getTab(basePaymentRequirements), {
+        from: 'bitcoincash:qpfunder',
+        fromPath: "m/44'/145'/0'/1/7"
+      })
+    })
+
+    it('should keep the tab balance when the payment header cannot be signed', async () => {
+      const axiosInstance = createAxiosInstance()
+      const signer = {
+        ...createSignerStub(),
+        getAddresses: () => [],
+        forAddress: sandbox.stub().throws(new Error('Address bitcoincash:qpfunder was not derived by this HD signer'))
+      }
+      const sendPaymentStub = sandbox.stub()
+      __internals.sendPayment = sendPaymentStub
+
+      withPaymentInterceptor(axiosInstance, signer)
+      await axiosInstance.x402.tabState.set(getTabKey(basePaymentRequirements), {
+        txid: 'tx123',
+        vout: 0,
+        satsLeft: 5000,
+        from: 'bitcoincash:qpfunder'
+      })
+
+      const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+      for (let i = 0; i < 2; i++) {
+        try {
+          await errorHandler(create402Error())
+          assert.fail('Expected rejection')
+        } catch (err) {
+          assert.include(err.message, 'not derived by this HD signer')
+        }
+      }
+
+      assert.equal(axiosInstance.x402.getTab(basePaymentRequirements).satsLeft, 5000)
+      assert.isTrue(sendPaymentStub.notCalled)
+      assert.isTrue(axiosInstance.request.notCalled)
+    })
+
+    it('should keep tab state separate for different signers', async () => {
+      const axiosA = createAxiosInstance()
+      const axiosB = createAxiosInstance()
+      const signerA = createSignerStub()
+      const signerB = createSignerStub()
+
+      await getSignerTabState(signerA).set(getTabKey(basePaymentRequirements), {
+        txid: 'tab-a',
+        vout: 0,
+        satsLeft: 2_000
+      })
+
+      const sendPaymentStub = sandbox
+        .stub()
+        .resolves({ txid: 'tab-b', vout: 0, satsSent: 2000 })
+      __internals.sendPayment = sendPaymentStub
+
+      axiosB.request
+        .onFirstCall()
+        .rejects(create402Error())
+        .onSecondCall()
+        .resolves({ data: 'ok' })
+
+      withPaymentInterceptor(axiosA, signerA)
+      withPaymentInterceptor(axiosB, signerB)
+
+      const [, errorHandlerB] = axiosB.interceptors.response.use.firstCall.args
+      await errorHandlerB(create402Error())
+
+      // Signer B funded its own tab instead of reusing signer A's txid
+      assert.isTrue(sendPaymentStub.calledOnce)
+      const headerPayload = JSON.parse(axiosB.request.secondCall.args[0].headers['PAYMENT-SIGNATURE'])
+      assert.equal(headerPayload.payload.authorization.txid, 'tab-b')
+      assert.equal(axiosA.x402.getTab(basePaymentRequirements).txid, 'tab-a')
+      assert.equal(axiosA.x402.getTab(basePaymentRequirements).satsLeft, 2_000)
+      assert.equal(axiosB.x402.getTab(basePaymentRequirements).txid, 'tab-b')
+      assert.equal(axiosB.x402.getTab(basePaymentRequirements).satsLeft, 500)
+    })
+
+    it('should share tab state between interceptors using the same signer', () => {
+      const axiosA = createAxiosInstance()
+      const axiosB = createAxiosInstance()
+      const signer = createSignerStub()
+
+      withPaymentInterceptor(axiosA, signer)
+      withPaymentInterceptor(axiosB, signer)
+
+      assert.strictEqual(axiosA.x402.tabState, axiosB.x402.tabState)
+      assert.strictEqual(axiosA.x402.tabState, getSignerTabState(signer))
+    })
+
+    it('should give the interceptor a private tab when tabScope is interceptor', () => {
+      const axiosA = createAxiosInstance()
+      const axiosB = createAxiosInstance()
+      const signer = createSignerStub()
+
+      withPaymentInterceptor(axiosA, signer, { tabScope: 'interceptor' })
+      withPaymentInterceptor(axiosB, signer, { tabScope: 'interceptor' })
+
+      assert.notStrictEqual(axiosA.x402.tabState, axiosB.x402.tabState)
+      assert.notStrictEqual(axiosA.x402.tabState, getSignerTabState(signer))
+    })
+
+    it('should use an explicit tabState from the config', async () => {
+      const axiosInstance = createAxiosInstance()
+      const signer = createSignerStub()
+      const tabState = createTabState()
+      const tabKey = getTabKey(basePaymentRequirements)
+      await tabState.set(tabKey, { txid: 'shared', vout: 2, satsLeft: 100 })
+
+      withPaymentInterceptor(axiosInstance, signer, undefined, { tabState })
+
+      assert.strictEqual(axiosInstance.x402.tabState, tabState)
+      assert.equal(axiosInstance.x402.getTab(tabKey).txid, 'shared')
+
+      await axiosInstance.x402.resetTab(basePaymentRequirements)
+      assert.deepEqual(tabState.get(tabKey), { txid: null, vout: null, satsLeft: 0 })
+    })
+
+    it('should fund the tab once when many 402s arrive at the same time', async () => {
+      const axiosInstance = createAxiosInstance()
+      const signer = createSignerStub()
+
+      // The prepayment covers all 20 requests at 1500 sats each
+      const sendPaymentStub = sandbox.stub().callsFake(async () => {
+        await new Promise(resolve => setTimeout(resolve, 5))
+        return { txid: 'tx-shared', vout: 0, satsSent: 30_000 }
+      })
+      __internals.sendPayment = sendPaymentStub
+
+      // "Check my tab" is refused; requests naming a UTXO succeed
+      const txids = []
+      axiosInstance.request.callsFake(async config => {
+        const header = JSON.parse(config.headers['PAYMENT-SIGNATURE'])
+        txids.push(header.payload.authorization.txid)
+        if (header.payload.authorization.txid === '*') throw create402Error()
+        return { data: 'ok' }
+      })
+
+      withPaymentInterceptor(axiosInstance, signer)
+
+      const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+      const errors = Array.from({ length: 20 }, () => create402Error())
+      const responses = await Promise.all(errors.map(err => errorHandler(err)))
+
+      assert.lengthOf(responses, 20)
+      assert.isTrue(sendPaymentStub.calledOnce)
+      assert.equal(axiosInstance.x402.getTab(basePaymentRequirements).txid, 'tx-shared')
+      assert.equal(axiosInstance.x402.getTab(basePaymentRequirements).satsLeft, 0)
+
+      // Only the first request tried "check my tab"; the rest reused the new UTXO
+      assert.equal(txids.filter(txid => txid === '*').length, 1)
+      assert.equal(txids.filter(txid => txid === 'tx-shared').length, 20)
+    })
+
+    it('should expose the settlement reported in the PAYMENT-RESPONSE header', async () => {
+      const axiosInstance = createAxiosInstance()
+      const signer = createSignerStub()
+      __internals.sendPayment = sandbox
+        .stub()
+        .resolves({ txid: 'tx123', vout: 0, satsSent: 2000 })
+
+      const paymentResponse = Buffer.from(JSON.stringify({
+        success: true,
+        transaction: 'tx123',
+        network: 'bip122:000000000000000000651ef99cb9fcbe',
+        payer: 'bitcoincash:qptest',
+        remainingBalanceSat: 400
+      })).toString('base64')
+
+      axiosInstance.request
+        .onFirstCall()
+        .rejects(create402Error())
+        .onSecondCall()
+        .resolves({ data: 'ok', headers: { 'payment-response': paymentResponse } })
+
+      withPaymentInterceptor(axiosInstance, signer)
+
+      const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+      sandbox.stub(console, 'warn')
+      const response = await errorHandler(create402Error())
+
+      assert.include(response.x402Settlement, {
+        success: true,
+        txid: 'tx123',
+        amountDebited: 1500,
+        remainingBalanceSats: 400,
+        mode: 'new-utxo',
+        payer: 'bitcoincash:qptest'
+      })
+      assert.equal(response.x402Settlement.raw.transaction, 'tx123')
+    })
+
+    it('should correct the tab balance to the balance the server reports', async () => {
+      const axiosInstance = createAxiosInstance()
+      const signer = createSignerStub()
+      const warnStub = sandbox.stub(console, 'warn')
+      __internals.sendPayment = sandbox
+        .stub()
+        .resolves({ txid: 'tx123', vout: 0, satsSent: 2000 })
+
+      // The server charged more than the advertised price
+      const paymentResponse = Buffer.from(JSON.stringify({
+        success: true,
+        transaction: 'tx123',
+        remainingBalanceSat: 200
+      })).toString('base64')
+
+      axiosInstance.request
+        .onFirstCall()
+        .rejects(create402Error())
+        .onSecondCall()
+        .resolves({ data: 'ok', headers: { 'payment-response': paymentResponse } })
+
+      withPaymentInterceptor(axiosInstance, signer)
+
+      const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+      await errorHandler(create402Error())
+
+      assert.equal(axiosInstance.x402.getTab(basePaymentRequirements).satsLeft, 200)
+      assert.isTrue(warnStub.calledOnce)
+      assert.match(warnStub.firstCall.args[0], /Expected 500 sats left, server reports 200/)
+    })
+
+    it('should reconcile the tab when a paid retry fails after the server charged', async () => {
+      const axiosInstance = createAxiosInstance()
+      const signer = createSignerStub()
+      sandbox.stub(console, 'warn')
+
+      await getSignerTabState(signer).set(getTabKey(basePaymentRequirements), {
+        txid: 'cached',
+        vout: 0,
+        satsLeft: 5000
+      })
+
+      const serverError = {
+        response: {
+          status: 500,
+          headers: {
+            'payment-response': Buffer.from(JSON.stringify({
+              success: true,
+              transaction: 'cached',
+              remainingBalanceSat: 3500
+            })).toString('base64')
+          }
+        }
+      }
+      axiosInstance.request.rejects(serverError)
+
+      withPaymentInterceptor(axiosInstance, signer)
+
+      const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+      try {
+        await errorHandler(create402Error())
+        assert.fail('Expected rejection')
+      } catch (err) {
+        assert.strictEqual(err, serverError)
+        assert.equal(err.x402Settlement.remainingBalanceSats, 3500)
+      }
+
+      // The local debit (5000 - 1500) already matches the server
+      assert.equal(axiosInstance.x402.getTab(basePaymentRequirements).satsLeft, 3500)
+    })
+
+    it('should expose the settlement of a check my tab response', async () => {
+      const axiosInstance = createAxiosInstance()
+      const signer = createSignerStub()
+      const sendPaymentStub = sandbox.stub()
+      __internals.sendPayment = sendPaymentStub
+
+      const paymentResponse = Buffer.from(JSON.stringify({
+        success: true,
+        transaction: 'server-known-tx',
+        remainingBalanceSat: 8000
+      })).toString('base64')
+
+      // v1 header name
+      axiosInstance.request.resolves({
+        data: 'ok',
+        headers: { 'x-payment-response': paymentResponse }
+      })
+
+      withPaymentInterceptor(axiosInstance, signer)
+
+      const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+      const response = await errorHandler(create402Error())
+
+      assert.isTrue(sendPaymentStub.notCalled)
+      assert.include(response.x402Settlement, {
+        txid: 'server-known-tx',
+        remainingBalanceSats: 8000,
+        mode: 'check-my-tab'
+      })
+
+      // The tab the server reported is now tracked with its balance
+      assert.include(axiosInstance.x402.getTab(basePaymentRequirements), {
+        txid: 'server-known-tx',
+        vout: 0,
+        satsLeft: 8000
+      })
+    })
+
+    it('should replace a tab the server rejects and retry once', async () => {
+      const axiosInstance = createAxiosInstance()
+      const signer = createSignerStub()
+
+      await getSignerTabState(signer).set(getTabKey(basePaymentRequirements), {
+        txid: 'stale',
+        vout: 0,
+        satsLeft: 5000
+      })
+
+      const sendPaymentStub = sandbox
+        .stub()
+        .resolves({ txid: 'fresh', vout: 0, satsSent: 2000 })
+      __internals.sendPayment = sendPaymentStub
+
+      // The server no longer knows the stale UTXO
+      axiosInstance.request
+        .onFirstCall()
+        .rejects(create402Error())
+        .onSecondCall()
+        .resolves({ data: 'ok' })
+
+      withPaymentInterceptor(axiosInstance, signer)
+
+      const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+      const response = await errorHandler(create402Error())
+
+      assert.equal(response.data, 'ok')
+      assert.equal(response.x402Settlement.mode, 'new-utxo')
+      assert.isTrue(sendPaymentStub.calledOnce)
+      assert.isTrue(axiosInstance.request.calledTwice)
+
+      const headerPayload = JSON.parse(axiosInstance.request.secondCall.args[0].headers['PAYMENT-SIGNATURE'])
+      assert.equal(headerPayload.payload.authorization.txid, 'fresh')
+      assert.include(axiosInstance.x402.getTab(basePaymentRequirements), {
+        txid: 'fresh',
+        satsLeft: 500
+      })
+    })
+
+    it('should give up when the replacement tab is rejected too', async () => {
+      const axiosInstance = createAxiosInstance()
+      const signer = createSignerStub()
+
+      await getSignerTabState(signer).set(getTabKey(basePaymentRequirements), {
+        txid: 'stale',
+        vout: 0,
+        satsLeft: 5000
+      })
+
+      const sendPaymentStub = sandbox
+        .stub()
+        .resolves({ txid: 'fresh', vout: 0, satsSent: 2000 })
+      __internals.sendPayment = sendPaymentStub
+
+      const rejection = create402Error()
+      axiosInstance.request.rejects(rejection)
+
+      withPaymentInterceptor(axiosInstance, signer)
+
+      const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+      try {
+        await errorHandler(create402Error())
+        assert.fail('Expected rejection')
+      } catch (err) {
+        assert.instanceOf(err, PaymentRejectedError)
+        assert.equal(err.code, ERROR_CODES.PAYMENT_REJECTED)
+        assert.strictEqual(err.axiosError, rejection)
+        assert.equal(err.response.status, 402)
+        assert.deepEqual(err.paymentRequirements, basePaymentRequirements)
+      }
+
+      // One recovery attempt only, and no stale tab left behind
+      assert.isTrue(sendPaymentStub.calledOnce)
+      assert.isTrue(axiosInstance.request.calledTwice)
+      assert.isNull(axiosInstance.x402.getTab(basePaymentRequirements).txid)
+    })
+
+    it('should not pay again when a freshly funded tab is rejected', async () => {
+      const axiosInstance = createAxiosInstance()
+      const signer = createSignerStub()
+
+      const sendPaymentStub = sandbox
+        .stub()
+        .resolves({ txid: 'fresh', vout: 0, satsSent: 2000 })
+      __internals.sendPayment = sendPaymentStub
+
+      // "Check my tab" and the paid retry are both refused
+      axiosInstance.request.rejects(create402Error())
+
+      withPaymentInterceptor(axiosInstance, signer)
+
+      const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+      try {
+        await errorHandler(create402Error())
+        assert.fail('Expected rejection')
+      } catch (err) {
+        assert.equal(err.response.status, 402)
+      }
+
+      assert.isTrue(sendPaymentStub.calledOnce)
+      assert.isNull(axiosInstance.x402.getTab(basePaymentRequirements).txid)
+    })
+
+    it('should call lifecycle hooks with the request config', async () => {
+      const axiosInstance = createAxiosInstance()
+      const signer = createSignerStub()
+      __internals.sendPayment = sandbox
+        .stub()
+        .resolves({ txid: 'tx123', vout: 0, satsSent: 5000 })
+
+      axiosInstance.request
+        .onFirstCall()
+        .rejects(create402Error())
+        .resolves({ data: 'ok' })
+
+      const hooks = {
+        onPaymentRequired: sandbox.stub(),
+        onCheckMyTab: sandbox.stub(),
+        onTabReused: sandbox.stub(),
+        onPaymentSettled: sandbox.stub(),
+        onPaymentError: sandbox.stub()
+      }
+      withPaymentInterceptor(axiosInstance, signer, { ...hooks })
+
+      const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+
+      // First request funds a new tab, second reuses it
+      const firstError = create402Error()
+      await errorHandler(firstError)
+      const secondError = create402Error()
+      await errorHandler(secondError)
+
+      assert.isTrue(hooks.onPaymentRequired.calledTwice)
+      assert.deepEqual(hooks.onPaymentRequired.firstCall.args[0], basePaymentRequirements)
+      assert.strictEqual(hooks.onPaymentRequired.firstCall.args[1], firstError.config)
+
+      assert.isTrue(hooks.onCheckMyTab.calledOnce)
+      assert.isFalse(hooks.onCheckMyTab.firstCall.args[0].success)
+
+      assert.isTrue(hooks.onTabReused.calledOnce)
+      assert.deepEqual(hooks.onTabReused.firstCall.args[0], {
+        txid: 'tx123',
+        vout: 0,
+        satsLeft: 2000,
+        cost: 1500,
+        payTo: 'bitcoincash:qprecv'
+      })
+      assert.strictEqual(hooks.onTabReused.firstCall.args[1], secondError.config)
+
+      assert.isTrue(hooks.onPaymentSettled.calledTwice)
+      assert.equal(hooks.onPaymentSettled.firstCall.args[0].mode, 'new-utxo')
+      assert.equal(hooks.onPaymentSettled.secondCall.args[0].mode, 'reuse')
+
+      assert.isTrue(hooks.onPaymentError.notCalled)
+
+      // The request config is passed on to sendPayment for onPaymentBroadcast
+      assert.strictEqual(__internals.sendPayment.firstCall.args[3], firstError.config)
+    })
+
+    it('should call onPaymentError when the payment flow fails', async () => {
+      const axiosInstance = createAxiosInstance()
+      const signer = createSignerStub()
+      const paymentError = new Error('Insufficient balance')
+      __internals.sendPayment = sandbox.stub().rejects(paymentError)
+      axiosInstance.request.rejects(create402Error())
+
+      const onPaymentError = sandbox.stub()
+      withPaymentInterceptor(axiosInstance, signer, { onPaymentError })
+
+      const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+      const error = create402Error()
+      try {
+        await errorHandler(error)
+        assert.fail('Expected rejection')
+      } catch (err) {
+        assert.strictEqual(err, paymentError)
+      }
+
+      assert.isTrue(onPaymentError.calledOnce)
+      assert.strictEqual(onPaymentError.firstCall.args[0], paymentError)
+      assert.strictEqual(onPaymentError.firstCall.args[1], error.config)
+    })
+
+    it('should not let a failing hook interrupt the payment', async () => {
+      const axiosInstance = createAxiosInstance()
+      const signer = createSignerStub()
+      const errorStub = sandbox.stub(console, 'error')
+      __internals.sendPayment = sandbox
+        .stub()
+        .resolves({ txid: 'tx123', vout: 0, satsSent: 2000 })
+      axiosInstance.request
+        .onFirstCall()
+        .rejects(create402Error())
+        .onSecondCall()
+        .resolves({ data: 'ok' })
+
+      withPaymentInterceptor(axiosInstance, signer, {
+        onPaymentRequired: () => { throw new Error('audit log down') },
+        onPaymentSettled: async () => { throw new Error('ui gone') }
+      })
+
+      const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+      const response = await errorHandler(create402Error())
+      await new Promise(resolve => setImmediate(resolve))
+
+      assert.equal(response.data, 'ok')
+      assert.isTrue(errorStub.calledTwice)
+      assert.match(errorStub.firstCall.args[0], /onPaymentRequired hook/)
+      assert.match(errorStub.secondCall.args[0], /onPaymentSettled hook/)
+    })
+
+    it('should reject a disallowed host before signing anything', async () => {
+      const axiosInstance = createAxiosInstance()
+      const signer = createSignerStub()
+      const sendPaymentStub = sandbox.stub()
+      __internals.sendPayment = sendPaymentStub
+
+      withPaymentInterceptor(axiosInstance, signer, {
+        policy: { allowedHosts: ['api.example.com'] }
+      })
+
+      const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+      const error = create402Error({
+        config: { url: 'https://evil.example.net/weather', headers: {} }
+      })
+
+      try {
+        await errorHandler(error)
+        assert.fail('Expected rejection')
+      } catch (err) {
+        assert.instanceOf(err, SpendingPolicyError)
+        assert.equal(err.rule, 'allowedHosts')
+      }
+
+      assert.isTrue(signer.signMessage.notCalled)
+      assert.isTrue(sendPaymentStub.notCalled)
+      assert.isTrue(axiosInstance.request.notCalled)
+    })
+
+    it('should reject a prepayment that exceeds the budget before broadcasting', async () => {
+      const axiosInstance = createAxiosInstance()
+      const signer = createSignerStub()
+      const sendPaymentStub = sandbox
+        .stub()
+        .resolves({ txid: 'tx123', vout: 0, satsSent: 2000 })
+      __internals.sendPayment = sendPaymentStub
+
+      axiosInstance.request.rejects(create402Error())
+
+      const policy = createSpendingPolicy({ hourlyBudgetSats: 3000 })
+      withPaymentInterceptor(axiosInstance, signer, { policy, tabScope: 'interceptor' })
+
+      const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+
+      // The first prepayment fits the budget and is recorded
+      axiosInstance.request.onSecondCall().resolves({ data: 'ok' })
+      await errorHandler(create402Error())
+      assert.equal(policy.getSpent(60 * 60 * 1000), 2000)
+
+      // A second prepayment would take the hour to 4000 sats
+      await axiosInstance.x402.resetTab()
+      try {
+        await errorHandler(create402Error())
+        assert.fail('Expected rejection')
+      } catch (err) {
+        assert.instanceOf(err, SpendingPolicyError)
+        assert.equal(err.rule, 'hourlyBudgetSats')
+      }
+
+      assert.isTrue(sendPaymentStub.calledOnce)
+    })
+
+    it('should not let parallel prepayments to two payees overspend the budget', async () => {
+      const axiosInstance = createAxiosInstance()
+      const signer = createSignerStub()
+      signer.paymentAmountSats = 8000
+      const sendPaymentStub = sandbox
+        .stub()
+        .resolves({ txid: 'tx123', vout: 0, satsSent: 8000 })
+      __internals.sendPayment = sendPaymentStub
+      axiosInstance.request.resolves({ data: 'ok' })
+
+      const policy = createSpendingPolicy({ dailyBudgetSats: 10000 })
+      withPaymentInterceptor(axiosInstance, signer, { policy })
+
+      const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+      const createPayeeError = payTo => {
+        const error = create402Error({ config: { headers: {}, x402: { skipCheckMyTab: true } } })
+        error.response.data.accepts[0].payTo = payTo
+        return error
+      }
+
+      const results = await Promise.allSettled([
+        errorHandler(createPayeeError('bitcoincash:qpayeea')),
+        errorHandler(createPayeeError('bitcoincash:qpayeeb'))
+      ])
+
+      assert.equal(results[0].status, 'fulfilled')
+      assert.equal(results[1].status, 'rejected')
+      assert.equal(results[1].reason.rule, 'dailyBudgetSats')
+      assert.isTrue(sendPaymentStub.calledOnce)
+      assert.equal(policy.getSpent(24 * 60 * 60 * 1000), 8000)
+    })
+
+    it('should release the reserved sats when a prepayment fails', async () => {
+      const axiosInstance = createAxiosInstance()
+      const signer = createSignerStub()
+      __internals.sendPayment = sandbox.stub().rejects(new Error('broadcast failed'))
+
+      const policy = createSpendingPolicy({ dailyBudgetSats: 3000 })
+      withPaymentInterceptor(axiosInstance, signer, { policy })
+
+      const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+      try {
+        await errorHandler(create402Error({ config: { headers: {}, x402: { skipCheckMyTab: true } } }))
+        assert.fail('Expected rejection')
+      } catch (err) {
+        assert.include(err.message, 'broadcast failed')
+      }
+
+      assert.doesNotThrow(() => policy.checkBroadcast(3000))
+    })
+
+    it('should keep the budgets of a policy in the config storage across a restart', async () => {
+      const storage = createMemoryStorage()
+      const sendPaymentStub = sandbox
+        .stub()
+        .resolves({ txid: 'tx123', vout: 0, satsSent: 2000 })
+      __internals.sendPayment = sendPaymentStub
+      const paidError = () => create402Error({ config: { headers: {}, x402: { skipCheckMyTab: true } } })
+
+      // First process: a prepayment is broadcast and counted
+      const firstAxios = createAxiosInstance()
+      firstAxios.request.resolves({ data: 'ok' })
+      withPaymentInterceptor(firstAxios, createSignerStub(), {
+        storage,
+        tabScope: 'interceptor',
+        policy: { dailyBudgetSats: 3000 }
+      })
+      const [, firstHandler] = firstAxios.interceptors.response.use.firstCall.args
+      await firstHandler(paidError())
+
+      // Second process: a new prepayment would take the day to 4000 sats
+      const secondAxios = createAxiosInstance()
+      withPaymentInterceptor(secondAxios, createSignerStub(), {
+        storage,
+        tabScope: 'interceptor',
+        policy: { dailyBudgetSats: 3000 }
+      })
+      await secondAxios.x402.ready
+      const [, secondHandler] = secondAxios.interceptors.response.use.firstCall.args
+      try {
+        await secondHandler(paidError())
+        assert.fail('Expected rejection')
+      } catch (err) {
+        assert.instanceOf(err, SpendingPolicyError)
+        assert.equal(err.rule, 'dailyBudgetSats')
+      }
+
+      assert.isTrue(sendPaymentStub.calledOnce)
+    })
+
+    it('should persist tabs and reuse them after a restart', async () => {
+      const storage = createMemoryStorage()
+      const sendPaymentStub = sandbox
+        .stub()
+        .resolves({ txid: 'tx123', vout: 0, satsSent: 5000 })
+      __internals.sendPayment = sendPaymentStub
+
+      // First process: check my tab fails, so a UTXO is funded
+      const firstAxios = createAxiosInstance()
+      firstAxios.request
+        .onFirstCall()
+        .rejects(create402Error())
+        .onSecondCall()
+        .resolves({ data: 'ok' })
+      withPaymentInterceptor(firstAxios, createSignerStub(), { storage })
+      const [, firstHandler] = firstAxios.interceptors.response.use.firstCall.args
+      await firstHandler(create402Error())
+
+      // Second process: a new signer object and interceptor over the same storage
+      const secondAxios = createAxiosInstance()
+      secondAxios.request.resolves({ data: 'ok' })
+      withPaymentInterceptor(secondAxios, createSignerStub(), { storage })
+      await secondAxios.x402.ready
+      const [, secondHandler] = secondAxios.interceptors.response.use.firstCall.args
+      await secondHandler(create402Error())
+
+      // The restored tab is reused: no second prepayment and no check my tab
+      assert.isTrue(sendPaymentStub.calledOnce)
+      assert.isTrue(secondAxios.request.calledOnce)
+      const headerPayload = JSON.parse(secondAxios.request.firstCall.args[0].headers['PAYMENT-SIGNATURE'])
+      assert.equal(headerPayload.payload.authorization.txid, 'tx123')
+      assert.equal(secondAxios.x402.getTab(basePaymentRequirements).satsLeft, 2000)
+    })
+
+    it('should record prepayments and debits in the ledger', async () => {
+      const axiosInstance = createAxiosInstance()
+      const sendPaymentStub = sandbox
+        .stub()
+        .resolves({ txid: 'tx123', vout: 0, satsSent: 2000, fee: 226 })
+      __internals.sendPayment = sendPaymentStub
+
+      axiosInstance.request
+        .onFirstCall()
+        .rejects(create402Error())
+        .onSecondCall()
+        .resolves({ data: 'ok' })
+
+      withPaymentInterceptor(axiosInstance, createSignerStub(), { ledger: true })
+
+      const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+      await errorHandler(create402Error({
+        config: { url: '/weather', baseURL: 'https://api.example.com', headers: {} }
+      }))
+
+      const history = await axiosInstance.x402.getPaymentHistory()
+      assert.lengthOf(history, 2)
+      assert.include(history[0], {
+        type: 'prepayment',
+        url: 'https://api.example.com/weather',
+        host: 'api.example.com',
+        payTo: 'bitcoincash:qprecv',
+        amount: '2000',
+        fee: 226,
+        txid: 'tx123',
+        vout: 0,
+        mode: 'new-utxo',
+        result: 'broadcast'
+      })
+      assert.include(history[1], {
+        type: 'debit',
+        amount: '1500',
+        txid: 'tx123',
+        mode: 'new-utxo',
+        result: 'settled'
+      })
+
+      const debits = await axiosInstance.x402.getPaymentHistory({ type: 'debit' })
+      assert.lengthOf(debits, 1)
+
+      const csv = await axiosInstance.x402.exportPaymentHistory('csv')
+      assert.lengthOf(csv.trim().split('\n'), 3)
+    })
+
+    it('should record debits the server rejects', async () => {
+      const axiosInstance = createAxiosInstance()
+      const signer = createSignerStub()
+      const ledger = createLedger()
+
+      await getSignerTabState(signer).set(getTabKey(basePaymentRequirements), {
+        txid: 'stale',
+        vout: 0,
+        satsLeft: 5000
+      })
+      __internals.sendPayment = sandbox
+        .stub()
+        .resolves({ txid: 'fresh', vout: 0, satsSent: 2000, fee: 226 })
+
+      axiosInstance.request
+        .onFirstCall()
+        .rejects(create402Error())
+        .onSecondCall()
+        .resolves({ data: 'ok' })
+
+      withPaymentInterceptor(axiosInstance, signer, { ledger })
+
+      const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+      await errorHandler(create402Error())
+
+      const history = await ledger.getPaymentHistory()
+      assert.deepEqual(
+        history.map(entry => [entry.type, entry.txid, entry.mode, entry.result]),
+        [
+          ['debit', 'stale', 'reuse', 'rejected'],
+          ['prepayment', 'fresh', 'new-utxo', 'broadcast'],
+          ['debit', 'fresh', 'new-utxo', 'settled']
+        ]
+      )
+    })
+
+    it('should record check my tab debits', async () => {
+      const axiosInstance = createAxiosInstance()
+      axiosInstance.request.resolves({ data: 'ok', headers: {} })
+
+      withPaymentInterceptor(axiosInstance, createSignerStub(), { ledger: true })
+
+      const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+      await errorHandler(create402Error())
+
+      const history = await axiosInstance.x402.getPaymentHistory()
+      assert.lengthOf(history, 1)
+      assert.include(history[0], {
+        type: 'debit',
+        amount: '1500',
+        txid: null,
+        mode: 'check-my-tab',
+        result: 'settled'
+      })
+    })
+
+    it('should not fail a payment when the ledger cannot be written', async () => {
+      const axiosInstance = createAxiosInstance()
+      axiosInstance.request.resolves({ data: 'ok', headers: {} })
+      const ledger = createLedger()
+      sandbox.stub(ledger, 'record').rejects(new Error('disk full'))
+
+      withPaymentInterceptor(axiosInstance, createSignerStub(), { ledger })
+
+      const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+      const response = await errorHandler(create402Error())
+
+      assert.equal(response.data, 'ok')
+    })
+
+    it('should reject payment history queries without a ledger', async () => {
+      const axiosInstance = createAxiosInstance()
+      withPaymentInterceptor(axiosInstance, createSignerStub())
+
+      assert.isNull(axiosInstance.x402.ledger)
+      try {
+        await axiosInstance.x402.getPaymentHistory()
+        assert.fail('Expected error to be thrown')
+      } catch (err) {
+        assert.include(err.message, 'No payment ledger')
+      }
+    })
+
+    it('should ask approvePayment before funding a new UTXO', async () => {
+      const axiosInstance = createAxiosInstance()
+      const sendPaymentStub = sandbox
+        .stub()
+        .resolves({ txid: 'tx123', vout: 0, satsSent: 2000 })
+      __internals.sendPayment = sendPaymentStub
+      const approvePayment = sandbox.stub().resolves(true)
+
+      axiosInstance.request
+        .onFirstCall()
+        .rejects(create402Error())
+        .onSecondCall()
+        .resolves({ data: 'ok' })
+
+      withPaymentInterceptor(axiosInstance, createSignerStub(), { approvePayment })
+
+      const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+      const response = await errorHandler(create402Error({
+        config: { url: 'https://api.example.com/weather', headers: {} }
+      }))
+
+      assert.equal(response.data, 'ok')
+      assert.isTrue(approvePayment.calledOnce)
+      assert.deepEqual(approvePayment.firstCall.args[0], {
+        requirements: basePaymentRequirements,
+        resource: baseResource,
+        url: 'https://api.example.com/weather',
+        mode: 'new-utxo',
+        amount: 1500,
+        amountToBroadcast: 2000
+      })
+      assert.isTrue(approvePayment.calledBefore(sendPaymentStub))
+    })
+
+    it('should reject with PaymentDeclinedError when a payment is declined', async () => {
+      const axiosInstance = createAxiosInstance()
+      const sendPaymentStub = sandbox.stub()
+      __internals.sendPayment = sendPaymentStub
+      const onPaymentError = sandbox.stub()
+
+      axiosInstance.request.rejects(create402Error())
+
+      withPaymentInterceptor(axiosInstance, createSignerStub(), {
+        approvePayment: async () => false,
+        onPaymentError
+      })
+
+      const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+      try {
+        await errorHandler(create402Error())
+        assert.fail('Expected rejection')
+      } catch (err) {
+        assert.instanceOf(err, PaymentDeclinedError)
+        assert.equal(err.code, ERROR_CODES.PAYMENT_DECLINED)
+        assert.deepEqual(err.paymentRequirements, basePaymentRequirements)
+      }
+
+      assert.isTrue(sendPaymentStub.notCalled)
+      assert.isTrue(onPaymentError.calledOnce)
+      assert.deepEqual(axiosInstance.x402.getTabs(), [])
+    })
+
+    it('should ask before every tab debit with approveTabDebits', async () => {
+      const axiosInstance = createAxiosInstance()
+      const signer = createSignerStub()
+      await getSignerTabState(signer).set(getTabKey(basePaymentRequirements), {
+        txid: 'cached',
+        vout: 0,
+        satsLeft: 5000
+      })
+      const approvePayment = sandbox.stub().resolves(false)
+
+      withPaymentInterceptor(axiosInstance, signer, { approvePayment, approveTabDebits: true })
+
+      const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+      try {
+        await errorHandler(create402Error())
+        assert.fail('Expected rejection')
+      } catch (err) {
+        assert.instanceOf(err, PaymentDeclinedError)
+      }
+
+      assert.include(approvePayment.firstCall.args[0], { mode: 'reuse', amountToBroadcast: 0 })
+      assert.isTrue(axiosInstance.request.notCalled)
+      assert.include(axiosInstance.x402.getTab(basePaymentRequirements), {
+        txid: 'cached',
+        satsLeft: 5000
+      })
+    })
+
+    it('should ask before checking the tab with approveTabDebits', async () => {
+      const axiosInstance = createAxiosInstance()
+      const approvePayment = sandbox.stub().resolves(true)
+      axiosInstance.request.resolves({ data: 'ok', headers: {} })
+
+      withPaymentInterceptor(axiosInstance, createSignerStub(), { approvePayment, approveTabDebits: true })
+
+      const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+      await errorHandler(create402Error())
+
+      assert.isTrue(approvePayment.calledOnce)
+      assert.include(approvePayment.firstCall.args[0], { mode: 'check-my-tab', amountToBroadcast: 0 })
+    })
+
+    describe('#per-request overrides', () => {
+      function withOverrides (x402) {
+        return create402Error({ config: { headers: {}, x402 } })
+      }
+
+      function createCachedSigner (satsLeft) {
+        const signer = createSignerStub()
+        return getSignerTabState(signer).set(getTabKey(basePaymentRequirements), {
+          txid: 'cached',
+          vout: 0,
+          satsLeft
+        }).then(() => signer)
+      }
+
+      it('should pass the 402 through when autoPay is off', async () => {
+        const axiosInstance = createAxiosInstance()
+        withPaymentInterceptor(axiosInstance, createSignerStub())
+
+        const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+        const error = withOverrides({ autoPay: false })
+        try {
+          await errorHandler(error)
+          assert.fail('Expected rejection')
+        } catch (err) {
+          assert.strictEqual(err, error)
+        }
+
+        assert.isTrue(axiosInstance.request.notCalled)
+      })
+
+      it('should refuse a price above maxAmount', async () => {
+        const axiosInstance = createAxiosInstance()
+        const sendPaymentStub = sandbox.stub()
+        __internals.sendPayment = sendPaymentStub
+        withPaymentInterceptor(axiosInstance, createSignerStub())
+
+        const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+        try {
+          await errorHandler(withOverrides({ maxAmount: 1000 }))
+          assert.fail('Expected rejection')
+        } catch (err) {
+          assert.instanceOf(err, SpendingPolicyError)
+          assert.equal(err.rule, 'maxAmount')
+          assert.deepEqual(err.details, { amount: 1500, maxAmount: 1000 })
+        }
+
+        assert.isTrue(sendPaymentStub.notCalled)
+        assert.isTrue(axiosInstance.request.notCalled)
+      })
+
+      it('should prepay the paymentAmountSats of the request', async () => {
+        const axiosInstance = createAxiosInstance()
+        const sendPaymentStub = sandbox
+          .stub()
+          .resolves({ txid: 'tx123', vout: 0, satsSent: 9000 })
+        __internals.sendPayment = sendPaymentStub
+        const approvePayment = sandbox.stub().resolves(true)
+
+        axiosInstance.request
+          .onFirstCall()
+          .rejects(create402Error())
+          .onSecondCall()
+          .resolves({ data: 'ok' })
+
+        const bchServerConfig = { approvePayment }
+        withPaymentInterceptor(axiosInstance, createSignerStub(), bchServerConfig)
+
+        const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+        await errorHandler(withOverrides({ paymentAmountSats: 9000 }))
+
+        assert.equal(sendPaymentStub.firstCall.args[2].paymentAmountSats, 9000)
+        assert.include(approvePayment.firstCall.args[0], { amountToBroadcast: 9000 })
+        assert.notProperty(bchServerConfig, 'paymentAmountSats')
+        assert.include(axiosInstance.x402.getTab(basePaymentRequirements), { satsLeft: 7500, prepaidAmount: 9000 })
+
+        // The authorization states what the UTXO prepaid, not the signer default
+        const firstHeader = JSON.parse(axiosInstance.request.secondCall.args[0].headers['PAYMENT-SIGNATURE'])
+        assert.equal(firstHeader.payload.authorization.amount, 9000)
+
+        axiosInstance.request.onThirdCall().resolves({ data: 'ok' })
+        await errorHandler(create402Error())
+        const reuseHeader = JSON.parse(axiosInstance.request.thirdCall.args[0].headers['PAYMENT-SIGNATURE'])
+        assert.include(reuseHeader.payload.authorization, { txid: 'tx123', amount: 9000 })
+      })
+
+      it('should fund a new UTXO when forceNewUtxo is set', async () => {
+        const axiosInstance = createAxiosInstance()
+        const signer = await createCachedSigner(5000)
+        const sendPaymentStub = sandbox
+          .stub()
+          .resolves({ txid: 'fresh', vout: 0, satsSent: 2000 })
+        __internals.sendPayment = sendPaymentStub
+        axiosInstance.request.resolves({ data: 'ok' })
+
+        withPaymentInterceptor(axiosInstance, signer)
+
+        const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+        const quoted = await errorHandler(withOverrides({ forceNewUtxo: true, dryRun: true }))
+        assert.include(quoted.x402Quote, { mode: 'new-utxo', broadcastSats: 2000 })
+
+        await errorHandler(withOverrides({ forceNewUtxo: true }))
+
+        assert.isTrue(sendPaymentStub.calledOnce)
+        assert.isTrue(axiosInstance.request.calledOnce)
+        assert.include(axiosInstance.x402.getTab(basePaymentRequirements), {
+          txid: 'fresh',
+          satsLeft: 500
+        })
+      })
+
+      it('should skip check my tab when skipCheckMyTab is set', async () => {
+        const axiosInstance = createAxiosInstance()
+        const sendPaymentStub = sandbox
+          .stub()
+          .resolves({ txid: 'tx123', vout: 0, satsSent: 2000 })
+        __internals.sendPayment = sendPaymentStub
+        axiosInstance.request.resolves({ data: 'ok' })
+
+        withPaymentInterceptor(axiosInstance, createSignerStub())
+
+        const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+        await errorHandler(withOverrides({ skipCheckMyTab: true }))
+
+        assert.isTrue(sendPaymentStub.calledOnce)
+        assert.isTrue(axiosInstance.request.calledOnce)
+        const headerPayload = JSON.parse(axiosInstance.request.firstCall.args[0].headers['PAYMENT-SIGNATURE'])
+        assert.equal(headerPayload.payload.authorization.txid, 'tx123')
+      })
+
+      it('should use the selector of the request', async () => {
+        const axiosInstance = createAxiosInstance()
+        const signer = await createCachedSigner(5000)
+        const interceptorSelector = sandbox.stub().returns(basePaymentRequirements)
+        const requestSelector = sandbox.stub().returns(basePaymentRequirements)
+        axiosInstance.request.resolves({ data: 'ok' })
+
+        withPaymentInterceptor(axiosInstance, signer, interceptorSelector)
+
+        const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+        await errorHandler(withOverrides({ selector: requestSelector }))
+
+        assert.isTrue(requestSelector.calledOnce)
+        assert.isTrue(interceptorSelector.notCalled)
+      })
+
+      it('should reject invalid overrides with a typed error', async () => {
+        const axiosInstance = createAxiosInstance()
+        const onPaymentError = sandbox.stub()
+        withPaymentInterceptor(axiosInstance, createSignerStub(), { onPaymentError })
+
+        const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+        try {
+          await errorHandler(withOverrides({ maxAmount: '1000' }))
+          assert.fail('Expected rejection')
+        } catch (err) {
+          assert.instanceOf(err, InvalidRequestOptionsError)
+          assert.equal(err.code, 'ERR_X402_INVALID_REQUEST_OPTIONS')
+          assert.include(err.message, 'x402.maxAmount must be a non-negative number')
+          assert.strictEqual(onPaymentError.firstCall.args[0], err)
+        }
+      })
+    })
+
+    it('should quote a v2 402 on a dry run without paying', async () => {
+      const axiosInstance = createAxiosInstance()
+      const signer = createSignerStub()
+      const sendPaymentStub = sandbox.stub()
+      __internals.sendPayment = sendPaymentStub
+      const onPaymentRequired = sandbox.stub()
+
+      withPaymentInterceptor(axiosInstance, signer, { onPaymentRequired })
+
+      const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+      const paymentRequired = Buffer.from(JSON.stringify({
+        x402Version: 2,
+        resource: baseResource,
+        accepts: [basePaymentRequirements]
+      })).toString('base64')
+      const response = await errorHandler(create402Error({
+        response: { status: 402, headers: { 'payment-required': paymentRequired }, data: '' },
+        config: { headers: {}, x402: { dryRun: true } }
+      }))
+
+      assert.equal(response.status, 402)
+      assert.deepInclude(response.x402Quote, {
+        x402Version: 2,
+        resource: baseResource,
+        accepts: [basePaymentRequirements],
+        requirements: basePaymentRequirements,
+        amount: 1500,
+        mode: 'check-my-tab',
+        prepaymentAmount: 2000,
+        broadcastSats: 2000,
+        tab: null
+      })
+      assert.isTrue(sendPaymentStub.notCalled)
+      assert.isTrue(signer.signMessage.notCalled)
+      assert.isTrue(axiosInstance.request.notCalled)
+      assert.isTrue(onPaymentRequired.notCalled)
+    })
+
+    it('should quote a v1 402 against the tracked tab', async () => {
+      const axiosInstance = createAxiosInstance()
+      const signer = createSignerStub()
+      const v1Requirements = {
+        network: 'bch',
+        scheme: 'utxo',
+        payTo: 'bitcoincash:qprecv',
+        minAmountRequired: 1500
+      }
+      await getSignerTabState(signer).set(getTabKey(v1Requirements), {
+        txid: 'cached',
+        vout: 0,
+        satsLeft: 5000
+      })
+
+      withPaymentInterceptor(axiosInstance, signer)
+
+      const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+      const config = { headers: {}, x402: { dryRun: true } }
+      const response = await errorHandler({
+        response: { status: 402, headers: {}, data: { x402Version: 1, accepts: [v1Requirements] } },
+        config
+      })
+
+      assert.deepInclude(response.x402Quote, {
+        x402Version: 1,
+        amount: 1500,
+        mode: 'reuse',
+        broadcastSats: 0,
+        tab: { txid: 'cached', vout: 0, satsLeft: 5000 }
+      })
+      assert.isUndefined(config.headers['PAYMENT-SIGNATURE'])
+    })
+
+    it('should quote the token prepayment of a CashToken 402', async () => {
+      const axiosInstance = createAxiosInstance()
+      const tokenRequirements = { ...basePaymentRequirements, asset: 'ab'.repeat(32), amount: '10' }
+      const error = create402Error({ config: { headers: {}, x402: { dryRun: true } } })
+      error.response.data.accepts = [tokenRequirements]
+
+      withPaymentInterceptor(axiosInstance, createSignerStub(), {
+        tokenPaymentAmounts: { ['ab'.repeat(32)]: '50' }
+      })
+
+      const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+      const response = await errorHandler(error)
+
+      assert.include(response.x402Quote, {
+        amount: 10,
+        asset: 'ab'.repeat(32),
+        prepaymentAmount: 50,
+        broadcastSats: 1000
+      })
+    })
+
+    it('should make a dry run request from x402.quote()', async () => {
+      const axiosInstance = createAxiosInstance()
+      const quote = { amount: 1500 }
+      axiosInstance.request
+        .onFirstCall()
+        .resolves({ status: 402, x402Quote: quote })
+        .onSecondCall()
+        .resolves({ status: 200 })
+
+      withPaymentInterceptor(axiosInstance, createSignerStub())
+
+      assert.strictEqual(await axiosInstance.x402.quote({ url: '/weather', x402: { other: 1 } }), quote)
+      assert.deepEqual(axiosInstance.request.firstCall.args[0], {
+        url: '/weather',
+        x402: { other: 1, dryRun: true }
+      })
+
+      // No payment needed
+      assert.isNull(await axiosInstance.x402.quote({ url: '/free' }))
+    })
+
+    it('should parse v2 response from PAYMENT-REQUIRED header', async () => {
+      const axiosInstance = createAxiosInstance()
+      const signer = createSignerStub()
+      signer.signMessage.returns('signed')
+
+      const sendPaymentStub = sandbox
+        .stub()
+        .resolves({ txid: 'tx123', vout: 0, satsSent: 2000 })
+      __internals.sendPayment = sendPaymentStub
+
+      // First call (check my tab) returns 402, second call (with UTXO) succeeds
+      axiosInstance.request
+        .onFirstCall()
+        .rejects({
+          response: {
             status: 402,
             headers: {},
             data: {
@@ -433,7 +2362,7 @@ describe('#index.js', () => {
 
       const response = await errorHandler(error)
 
-      assert.deepEqual(response, { data: 'ok' })
+      assert.equal(response.data, 'ok')
       assert.isTrue(sendPaymentStub.calledOnce)
       assert.isTrue(axiosInstance.request.calledTwice)
 
@@ -502,8 +2431,230 @@ describe('#index.js', () => {
 
       const response = await errorHandler(error)
 
-      assert.deepEqual(response, { data: 'ok' })
+      assert.equal(response.data, 'ok')
+      assert.isTrue(sendPaymentStub.calledOnce)
+    })
+  })
+
+  describe('#wrapFetchWithPayment', () => {
+    const requirements = {
+      network: 'bip122:000000000000000000651ef99cb9fcbe',
+      scheme: 'utxo',
+      payTo: 'bitcoincash:qprecv',
+      amount: '1500',
+      asset: '0x0000000000000000000000000000000000000001',
+      maxTimeoutSeconds: 60,
+      extra: {}
+    }
+
+    function createSignerStub () {
+      return {
+        address: 'bitcoincash:qptest',
+        paymentAmountSats: 2000,
+        signMessage: sandbox.stub().returns('signature')
+      }
+    }
+
+    // A v2 402, with the requirements in the PAYMENT-REQUIRED header
+    function create402Response () {
+      const paymentRequired = Buffer.from(JSON.stringify({
+        x402Version: 2,
+        resource: { url: 'https://api.example.com/weather' },
+        accepts: [requirements]
+      })).toString('base64')
+      return new Response('payment required', {
+        status: 402,
+        headers: { 'PAYMENT-REQUIRED': paymentRequired }
+      })
+    }
+
+    function paymentSignatureOf (call) {
+      return JSON.parse(new Headers(call.args[1].headers).get('payment-signature'))
+    }
+
+    it('should require a fetch function', () => {
+      assert.throws(() => wrapFetchWithPayment(null, createSignerStub()), /requires a fetch function/)
+    })
+
+    it('should return responses that are not 402 untouched', async () => {
+      const upstream = new Response('ok', { status: 200 })
+      const fetchStub = sandbox.stub().resolves(upstream)
+
+      const fetchWithPayment = wrapFetchWithPayment(fetchStub, createSignerStub())
+      const response = await fetchWithPayment('https://api.example.com/weather')
+
+      assert.strictEqual(response, upstream)
+      assert.isTrue(fetchStub.calledOnce)
+    })
+
+    it('should fund a tab and replay the request with PAYMENT-SIGNATURE', async () => {
+      const sendPaymentStub = sandbox
+        .stub()
+        .resolves({ txid: 'tx123', vout: 0, satsSent: 2000 })
+      __internals.sendPayment = sendPaymentStub
+
+      const fetchStub = sandbox.stub()
+      fetchStub.onCall(0).resolves(create402Response())
+      // check my tab
+      fetchStub.onCall(1).resolves(create402Response())
+      fetchStub.onCall(2).resolves(new Response('{"temp":21}', { status: 200 }))
+
+      const fetchWithPayment = wrapFetchWithPayment(fetchStub, createSignerStub())
+      const response = await fetchWithPayment('https://api.example.com/weather', {
+        headers: { Accept: 'application/json' }
+      })
+
+      assert.deepEqual(await response.json(), { temp: 21 })
+      assert.include(response.x402Settlement, { txid: 'tx123', mode: 'new-utxo' })
+      assert.isTrue(sendPaymentStub.calledOnce)
+      assert.equal(fetchStub.callCount, 3)
+
+      assert.equal(paymentSignatureOf(fetchStub.getCall(1)).payload.authorization.txid, '*')
+      const replayHeaders = new Headers(fetchStub.getCall(2).args[1].headers)
+      assert.equal(replayHeaders.get('accept'), 'application/json')
+      assert.equal(paymentSignatureOf(fetchStub.getCall(2)).payload.authorization.txid, 'tx123')
+      assert.equal(fetchWithPayment.x402.getTab(requirements).satsLeft, 500)
+    })
+
+    it('should read payment requirements from a v1 body', async () => {
+      __internals.sendPayment = sandbox
+        .stub()
+        .resolves({ txid: 'tx123', vout: 0, satsSent: 2000 })
+
+      const body = JSON.stringify({
+        x402Version: 1,
+        accepts: [{ ...requirements, network: 'bch', amount: undefined, minAmountRequired: 1500 }]
+      })
+      const fetchStub = sandbox.stub()
+      fetchStub.onCall(0).resolves(new Response(body, { status: 402 }))
+      fetchStub.onCall(1).resolves(new Response(body, { status: 402 }))
+      fetchStub.onCall(2).resolves(new Response('ok', { status: 200 }))
+
+      const fetchWithPayment = wrapFetchWithPayment(fetchStub, createSignerStub())
+      const response = await fetchWithPayment('https://api.example.com/weather')
+
+      assert.equal(await response.text(), 'ok')
+      const payload = JSON.parse(new Headers(fetchStub.getCall(2).args[1].headers).get('payment-signature'))
+      assert.equal(payload.x402Version, 1)
+    })
+
+    it('should share tab state with the axios interceptor for the same signer', async () => {
+      const signer = createSignerStub()
+      const sendPaymentStub = sandbox
+        .stub()
+        .resolves({ txid: 'tx123', vout: 0, satsSent: 5000 })
+      __internals.sendPayment = sendPaymentStub
+
+      const fetchStub = sandbox.stub()
+      fetchStub.onCall(0).resolves(create402Response())
+      fetchStub.onCall(1).resolves(create402Response())
+      fetchStub.onCall(2).resolves(new Response('ok', { status: 200 }))
+      await wrapFetchWithPayment(fetchStub, signer)('https://api.example.com/weather')
+
+      const axiosInstance = {
+        interceptors: { response: { use: sandbox.stub() } },
+        request: sandbox.stub().resolves({ data: 'ok', headers: {} })
+      }
+      withPaymentInterceptor(axiosInstance, signer)
+      const [, errorHandler] = axiosInstance.interceptors.response.use.firstCall.args
+      await errorHandler({
+        response: {
+          status: 402,
+          headers: {},
+          data: { x402Version: 2, accepts: [cloneDeep(requirements)] }
+        },
+        config: { headers: {} }
+      })
+
+      // The axios request reuses the tab the fetch request funded
       assert.isTrue(sendPaymentStub.calledOnce)
+      const headerPayload = JSON.parse(axiosInstance.request.firstCall.args[0].headers['PAYMENT-SIGNATURE'])
+      assert.equal(headerPayload.payload.authorization.txid, 'tx123')
+      assert.equal(axiosInstance.x402.getTab(requirements).satsLeft, 2000)
+    })
+
+    it('should replay the body of a Request', async () => {
+      const signer = createSignerStub()
+      await getSignerTabState(signer).set(getTabKey(requirements), {
+        txid: 'cached',
+        vout: 0,
+        satsLeft: 5000
+      })
+
+      const fetchStub = sandbox.stub()
+      fetchStub.onCall(0).resolves(create402Response())
+      fetchStub.onCall(1).resolves(new Response('ok', { status: 200 }))
+
+      const fetchWithPayment = wrapFetchWithPayment(fetchStub, signer)
+      const request = new Request('https://api.example.com/forecast', {
+        method: 'POST',
+        body: '{"city":"Lisbon"}'
+      })
+      const response = await fetchWithPayment(request)
+
+      assert.equal(response.status, 200)
+      for (const call of fetchStub.getCalls()) {
+        assert.equal(await call.args[0].text(), '{"city":"Lisbon"}')
+      }
+      assert.equal(paymentSignatureOf(fetchStub.getCall(1)).payload.authorization.txid, 'cached')
+    })
+
+    it('should return a paid response that failed instead of throwing', async () => {
+      const signer = createSignerStub()
+      await getSignerTabState(signer).set(getTabKey(requirements), {
+        txid: 'cached',
+        vout: 0,
+        satsLeft: 5000
+      })
+
+      const fetchStub = sandbox.stub()
+      fetchStub.onCall(0).resolves(create402Response())
+      fetchStub.onCall(1).resolves(new Response('boom', { status: 500 }))
+
+      const response = await wrapFetchWithPayment(fetchStub, signer)('https://api.example.com/weather')
+
+      assert.equal(response.status, 500)
+      assert.equal(await response.text(), 'boom')
+    })
+
+    it('should quote a request without paying', async () => {
+      const sendPaymentStub = sandbox.stub()
+      __internals.sendPayment = sendPaymentStub
+      const fetchStub = sandbox.stub().resolves(create402Response())
+
+      const fetchWithPayment = wrapFetchWithPayment(fetchStub, createSignerStub())
+      const quote = await fetchWithPayment.x402.quote('https://api.example.com/weather')
+
+      assert.include(quote, { amount: 1500, mode: 'check-my-tab', broadcastSats: 2000 })
+      assert.isTrue(fetchStub.calledOnce)
+      assert.isTrue(sendPaymentStub.notCalled)
+
+      // No payment needed
+      fetchStub.resolves(new Response('ok', { status: 200 }))
+      assert.isNull(await fetchWithPayment.x402.quote('https://api.example.com/free'))
+    })
+
+    it('should return the 402 when autoPay is off', async () => {
+      const fetchStub = sandbox.stub().resolves(create402Response())
+
+      const response = await wrapFetchWithPayment(fetchStub, createSignerStub())(
+        'https://api.example.com/weather',
+        { x402: { autoPay: false } }
+      )
+
+      assert.equal(response.status, 402)
+      assert.isTrue(fetchStub.calledOnce)
+    })
+
+    it('should reject with the payment errors of the axios interceptor', async () => {
+      const fetchStub = sandbox.stub().resolves(new Response('{"accepts":[]}', { status: 402 }))
+
+      try {
+        await wrapFetchWithPayment(fetchStub, createSignerStub())('https://api.example.com/weather')
+        assert.fail('Expected error to be thrown')
+      } catch (err) {
+        assert.equal(err.code, ERROR_CODES.MISSING_REQUIREMENTS)
+      }
     })
   })
 
@@ -555,7 +2706,8 @@ describe('#index.js', () => {
       assert.deepEqual(result, {
         txid: 'tx123',
         vout: 0,
-        satsSent: 2000
+        satsSent: 2000,
+        fee: null
       })
 
       assert.isTrue(BCHWalletStub.calledOnce)
@@ -581,7 +2733,118 @@ describe('#index.js', () => {
       __resetDependencies()
     })
 
-    it('should route to sendPaymentFullstack when URL contains bch.fullstack.cash', async () => {
+    it('should call onPaymentBroadcast from sendPaymentGeneric', async () => {
+      const signer = createSignerStub()
+      const paymentRequirements = createPaymentRequirementsStub()
+      const onPaymentBroadcast = sandbox.stub()
+      const requestConfig = { url: '/weather' }
+
+      __setDependencies({
+        BCHWallet: sandbox.stub().returns({ initialize: sandbox.stub().resolves() }),
+        RetryQueue: sandbox.stub().returns({ addToQueue: sandbox.stub().resolves('tx123') })
+      })
+
+      await __internals.sendPayment(
+        signer,
+        paymentRequirements,
+        { bchServerURL: 'https://api.example.com', onPaymentBroadcast },
+        requestConfig
+      )
+
+      assert.isTrue(onPaymentBroadcast.calledOnce)
+      assert.deepEqual(onPaymentBroadcast.firstCall.args, [
+        { txid: 'tx123', sats: 2000, payTo: 'bitcoincash:qprecv', fee: null },
+        requestConfig
+      ])
+
+      __resetDependencies()
+    })
+
+    it('should route to sendPaymentFullstack when URL contains bch.fullstack.cash', async () => {
+      const signer = createSignerStub()
+      const paymentRequirements = createPaymentRequirementsStub()
+      const bchServerConfig = {
+        apiType: 'rest-api',
+        bchServerURL: 'https://bch.fullstack.cash/v5/'
+      }
+
+      const mockEcPair = { ecpair: true }
+      const mockUtxos = [{
+        tx_hash: 'utxo-txid',
+        tx_pos: 1,
+        value: 5000
+      }]
+
+      const mockTransactionBuilder = {
+        addInput: sandbox.stub(),
+        addOutput: sandbox.stub(),
+        sign: sandbox.stub(),
+        build: sandbox.stub().returns({
+          toHex: sandbox.stub().returns('raw-hex')
+        }),
+        hashTypes: {
+          SIGHASH_ALL: 1
+        }
+      }
+
+      const mockBchjs = {
+        ECPair: {
+          fromWIF: sandbox.stub().returns(mockEcPair),
+          toCashAddress: sandbox.stub().returns('bitcoincash:qptest')
+        },
+        Electrumx: {
+          utxo: sandbox.stub().resolves({ utxos: mockUtxos })
+        },
+        TransactionBuilder: sandbox.stub().returns(mockTransactionBuilder),
+        BitcoinCash: {
+          getByteCount: sandbox.stub().returns(250)
+        },
+        RawTransactions: {
+          sendRawTransaction: sandbox.stub().resolves('tx123')
+        }
+      }
+
+      const mockBchWallet = {
+        walletInfoPromise: Promise.resolve(),
+        bchjs: mockBchjs
+      }
+
+      const BCHWalletStub = sandbox.stub().returns(mockBchWallet)
+
+      __setDependencies({
+        BCHWallet: BCHWalletStub
+      })
+
+      const result = await __internals.sendPayment(signer, paymentRequirements, bchServerConfig)
+
+      assert.deepEqual(result, {
+        txid: 'tx123',
+        vout: 0,
+        satsSent: 2000,
+        fee: 300,
+        from: 'bitcoincash:qptest'
+      })
+
+      assert.isTrue(BCHWalletStub.calledOnce)
+      assert.deepEqual(BCHWalletStub.firstCall.args[0], 'test-wif')
+      assert.deepEqual(BCHWalletStub.firstCall.args[1], {
+        interface: 'rest-api',
+        restURL: 'https://bch.fullstack.cash/v5/',
+        bearerToken: undefined
+      })
+      assert.isTrue(mockBchjs.ECPair.fromWIF.calledOnce)
+      assert.isTrue(mockBchjs.Electrumx.utxo.calledOnce)
+      assert.isTrue(mockBchjs.TransactionBuilder.calledOnce)
+      assert.isTrue(mockTransactionBuilder.addInput.calledOnce)
+      assert.isTrue(mockTransactionBuilder.addOutput.calledTwice)
+      assert.isTrue(mockTransactionBuilder.sign.calledOnce)
+      assert.isTrue(mockBchjs.RawTransactions.sendRawTransaction.calledOnce)
+      assert.deepEqual(mockBchjs.RawTransactions.sendRawTransaction.firstCall.args[0], 'raw-hex')
+
+      __resetDependencies()
+    })
+
+    it('should combine several UTXOs in sendPaymentFullstack', async () => {
       const signer = createSignerStub()
       const paymentRequirements = createPaymentRequirementsStub()
       const bchServerConfig = {
@@ -589,12 +2852,12 @@ describe('#index.js', () => {
         bchServerURL: 'https://bch.fullstack.cash/v5/'
       }
 
-      const mockEcPair = { ecpair: true }
-      const mockUtxos = [{
-        tx_hash: 'utxo-txid',
-        tx_pos: 1,
-        value: 5000
-      }]
+      // No single UTXO can pay 2000 sats, but two of them can.
+      const mockUtxos = Array.from({ length: 10 }, (_, i) => ({
+        tx_hash: `utxo-txid-${i}`,
+        tx_pos: 0,
+        value: 1500
+      }))
 
       const mockTransactionBuilder = {
         addInput: sandbox.stub(),
@@ -610,7 +2873,7 @@ describe('#index.js', () => {
 
       const mockBchjs = {
         ECPair: {
-          fromWIF: sandbox.stub().returns(mockEcPair),
+          fromWIF: sandbox.stub().returns({ ecpair: true }),
           toCashAddress: sandbox.stub().returns('bitcoincash:qptest')
         },
         Electrumx: {
@@ -618,47 +2881,81 @@ describe('#index.js', () => {
         },
         TransactionBuilder: sandbox.stub().returns(mockTransactionBuilder),
         BitcoinCash: {
-          getByteCount: sandbox.stub().returns(250)
+          getByteCount: sandbox.stub().callsFake(inputs => 34 + 148 * inputs.P2PKH)
         },
         RawTransactions: {
           sendRawTransaction: sandbox.stub().resolves('tx123')
         }
       }
 
-      const mockBchWallet = {
-        walletInfoPromise: Promise.resolve(),
-        bchjs: mockBchjs
-      }
-
-      const BCHWalletStub = sandbox.stub().returns(mockBchWallet)
-
       __setDependencies({
-        BCHWallet: BCHWalletStub
+        BCHWallet: sandbox.stub().returns({
+          walletInfoPromise: Promise.resolve(),
+          bchjs: mockBchjs
+        })
       })
 
       const result = await __internals.sendPayment(signer, paymentRequirements, bchServerConfig)
 
-      assert.deepEqual(result, {
-        txid: 'tx123',
-        vout: 0,
-        satsSent: 2000
-      })
+      assert.equal(result.txid, 'tx123')
+      assert.isTrue(mockTransactionBuilder.addInput.calledTwice)
+      assert.isTrue(mockTransactionBuilder.sign.calledTwice)
+      assert.deepEqual(mockTransactionBuilder.sign.secondCall.args.slice(0, 2), [1, { ecpair: true }])
+      assert.equal(mockTransactionBuilder.sign.secondCall.args[4], 1500)
 
-      assert.isTrue(BCHWalletStub.calledOnce)
-      assert.deepEqual(BCHWalletStub.firstCall.args[0], 'test-wif')
-      assert.deepEqual(BCHWalletStub.firstCall.args[1], {
-        interface: 'rest-api',
-        restURL: 'https://bch.fullstack.cash/v5/',
-        bearerToken: undefined
+      // Fee for 2 inputs: floor(1.2 * (34 + 296)) = 396
+      assert.deepEqual(mockTransactionBuilder.addOutput.secondCall.args, [
+        'bitcoincash:qptest',
+        3000 - 2000 - 396
+      ])
+
+      __resetDependencies()
+    })
+
+    it('should call onPaymentBroadcast from sendPaymentFullstack', async () => {
+      const signer = createSignerStub()
+      const paymentRequirements = createPaymentRequirementsStub()
+      const onPaymentBroadcast = sandbox.stub()
+      const requestConfig = { url: '/weather' }
+
+      const mockBchjs = {
+        ECPair: {
+          fromWIF: sandbox.stub().returns({}),
+          toCashAddress: sandbox.stub().returns('bitcoincash:qptest')
+        },
+        Electrumx: {
+          utxo: sandbox.stub().resolves({ utxos: [{ tx_hash: 'utxo-txid', tx_pos: 1, value: 5000 }] })
+        },
+        TransactionBuilder: sandbox.stub().returns({
+          addInput: sandbox.stub(),
+          addOutput: sandbox.stub(),
+          sign: sandbox.stub(),
+          build: sandbox.stub().returns({ toHex: sandbox.stub().returns('raw-hex') }),
+          hashTypes: { SIGHASH_ALL: 1 }
+        }),
+        BitcoinCash: {
+          getByteCount: sandbox.stub().returns(250)
+        },
+        RawTransactions: {
+          sendRawTransaction: sandbox.stub().resolves('tx123')
+        }
+      }
+
+      __setDependencies({
+        BCHWallet: sandbox.stub().returns({ walletInfoPromise: Promise.resolve(), bchjs: mockBchjs })
       })
-      assert.isTrue(mockBchjs.ECPair.fromWIF.calledOnce)
-      assert.isTrue(mockBchjs.Electrumx.utxo.calledOnce)
-      assert.isTrue(mockBchjs.TransactionBuilder.calledOnce)
-      assert.isTrue(mockTransactionBuilder.addInput.calledOnce)
-      assert.isTrue(mockTransactionBuilder.addOutput.calledTwice)
-      assert.isTrue(mockTransactionBuilder.sign.calledOnce)
-      assert.isTrue(mockBchjs.RawTransactions.sendRawTransaction.calledOnce)
-      assert.deepEqual(mockBchjs.RawTransactions.sendRawTransaction.firstCall.args[0], 'raw-hex')
+
+      await __internals.sendPayment(
+        signer,
+        paymentRequirements,
+        { bchServerURL: 'https://bch.fullstack.cash/v5/', onPaymentBroadcast },
+        requestConfig
+      )
+
+      assert.deepEqual(onPaymentBroadcast.firstCall.args, [
+        { txid: 'tx123', sats: 2000, payTo: 'bitcoincash:qprecv', fee: 300 },
+        requestConfig
+      ])
 
       __resetDependencies()
     })
@@ -838,6 +3135,30 @@ describe('#index.js', () => {
       __resetDependencies()
     })
 
+    it('should prefer a paymentAmountSats in the config over the signer', async () => {
+      const signer = createSignerStub()
+      signer.paymentAmountSats = 5000
+      const bchServerConfig = {
+        bchServerURL: 'https://api.example.com',
+        paymentAmountSats: 9000
+      }
+
+      const mockRetryQueue = {
+        addToQueue: sandbox.stub().resolves('tx789')
+      }
+      __setDependencies({
+        BCHWallet: sandbox.stub().returns({ initialize: sandbox.stub().resolves() }),
+        RetryQueue: sandbox.stub().returns(mockRetryQueue)
+      })
+
+      await __internals.sendPayment(signer, createPaymentRequirementsStub(), bchServerConfig)
+
+      const receivers = mockRetryQueue.addToQueue.firstCall.args[1]
+      assert.equal(receivers[0].amountSat, 9000)
+
+      __resetDependencies()
+    })
+
     it('should use amountRequired from paymentRequirements when signer.paymentAmountSats is not set', async () => {
       const signer = createSignerStub()
       delete signer.paymentAmountSats
@@ -872,43 +3193,58 @@ describe('#index.js', () => {
       __resetDependencies()
     })
 
-    it('should only match "Insufficient balance" error message (case-sensitive)', async () => {
+    it('should match insufficient balance errors regardless of case', async () => {
+      const signer = createSignerStub()
+      const paymentRequirements = createPaymentRequirementsStub()
+
       const mockBchWallet = {
         initialize: sandbox.stub().resolves(),
         send: sandbox.stub().rejects(new Error('INSUFFICIENT BALANCE'))
       }
+      const mockRetryQueue = {
+        addToQueue: sandbox.stub().callsFake(async (fn, args) => fn(args))
+      }
 
-      // Test sendWithRetry directly
-      const sendWithRetry = async (receivers) => {
-        try {
-          return await mockBchWallet.send(receivers)
-        } catch (error) {
-          if (error.message && error.message.includes('Insufficient balance')) {
-            return null
-          }
-          throw error
-        }
+      __setDependencies({
+        BCHWallet: sandbox.stub().returns(mockBchWallet),
+        RetryQueue: sandbox.stub().returns(mockRetryQueue)
+      })
+
+      try {
+        await __internals.sendPayment(signer, paymentRequirements, { bchServerURL: 'https://api.example.com' })
+        assert.fail('Expected rejection')
+      } catch (err) {
+        assert.instanceOf(err, InsufficientFundsError)
+        assert.equal(err.code, ERROR_CODES.INSUFFICIENT_FUNDS)
       }
 
-      const receivers = [{ address: 'test', amountSat: 1000 }]
+      __resetDependencies()
+    })
+
+    it('should throw a BroadcastError when the retry queue gives up', async () => {
+      const signer = createSignerStub()
+      const paymentRequirements = createPaymentRequirementsStub()
+      const networkError = new Error('Network timeout')
+
+      __setDependencies({
+        BCHWallet: sandbox.stub().returns({ initialize: sandbox.stub().resolves() }),
+        RetryQueue: sandbox.stub().returns({ addToQueue: sandbox.stub().rejects(networkError) })
+      })
 
-      // This should NOT return null because the error message doesn't match (case-sensitive check)
-      // The includes() method is case-sensitive, so 'INSUFFICIENT BALANCE' won't match 'Insufficient balance'
       try {
-        const result = await sendWithRetry(receivers)
-        // If it returns null, that's unexpected
-        if (result === null) {
-          assert.fail('Should not return null for case-mismatched error message')
-        }
+        await __internals.sendPayment(signer, paymentRequirements, { bchServerURL: 'https://api.example.com' })
+        assert.fail('Expected rejection')
       } catch (err) {
-        // Expected - error should be re-thrown because it doesn't match
-        assert.equal(err.message, 'INSUFFICIENT BALANCE')
+        assert.instanceOf(err, BroadcastError)
+        assert.equal(err.code, ERROR_CODES.BROADCAST_FAILED)
+        assert.strictEqual(err.cause, networkError)
+        assert.match(err.message, /Network timeout/)
       }
 
       __resetDependencies()
     })
 
-    it('should propagate errors from wallet initialization', async () => {
+    it('should throw a UtxoLookupError when wallet initialization fails', async () => {
       const signer = createSignerStub()
       const paymentRequirements = createPaymentRequirementsStub()
       const bchServerConfig = {
@@ -933,7 +3269,10 @@ describe('#index.js', () => {
         await __internals.sendPayment(signer, paymentRequirements, bchServerConfig)
         assert.fail('Expected initialization error to be thrown')
       } catch (err) {
-        assert.equal(err.message, 'Failed to initialize wallet')
+        assert.instanceOf(err, UtxoLookupError)
+        assert.equal(err.code, ERROR_CODES.UTXO_LOOKUP_FAILED)
+        assert.strictEqual(err.cause, initError)
+        assert.include(err.message, 'Failed to initialize wallet')
       }
 
       assert.isTrue(mockBchWallet.initialize.calledOnce)
@@ -1011,6 +3350,8 @@ describe('#index.js', () => {
         await __internals.sendPayment(signer, paymentRequirements, bchServerConfig)
         assert.fail('Expected error to be thrown')
       } catch (err) {
+        assert.instanceOf(err, UtxoLookupError)
+        assert.equal(err.code, ERROR_CODES.UTXO_LOOKUP_FAILED)
         assert.match(err.message, /Error retrieving UTXOs/)
         assert.match(err.message, /Network error/)
       }
@@ -1040,6 +3381,9 @@ describe('#index.js', () => {
         },
         Electrumx: {
           utxo: sandbox.stub().resolves({ utxos: mockUtxos })
+        },
+        BitcoinCash: {
+          getByteCount: sandbox.stub().returns(250)
         }
       }
 
@@ -1058,8 +3402,7 @@ describe('#index.js', () => {
         await __internals.sendPayment(signer, paymentRequirements, bchServerConfig)
         assert.fail('Expected error to be thrown')
       } catch (err) {
-        // Should fail because utxos[0] is undefined after filtering
-        assert.isDefined(err)
+        assert.instanceOf(err, InsufficientFundsError)
       }
 
       __resetDependencies()
@@ -1135,10 +3478,8 @@ describe('#index.js', () => {
       }
 
       const mockEcPair = { ecpair: true }
-      // UTXO value must be >= paymentAmountSats (10000) to pass filter
-      // But remainder = value - paymentAmountSats - txFee must be negative
-      // With txFee = 1.2 * 250 = 300, we need value < 10300
-      // So use value = 10200: remainder = 10200 - 10000 - 300 = -100 < 0
+      // With txFee = 1.2 * 250 = 300, a 10200 sat UTXO is 100 sats short:
+      // 10200 - 10000 - 300 = -100
       const mockUtxos = [{
         tx_hash: 'utxo-txid',
         tx_pos: 1,
@@ -1183,10 +3524,436 @@ describe('#index.js', () => {
         await __internals.sendPayment(signer, paymentRequirements, bchServerConfig)
         assert.fail('Expected error to be thrown')
       } catch (err) {
-        assert.equal(err.message, 'Not enough BCH to complete transaction!')
+        assert.instanceOf(err, InsufficientFundsError)
+        assert.include(err.message, 'Not enough BCH to complete transaction!')
+        assert.equal(err.shortfallSats, 100)
+        assert.isTrue(mockTransactionBuilder.addInput.notCalled)
+      }
+
+      __resetDependencies()
+    })
+
+    // Mock bch-js for a fullstack payment from a single UTXO. Byte counts
+    // are fixed at 250, whatever the number of outputs.
+    function mockFullstack (utxoValue) {
+      const transactionBuilder = {
+        addInput: sandbox.stub(),
+        addOutput: sandbox.stub(),
+        sign: sandbox.stub(),
+        build: sandbox.stub().returns({
+          toHex: sandbox.stub().returns('raw-hex')
+        }),
+        transaction: {
+          buildIncomplete: sandbox.stub().returns({
+            toHex: sandbox.stub().returns('unsigned-hex')
+          })
+        },
+        hashTypes: {
+          SIGHASH_ALL: 1
+        }
+      }
+
+      const bchjs = {
+        ECPair: {
+          fromWIF: sandbox.stub().returns({ ecpair: true }),
+          toCashAddress: sandbox.stub().returns('bitcoincash:qptest')
+        },
+        Electrumx: {
+          utxo: sandbox.stub().resolves({
+            utxos: [{ tx_hash: 'utxo-txid', tx_pos: 0, value: utxoValue }]
+          })
+        },
+        TransactionBuilder: sandbox.stub().returns(transactionBuilder),
+        BitcoinCash: {
+          getByteCount: sandbox.stub().returns(250)
+        },
+        RawTransactions: {
+          sendRawTransaction: sandbox.stub().resolves('tx123')
+        }
+      }
+
+      __setDependencies({
+        BCHWallet: sandbox.stub().returns({
+          walletInfoPromise: Promise.resolve(),
+          bchjs
+        })
+      })
+
+      return { bchjs, transactionBuilder }
+    }
+
+    const fullstackConfig = {
+      apiType: 'rest-api',
+      bchServerURL: 'https://bch.fullstack.cash/v5/'
+    }
+
+    it('should build testnet transactions for a chipnet signer', async () => {
+      const { bchjs } = mockFullstack(5000)
+
+      const result = await __internals.sendPayment(
+        { ...createSignerStub(), network: 'chipnet' },
+        createPaymentRequirementsStub(),
+        fullstackConfig
+      )
+
+      assert.equal(result.txid, 'tx123')
+      assert.deepEqual(bchjs.TransactionBuilder.firstCall.args, ['testnet'])
+      assert.deepEqual(bchjs.ECPair.toCashAddress.firstCall.args, [{ ecpair: true }, false])
+      __resetDependencies()
+    })
+
+    it('should spend UTXOs from every address of an HD signer', async () => {
+      const { bchjs, transactionBuilder } = mockFullstack(0)
+      bchjs.Electrumx.utxo.resolves({
+        success: true,
+        utxos: [
+          { address: 'bitcoincash:qpa', utxos: [{ tx_hash: 'utxo-a', tx_pos: 0, value: 1500 }] },
+          { address: 'bitcoincash:qpb', utxos: [{ tx_hash: 'utxo-b', tx_pos: 1, value: 1800 }] }
+        ]
+      })
+      const keyPairs = { 'bitcoincash:qpa': { key: 'a' }, 'bitcoincash:qpb': { key: 'b' } }
+      const signer = {
+        ...createSignerStub(),
+        getAddresses: sandbox.stub().returns(['bitcoincash:qpa', 'bitcoincash:qpb']),
+        markAddressUsed: sandbox.stub(),
+        getKeyPair: address => keyPairs[address],
+        getDerivationPath: address => `m/44'/145'/0'/0/${address === 'bitcoincash:qpa' ? 0 : 1}`,
+        nextChangeAddress: sandbox.stub().returns('bitcoincash:qpchange'),
+        discoverUsedAddresses: sandbox.stub().resolves()
+      }
+
+      const result = await __internals.sendPayment(signer, createPaymentRequirementsStub(), fullstackConfig)
+
+      assert.deepEqual(bchjs.Electrumx.utxo.firstCall.args, [['bitcoincash:qpa', 'bitcoincash:qpb']])
+      assert.isTrue(signer.discoverUsedAddresses.calledBefore(bchjs.Electrumx.utxo))
+      assert.equal(signer.markAddressUsed.callCount, 2)
+      assert.deepEqual(transactionBuilder.addOutput.secondCall.args, ['bitcoincash:qpchange', 1000])
+      assert.strictEqual(transactionBuilder.sign.firstCall.args[1], keyPairs['bitcoincash:qpb'])
+      assert.strictEqual(transactionBuilder.sign.secondCall.args[1], keyPairs['bitcoincash:qpa'])
+      assert.equal(result.from, 'bitcoincash:qpb')
+      assert.equal(result.fromPath, "m/44'/145'/0'/0/1")
+      __resetDependencies()
+    })
+
+    it('should not reuse the addresses of an HD signer used in an earlier session', async () => {
+      const signer = await createHDSigner(
+        'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about',
+        { gapLimit: 2, paymentAmountSats: 2000 }
+      )
+      const [receive0, receive1, change0, change1] = signer.getAddresses()
+      const { bchjs, transactionBuilder } = mockFullstack(0)
+
+      // receive/0 and change/0 were funded and spent before the restart
+      bchjs.Electrumx.transactions = sandbox.stub().callsFake(async addresses => ({
+        success: true,
+        transactions: addresses.map(address => ({
+          address,
+          transactions: [receive0, change0].includes(address) ? [{ tx_hash: 'old', height: 1 }] : []
+        }))
+      }))
+      bchjs.Electrumx.utxo.resolves({
+        success: true,
+        utxos: [{ address: receive1, utxos: [{ tx_hash: 'utxo-1', tx_pos: 0, value: 5000 }] }]
+      })
+
+      const result = await __internals.sendPayment(signer, createPaymentRequirementsStub(), fullstackConfig)
+
+      assert.equal(result.from, receive1)
+      assert.deepEqual(transactionBuilder.addOutput.secondCall.args[0], change1)
+      assert.notInclude([receive0, receive1], signer.getReceiveAddress())
+      __resetDependencies()
+    })
+
+    it('should ask an external signer to sign the prepayment', async () => {
+      const { bchjs, transactionBuilder } = mockFullstack(5000)
+      const signer = {
+        address: 'bitcoincash:qpremote',
+        network: 'mainnet',
+        paymentAmountSats: 2000,
+        signMessage: sandbox.stub().resolves('signature'),
+        signTransaction: sandbox.stub().resolves('signed-hex')
+      }
+
+      const result = await __internals.sendPayment(signer, createPaymentRequirementsStub(), fullstackConfig)
+
+      assert.deepEqual(bchjs.Electrumx.utxo.firstCall.args, ['bitcoincash:qpremote'])
+      assert.isTrue(bchjs.ECPair.fromWIF.notCalled)
+      assert.isTrue(transactionBuilder.sign.notCalled)
+      assert.deepEqual(signer.signTransaction.firstCall.args, [
+        'unsigned-hex',
+        [{ txid: 'utxo-txid', vout: 0, value: 5000, address: 'bitcoincash:qpremote' }]
+      ])
+      assert.deepEqual(transactionBuilder.addOutput.secondCall.args, ['bitcoincash:qpremote', 2700])
+      assert.deepEqual(bchjs.RawTransactions.sendRawTransaction.firstCall.args, ['signed-hex'])
+      assert.equal(result.from, 'bitcoincash:qpremote')
+      __resetDependencies()
+    })
+
+    it('should refuse external signers without a bch.fullstack.cash server', async () => {
+      const signer = { address: 'bitcoincash:qpremote', signMessage: async () => '', signTransaction: async () => '' }
+      sandbox.stub(console, 'error')
+
+      try {
+        await __internals.sendPayment(
+          signer,
+          createPaymentRequirementsStub(),
+          { apiType: 'rest-api', bchServerURL: 'https://api.example.com' }
+        )
+        assert.fail('Expected error to be thrown')
+      } catch (err) {
+        assert.instanceOf(err, UnsupportedSignerError)
+        assert.equal(err.code, ERROR_CODES.UNSUPPORTED_SIGNER)
+        assert.include(err.message, 'Signers without a WIF can only pay through a bch.fullstack.cash server')
       }
+    })
+
+    it('should look up the history and UTXOs of an HD signer in batches of 20', async () => {
+      const { bchjs } = mockFullstack(0)
+      bchjs.Electrumx.utxo.resolves({ success: true, utxos: [] })
+      bchjs.Electrumx.transactions = sandbox.stub().resolves({ success: true, transactions: [] })
+      const addresses = Array.from({ length: 25 }, (_, i) => `bitcoincash:qp${i}`)
+      const signer = {
+        ...createSignerStub(),
+        getAddresses: () => addresses,
+        discoverUsedAddresses: findUsed => findUsed(addresses)
+      }
+      sandbox.stub(console, 'error')
 
+      try {
+        await __internals.sendPayment(signer, createPaymentRequirementsStub(), fullstackConfig)
+        assert.fail('Expected error to be thrown')
+      } catch (err) {
+        assert.instanceOf(err, InsufficientFundsError)
+        assert.lengthOf(bchjs.Electrumx.transactions.firstCall.args[0], 20)
+        assert.lengthOf(bchjs.Electrumx.transactions.secondCall.args[0], 5)
+        assert.lengthOf(bchjs.Electrumx.utxo.firstCall.args[0], 20)
+        assert.lengthOf(bchjs.Electrumx.utxo.secondCall.args[0], 5)
+      }
       __resetDependencies()
     })
+
+    describe('#CashTokens', () => {
+      const category = 'ab'.repeat(32)
+      const tokenRequirements = {
+        ...createPaymentRequirementsStub(),
+        asset: category,
+        amount: '100'
+      }
+
+      afterEach(() => {
+        __resetDependencies()
+      })
+
+      it('should send tokens instead of BCH when the asset is a token category', async () => {
+        const { bchjs, transactionBuilder } = mockFullstack(5000)
+        const buildStub = sandbox.stub().returns({ hex: 'token-hex', fee: 400, tokensSent: 100n })
+        __internals.buildTokenTransaction = buildStub
+        const onPaymentBroadcast = sandbox.stub()
+
+        const result = await __internals.sendPayment(
+          createSignerStub(),
+          tokenRequirements,
+          { ...fullstackConfig, onPaymentBroadcast }
+        )
+
+        assert.deepEqual(result, {
+          txid: 'tx123',
+          vout: 0,
+          satsSent: 1000,
+          tokensSent: 100,
+          fee: 400,
+          from: 'bitcoincash:qptest'
+        })
+        assert.include(buildStub.firstCall.args[0], {
+          payTo: 'bitcoincash:qprecv',
+          changeAddress: 'bitcoincash:qptest',
+          category,
+          amount: 100
+        })
+        assert.deepEqual(bchjs.RawTransactions.sendRawTransaction.firstCall.args, ['token-hex'])
+        assert.isTrue(transactionBuilder.addInput.notCalled)
+        assert.include(onPaymentBroadcast.firstCall.args[0], { asset: category, tokens: 100 })
+      })
+
+      it('should ask an external signer to sign a token transfer', async () => {
+        const { bchjs } = mockFullstack(5000)
+        const prevouts = [{ txid: 'utxo-txid', vout: 0, value: 5000, address: 'bitcoincash:qpremote' }]
+        const buildStub = sandbox.stub().returns({ hex: 'unsigned-hex', prevouts, fee: 400, tokensSent: 100n })
+        __internals.buildTokenTransaction = buildStub
+        const signer = {
+          address: 'bitcoincash:qpremote',
+          signMessage: async () => 'signature',
+          signTransaction: sandbox.stub().resolves('signed-hex')
+        }
+
+        await __internals.sendPayment(signer, tokenRequirements, fullstackConfig)
+
+        assert.isUndefined(buildStub.firstCall.args[0].wif)
+        assert.equal(buildStub.firstCall.args[0].changeAddress, 'bitcoincash:qpremote')
+        assert.deepEqual(signer.signTransaction.firstCall.args, ['unsigned-hex', prevouts])
+        assert.deepEqual(bchjs.RawTransactions.sendRawTransaction.firstCall.args, ['signed-hex'])
+      })
+
+      it('should prepay the configured token amount', async () => {
+        mockFullstack(5000)
+        const buildStub = sandbox.stub().returns({ hex: 'token-hex', fee: 400, tokensSent: 500n })
+        __internals.buildTokenTransaction = buildStub
+
+        const result = await __internals.sendPayment(
+          createSignerStub(),
+          tokenRequirements,
+          { ...fullstackConfig, tokenPaymentAmounts: { [category]: 500 } }
+        )
+
+        assert.equal(buildStub.firstCall.args[0].amount, 500)
+        assert.equal(result.tokensSent, 500)
+      })
+
+      it('should throw UnsupportedAssetError without a fullstack server', async () => {
+        sandbox.stub(console, 'error')
+
+        try {
+          await __internals.sendPayment(
+            createSignerStub(),
+            tokenRequirements,
+            { apiType: 'rest-api', bchServerURL: 'https://api.example.com' }
+          )
+          assert.fail('Expected error to be thrown')
+        } catch (err) {
+          assert.instanceOf(err, UnsupportedAssetError)
+          assert.equal(err.code, ERROR_CODES.UNSUPPORTED_ASSET)
+        }
+      })
+
+      it('should throw UnsupportedAssetError for an asset that is not a CashToken', async () => {
+        try {
+          await __internals.sendPayment(
+            createSignerStub(),
+            { ...createPaymentRequirementsStub(), asset: 'USDC', amount: '250000' },
+            fullstackConfig
+          )
+          assert.fail('Expected error to be thrown')
+        } catch (err) {
+          assert.instanceOf(err, UnsupportedAssetError)
+          assert.equal(err.code, ERROR_CODES.UNSUPPORTED_ASSET)
+        }
+      })
+    })
+
+    describe('#fee rate', () => {
+      afterEach(() => {
+        __resetDependencies()
+      })
+
+      it('should use feeRate from the config', async () => {
+        const { transactionBuilder } = mockFullstack(5000)
+
+        const result = await __internals.sendPayment(
+          createSignerStub(),
+          createPaymentRequirementsStub(),
+          { ...fullstackConfig, feeRate: 2 }
+        )
+
+        assert.equal(result.fee, 500)
+        assert.deepEqual(transactionBuilder.addOutput.secondCall.args, ['bitcoincash:qptest', 2500])
+      })
+
+      it('should prefer the rate returned by feeEstimator', async () => {
+        mockFullstack(5000)
+        const feeEstimator = sandbox.stub().resolves(3)
+        const paymentRequirements = createPaymentRequirementsStub()
+
+        const result = await __internals.sendPayment(
+          createSignerStub(),
+          paymentRequirements,
+          { ...fullstackConfig, feeRate: 2, feeEstimator }
+        )
+
+        assert.equal(result.fee, 750)
+        assert.deepEqual(feeEstimator.firstCall.args[0], {
+          bchServerURL: 'https://bch.fullstack.cash/v5/',
+          paymentRequirements
+        })
+      })
+
+      it('should fall back to feeRate when feeEstimator fails', async () => {
+        mockFullstack(5000)
+        const warnStub = sandbox.stub(console, 'warn')
+
+        const result = await __internals.sendPayment(
+          createSignerStub(),
+          createPaymentRequirementsStub(),
+          { ...fullstackConfig, feeRate: 2, feeEstimator: sandbox.stub().rejects(new Error('offline')) }
+        )
+
+        assert.equal(result.fee, 500)
+        assert.isTrue(warnStub.calledOnce)
+      })
+
+      it('should fall back to feeRate when feeEstimator returns an invalid rate', async () => {
+        mockFullstack(5000)
+        sandbox.stub(console, 'warn')
+
+        const result = await __internals.sendPayment(
+          createSignerStub(),
+          createPaymentRequirementsStub(),
+          { ...fullstackConfig, feeRate: 2, feeEstimator: () => 0 }
+        )
+
+        assert.equal(result.fee, 500)
+      })
+
+      it('should reject an invalid feeRate', async () => {
+        mockFullstack(5000)
+        sandbox.stub(console, 'error')
+
+        try {
+          await __internals.sendPayment(
+            createSignerStub(),
+            createPaymentRequirementsStub(),
+            { ...fullstackConfig, feeRate: -1 }
+          )
+          assert.fail('Expected error to be thrown')
+        } catch (err) {
+          assert.include(err.message, 'feeRate must be a positive number')
+        }
+      })
+
+      it('should drop dust change and add it to the fee', async () => {
+        // 2000 sats + 300 sats fee leaves 100 sats of change
+        const { transactionBuilder } = mockFullstack(2400)
+
+        const result = await __internals.sendPayment(
+          createSignerStub(),
+          createPaymentRequirementsStub(),
+          fullstackConfig
+        )
+
+        assert.isTrue(transactionBuilder.addOutput.calledOnce)
+        assert.deepEqual(transactionBuilder.addOutput.firstCall.args, ['bitcoincash:qprecv', 2000])
+        assert.equal(result.fee, 400)
+      })
+
+      it('should pass the fee rate to the wallet in sendPaymentGeneric', async () => {
+        const BCHWalletStub = sandbox.stub().returns({
+          initialize: sandbox.stub().resolves()
+        })
+        __setDependencies({
+          BCHWallet: BCHWalletStub,
+          RetryQueue: sandbox.stub().returns({
+            addToQueue: sandbox.stub().resolves('tx123')
+          })
+        })
+
+        const result = await __internals.sendPayment(
+          createSignerStub(),
+          createPaymentRequirementsStub(),
+          { apiType: 'rest-api', bchServerURL: 'https://api.example.com', feeRate: 2 }
+        )
+
+        assert.equal(BCHWalletStub.firstCall.args[1].fee, 2)
+        assert.isNull(result.fee)
+      })
+    })
   })
 })
@@ -0,0 +1,97 @@
+/*
+  Unit tests for the lib/keystore.js library.
+*/
+
+// npm libraries
+import { assert } from 'chai'
+
+// Unit under test
+import { encryptKeystore, decryptKeystore, KEYSTORE_VERSION } from '../../lib/keystore.js'
+
+const WIF = 'KxbEv3FeYig2afQp7QEA9R3gwqdTBFwAJJ6Ma7j1SkmZoxC9bAXZ'
+
+// Cheap scrypt parameters, so the tests stay fast.
+const kdfParams = { n: 1024 }
+
+describe('#keystore.js', () => {
+  describe('#encryptKeystore', () => {
+    it('should encrypt a WIF that decrypts with the same passphrase', async () => {
+      const keystore = await encryptKeystore(WIF, 'correct horse', { kdfParams })
+
+      assert.equal(keystore.version, KEYSTORE_VERSION)
+      assert.equal(keystore.crypto.cipher, 'aes-256-gcm')
+      assert.include(keystore.crypto.kdfparams, { n: 1024, r: 8, p: 1, dklen: 32 })
+      assert.notInclude(JSON.stringify(keystore), WIF)
+      assert.equal(await decryptKeystore(keystore, 'correct horse'), WIF)
+    })
+
+    it('should use a new salt and IV each time', async () => {
+      const first = await encryptKeystore(WIF, 'correct horse', { kdfParams })
+      const second = await encryptKeystore(WIF, 'correct horse', { kdfParams })
+
+      assert.notEqual(first.crypto.kdfparams.salt, second.crypto.kdfparams.salt)
+      assert.notEqual(first.crypto.iv, second.crypto.iv)
+    })
+
+    it('should store the address when given', async () => {
+      const keystore = await encryptKeystore(WIF, 'correct horse', { kdfParams, address: 'bitcoincash:qptest' })
+
+      assert.equal(keystore.address, 'bitcoincash:qptest')
+    })
+
+    it('should require a WIF and a passphrase', async () => {
+      for (const [wif, passphrase, message] of [
+        [undefined, 'pass', /A WIF is required/],
+        [WIF, '', /non-empty passphrase/]
+      ]) {
+        try {
+          await encryptKeystore(wif, passphrase)
+          assert.fail('Expected error to be thrown')
+        } catch (err) {
+          assert.match(err.message, message)
+        }
+      }
+    })
+  })
+
+  describe('#decryptKeystore', () => {
+    it('should reject a wrong passphrase', async () => {
+      const keystore = await encryptKeystore(WIF, 'correct horse', { kdfParams })
+
+      try {
+        await decryptKeystore(keystore, 'battery staple')
+        assert.fail('Expected error to be thrown')
+      } catch (err) {
+        assert.equal(err.message, 'Could not decrypt the keystore. Check the passphrase.')
+      }
+    })
+
+    it('should reject a tampered keystore', async () => {
+      const keystore = await encryptKeystore(WIF, 'correct horse', { kdfParams })
+      keystore.crypto.ciphertext = '00' + keystore.crypto.ciphertext.slice(2)
+
+      try {
+        await decryptKeystore(keystore, 'correct horse')
+        assert.fail('Expected error to be thrown')
+      } catch (err) {
+        assert.include(err.message, 'Could not decrypt the keystore')
+      }
+    })
+
+    it('should reject unsupported keystores', async () => {
+      const keystore = await encryptKeystore(WIF, 'correct horse', { kdfParams })
+
+      for (const [bad, message] of [
+        [{ ...keystore, version: 3 }, /Expected version 1/],
+        [{ ...keystore, crypto: { ...keystore.crypto, kdf: 'pbkdf2' } }, /Expected scrypt and aes-256-gcm/]
+      ]) {
+        try {
+          await decryptKeystore(bad, 'correct horse')
+          assert.fail('Expected error to be thrown')
+        } catch (err) {
+          assert.match(err.message, message)
+        }
+      }
+    })
+  })
+})
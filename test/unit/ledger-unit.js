@@ -0,0 +1,151 @@
+/*
+  Unit tests for the lib/ledger.js library.
+*/
+
+// npm libraries
+import { assert } from 'chai'
+
+// Unit under test
+import {
+  createLedger,
+  getRequestUrl,
+  matchesFilter,
+  toCSV,
+  LEDGER_FIELDS
+} from '../../lib/ledger.js'
+import { createMemoryStorage } from '../../lib/storage.js'
+
+describe('#ledger.js', () => {
+  const entry = {
+    type: 'debit',
+    url: 'https://api.example.com/weather',
+    host: 'api.example.com',
+    payTo: 'bitcoincash:qprecv',
+    network: 'bip122:000000000000000000651ef99cb9fcbe',
+    asset: null,
+    amount: 1500,
+    txid: 'tx123',
+    vout: 0,
+    mode: 'reuse',
+    result: 'settled'
+  }
+
+  describe('#createLedger', () => {
+    it('should record entries with an id, timestamp and string amount', async () => {
+      const ledger = createLedger({ now: () => Date.UTC(2026, 0, 2) })
+
+      const recorded = await ledger.record(entry)
+
+      assert.equal(recorded.timestamp, '2026-01-02T00:00:00.000Z')
+      assert.equal(recorded.amount, '1500')
+      assert.isString(recorded.id)
+      assert.deepEqual(await ledger.getPaymentHistory(), [recorded])
+    })
+
+    it('should list entries oldest first, even within one millisecond', async () => {
+      const ledger = createLedger({ now: () => 1000 })
+
+      for (const txid of ['a', 'b', 'c']) {
+        await ledger.record({ ...entry, txid })
+      }
+
+      const history = await ledger.getPaymentHistory()
+      assert.deepEqual(history.map(item => item.txid), ['a', 'b', 'c'])
+      assert.lengthOf(new Set(history.map(item => item.id)), 3)
+    })
+
+    it('should keep the entries of two ledgers sharing storage within one millisecond', async () => {
+      const storage = createMemoryStorage()
+      const first = createLedger({ storage, namespace: 'bitcoincash:qpone', now: () => 1000 })
+      const second = createLedger({ storage, namespace: 'bitcoincash:qpone', now: () => 1000 })
+
+      await first.record({ ...entry, txid: 'a' })
+      await second.record({ ...entry, txid: 'b' })
+
+      const history = await first.getPaymentHistory()
+      assert.sameMembers(history.map(item => item.txid), ['a', 'b'])
+    })
+
+    it('should keep the entries of different namespaces apart', async () => {
+      const storage = createMemoryStorage()
+      const first = createLedger({ storage, namespace: 'bitcoincash:qpone' })
+      const second = createLedger({ storage, namespace: 'bitcoincash:qptwo' })
+
+      await first.record(entry)
+
+      assert.lengthOf(await first.getPaymentHistory(), 1)
+      assert.lengthOf(await second.getPaymentHistory(), 0)
+
+      // A new ledger over the same storage sees the saved history
+      const restored = createLedger({ storage, namespace: 'bitcoincash:qpone' })
+      assert.lengthOf(await restored.getPaymentHistory(), 1)
+    })
+
+    it('should filter the payment history', async () => {
+      let time = Date.UTC(2026, 0, 1)
+      const ledger = createLedger({ now: () => time })
+
+      await ledger.record({ ...entry, payTo: 'bitcoincash:qpone' })
+      time = Date.UTC(2026, 1, 1)
+      await ledger.record({ ...entry, payTo: 'bitcoincash:qptwo' })
+
+      const feb = await ledger.getPaymentHistory({ since: '2026-02-01', until: new Date(Date.UTC(2026, 2, 1)) })
+      assert.deepEqual(feb.map(item => item.payTo), ['bitcoincash:qptwo'])
+
+      const one = await ledger.getPaymentHistory({ payTo: 'bitcoincash:qpone' })
+      assert.lengthOf(one, 1)
+    })
+
+    it('should export JSON and CSV', async () => {
+      const ledger = createLedger()
+      await ledger.record(entry)
+
+      const json = JSON.parse(await ledger.export())
+      assert.equal(json[0].txid, 'tx123')
+
+      const csv = await ledger.export('csv')
+      const [header, row] = csv.trim().split('\n')
+      assert.equal(header, LEDGER_FIELDS.join(','))
+      assert.include(row, ',tx123,0,reuse,settled,')
+    })
+
+    it('should reject an unknown export format', async () => {
+      try {
+        await createLedger().export('xml')
+        assert.fail('Expected error to be thrown')
+      } catch (err) {
+        assert.include(err.message, 'Unknown export format "xml"')
+      }
+    })
+  })
+
+  describe('#matchesFilter', () => {
+    it('should throw on an invalid date', () => {
+      assert.throws(
+        () => matchesFilter({ ...entry, timestamp: '2026-01-01T00:00:00.000Z' }, { since: 'soon' }),
+        /Invalid since date/
+      )
+    })
+  })
+
+  describe('#toCSV', () => {
+    it('should quote cells with commas, quotes and line breaks', () => {
+      const csv = toCSV([{ id: '1', url: 'https://a.example/?q=1,2', error: 'bad "tab"\nretry' }])
+      const row = csv.slice(csv.indexOf('\n') + 1)
+
+      assert.include(row, '"https://a.example/?q=1,2"')
+      assert.include(row, '"bad ""tab""\nretry"')
+    })
+  })
+
+  describe('#getRequestUrl', () => {
+    it('should resolve the URL against the base URL', () => {
+      assert.equal(getRequestUrl('/weather', 'https://api.example.com'), 'https://api.example.com/weather')
+    })
+
+    it('should return a relative URL as is without a base URL', () => {
+      assert.equal(getRequestUrl('/weather'), '/weather')
+      assert.isNull(getRequestUrl())
+    })
+  })
+})
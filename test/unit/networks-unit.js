@@ -0,0 +1,95 @@
+/*
+  Unit tests for the lib/networks.js library.
+*/
+
+// npm libraries
+import { assert } from 'chai'
+
+// Unit under test
+import {
+  BCH_NETWORKS,
+  toCaip2Network,
+  resolveNetworks,
+  isAcceptedNetwork,
+  getNetworkName,
+  getAddressPrefix
+} from '../../lib/networks.js'
+
+const BTC_MAINNET = 'bip122:000000000019d6689c085ae165831e93'
+
+describe('#networks.js', () => {
+  describe('#toCaip2Network', () => {
+    it('should map the v1 name to BCH mainnet', () => {
+      assert.equal(toCaip2Network('bch'), BCH_NETWORKS.mainnet)
+    })
+
+    it('should return known CAIP-2 IDs unchanged', () => {
+      assert.equal(toCaip2Network(BCH_NETWORKS.regtest), BCH_NETWORKS.regtest)
+    })
+
+    it('should return null for other bip122 chains', () => {
+      assert.isNull(toCaip2Network(BTC_MAINNET))
+      assert.isNull(toCaip2Network(undefined))
+    })
+  })
+
+  describe('#resolveNetworks', () => {
+    it('should default to mainnet only', () => {
+      assert.deepEqual(Array.from(resolveNetworks()), [BCH_NETWORKS.mainnet])
+    })
+
+    it('should accept names and CAIP-2 IDs', () => {
+      const networks = resolveNetworks(['testnet3', BCH_NETWORKS.regtest])
+      assert.deepEqual(Array.from(networks), [BCH_NETWORKS.testnet3, BCH_NETWORKS.regtest])
+    })
+
+    it('should throw on an unknown network', () => {
+      assert.throws(() => resolveNetworks([BTC_MAINNET]), /Unknown BCH network/)
+    })
+
+    it('should throw on an empty list', () => {
+      assert.throws(() => resolveNetworks([]), /non-empty array/)
+    })
+  })
+
+  describe('#isAcceptedNetwork', () => {
+    it('should accept BCH mainnet by default', () => {
+      assert.isTrue(isAcceptedNetwork(BCH_NETWORKS.mainnet))
+      assert.isTrue(isAcceptedNetwork('bch'))
+    })
+
+    it('should reject Bitcoin (BTC)', () => {
+      assert.isFalse(isAcceptedNetwork(BTC_MAINNET))
+    })
+
+    it('should reject BCH chains that were not configured', () => {
+      assert.isFalse(isAcceptedNetwork(BCH_NETWORKS.chipnet))
+      assert.isTrue(isAcceptedNetwork(BCH_NETWORKS.chipnet, resolveNetworks(['chipnet'])))
+    })
+  })
+
+  describe('#getNetworkName', () => {
+    it('should default to mainnet', () => {
+      assert.equal(getNetworkName(), 'mainnet')
+    })
+
+    it('should resolve names, CAIP-2 IDs and the v1 name', () => {
+      assert.equal(getNetworkName('chipnet'), 'chipnet')
+      assert.equal(getNetworkName(BCH_NETWORKS.regtest), 'regtest')
+      assert.equal(getNetworkName('bch'), 'mainnet')
+    })
+
+    it('should throw on an unknown network', () => {
+      assert.throws(() => getNetworkName(BTC_MAINNET), /Unknown BCH network/)
+    })
+  })
+
+  describe('#getAddressPrefix', () => {
+    it('should return the cash address prefix of each network', () => {
+      assert.equal(getAddressPrefix('mainnet'), 'bitcoincash')
+      assert.equal(getAddressPrefix('testnet3'), 'bchtest')
+      assert.equal(getAddressPrefix('chipnet'), 'bchtest')
+      assert.equal(getAddressPrefix('regtest'), 'bchreg')
+    })
+  })
+})
@@ -0,0 +1,198 @@
+/*
+  Unit tests for the lib/policy.js library.
+*/
+
+// npm libraries
+import { assert } from 'chai'
+
+// Unit under test
+import {
+  createSpendingPolicy,
+  getRequestHost,
+  SpendingPolicyError
+} from '../../lib/policy.js'
+import { createMemoryStorage } from '../../lib/storage.js'
+
+describe('#policy.js', () => {
+  describe('#getRequestHost', () => {
+    it('should resolve the host from an absolute URL', () => {
+      assert.equal(getRequestHost('https://api.example.com/weather'), 'api.example.com')
+    })
+
+    it('should resolve a relative URL against the base URL', () => {
+      assert.equal(getRequestHost('/weather', 'https://api.example.com'), 'api.example.com')
+    })
+
+    it('should return null for an unparseable URL', () => {
+      assert.isNull(getRequestHost('/weather'))
+    })
+  })
+
+  describe('#checkRequest', () => {
+    it('should allow anything when no limits are set', () => {
+      const policy = createSpendingPolicy()
+
+      policy.checkRequest({ host: 'any.host', payTo: 'bitcoincash:qpany', amount: 1e9 })
+    })
+
+    it('should reject a price above maxSatsPerRequest', () => {
+      const policy = createSpendingPolicy({ maxSatsPerRequest: 1000 })
+
+      policy.checkRequest({ host: 'a', payTo: 'b', amount: '1000' })
+
+      try {
+        policy.checkRequest({ host: 'a', payTo: 'b', amount: '1001' })
+        assert.fail('Expected a policy error')
+      } catch (err) {
+        assert.instanceOf(err, SpendingPolicyError)
+        assert.equal(err.code, 'ERR_X402_POLICY_VIOLATION')
+        assert.equal(err.rule, 'maxSatsPerRequest')
+        assert.deepEqual(err.details, { amount: 1001, limit: 1000 })
+        assert.match(err.message, /exceeds the per-request limit/)
+      }
+    })
+
+    it('should only allow listed hosts, including wildcards', () => {
+      const policy = createSpendingPolicy({ allowedHosts: ['api.example.com', '*.trusted.io'] })
+
+      policy.checkRequest({ host: 'api.example.com', payTo: 'b', amount: 1 })
+      policy.checkRequest({ host: 'data.trusted.io', payTo: 'b', amount: 1 })
+
+      assert.throws(
+        () => policy.checkRequest({ host: 'evil.com', payTo: 'b', amount: 1 }),
+        /does not allow payments to host evil.com/
+      )
+      assert.throws(
+        () => policy.checkRequest({ host: 'trusted.io', payTo: 'b', amount: 1 }),
+        SpendingPolicyError
+      )
+      assert.throws(
+        () => policy.checkRequest({ host: null, payTo: 'b', amount: 1 }),
+        SpendingPolicyError
+      )
+    })
+
+    it('should only allow listed payTo addresses', () => {
+      const policy = createSpendingPolicy({ allowedPayTo: ['bitcoincash:qpgood'] })
+
+      policy.checkRequest({ host: 'a', payTo: 'bitcoincash:qpgood', amount: 1 })
+
+      try {
+        policy.checkRequest({ host: 'a', payTo: 'bitcoincash:qpbad', amount: 1 })
+        assert.fail('Expected a policy error')
+      } catch (err) {
+        assert.equal(err.rule, 'allowedPayTo')
+        assert.match(err.message, /bitcoincash:qpbad/)
+      }
+    })
+  })
+
+  describe('#checkBroadcast', () => {
+    it('should enforce the hourly budget over a rolling window', () => {
+      let clock = 0
+      const policy = createSpendingPolicy({ hourlyBudgetSats: 5000, now: () => clock })
+
+      policy.recordPayment({ sats: 3000 })
+      policy.checkBroadcast(2000)
+
+      try {
+        policy.checkBroadcast(2001)
+        assert.fail('Expected a policy error')
+      } catch (err) {
+        assert.equal(err.rule, 'hourlyBudgetSats')
+        assert.deepEqual(err.details, { sats: 2001, spent: 3000, limit: 5000 })
+      }
+
+      // An hour later the first payment no longer counts
+      clock = 60 * 60 * 1000
+      policy.checkBroadcast(5000)
+    })
+
+    it('should enforce the daily budget', () => {
+      let clock = 0
+      const policy = createSpendingPolicy({ dailyBudgetSats: 10000, now: () => clock })
+
+      policy.recordPayment({ sats: 6000 })
+      clock = 2 * 60 * 60 * 1000
+      policy.recordPayment({ sats: 3000 })
+
+      assert.equal(policy.getSpent(24 * 60 * 60 * 1000), 9000)
+      assert.throws(() => policy.checkBroadcast(1001), /daily budget of 10000 sats/)
+
+      clock = 24 * 60 * 60 * 1000
+      assert.equal(policy.getSpent(24 * 60 * 60 * 1000), 3000)
+      policy.checkBroadcast(7000)
+    })
+  })
+
+  describe('#reserve', () => {
+    it('should count reserved sats against the budgets until released', () => {
+      const policy = createSpendingPolicy({ dailyBudgetSats: 10000, now: () => 0 })
+
+      const first = policy.reserve(8000)
+      assert.throws(() => policy.reserve(8000), /daily budget of 10000 sats \(8000 sats already spent\)/)
+
+      first.release()
+      first.release()
+      assert.equal(policy.getSpent(24 * 60 * 60 * 1000), 0)
+      policy.reserve(8000)
+    })
+
+    it('should record the sats actually sent on commit', () => {
+      const policy = createSpendingPolicy({ dailyBudgetSats: 10000, now: () => 0 })
+
+      const reservation = policy.reserve(8000)
+      reservation.commit(8500)
+      reservation.release()
+
+      assert.equal(policy.getSpent(24 * 60 * 60 * 1000), 8500)
+      assert.throws(() => policy.checkBroadcast(1501), /daily budget/)
+      policy.checkBroadcast(1500)
+    })
+  })
+
+  describe('#storage', () => {
+    it('should keep the budgets across a restart', async () => {
+      const storage = createMemoryStorage()
+      const clock = 0
+      const options = { dailyBudgetSats: 10000, storage, namespace: 'wallet-a', now: () => clock }
+
+      await createSpendingPolicy(options).recordPayment({ sats: 6000 })
+
+      // A new policy over the same storage, as after a restart
+      const restored = createSpendingPolicy(options)
+      await restored.load()
+      assert.equal(restored.getSpent(24 * 60 * 60 * 1000), 6000)
+      assert.throws(() => restored.checkBroadcast(4001), /daily budget/)
+
+      // Other wallets keep their own budgets
+      const other = createSpendingPolicy({ ...options, namespace: 'wallet-b' })
+      await other.load()
+      assert.equal(other.getSpent(24 * 60 * 60 * 1000), 0)
+    })
+
+    it('should not count a payment twice when it is saved before load', async () => {
+      const storage = createMemoryStorage()
+      const policy = createSpendingPolicy({ storage, now: () => 0 })
+
+      await policy.recordPayment({ sats: 2000 })
+      await policy.load()
+      await policy.load()
+
+      assert.equal(policy.getSpent(24 * 60 * 60 * 1000), 2000)
+    })
+
+    it('should remove payments older than a day from storage', async () => {
+      const storage = createMemoryStorage()
+      let clock = 0
+      const policy = createSpendingPolicy({ storage, now: () => clock })
+
+      await policy.recordPayment({ sats: 2000 })
+      clock = 24 * 60 * 60 * 1000
+      await policy.recordPayment({ sats: 3000 })
+
+      const saved = await storage.entries('policy:')
+      assert.deepEqual(saved.map(([, payment]) => payment.sats), [3000])
+    })
+  })
+})
@@ -0,0 +1,193 @@
+/*
+  Unit tests for the lib/selector.js library.
+*/
+
+// npm libraries
+import { assert } from 'chai'
+
+// Local libraries
+import { NoBCHRequirementsError } from '../../lib/errors.js'
+import { BCH_NETWORKS } from '../../lib/networks.js'
+import { createSpendingPolicy } from '../../lib/policy.js'
+
+// Unit under test
+import { createRankingSelector, isNativeAsset } from '../../lib/selector.js'
+
+const NATIVE = '0x0000000000000000000000000000000000000001'
+const TOKEN = 'a'.repeat(64)
+
+function offer (overrides = {}) {
+  return {
+    scheme: 'utxo',
+    network: BCH_NETWORKS.mainnet,
+    payTo: 'bitcoincash:qpa',
+    amount: '1500',
+    asset: NATIVE,
+    maxTimeoutSeconds: 60,
+    ...overrides
+  }
+}
+
+describe('#selector.js', () => {
+  describe('#isNativeAsset', () => {
+    it('should treat a missing asset and the BCH placeholder as native', () => {
+      assert.isTrue(isNativeAsset(undefined))
+      assert.isTrue(isNativeAsset(NATIVE))
+      assert.isTrue(isNativeAsset('BCH'))
+    })
+
+    it('should treat token IDs as tokens', () => {
+      assert.isFalse(isNativeAsset(TOKEN))
+    })
+  })
+
+  describe('#createRankingSelector', () => {
+    it('should pick the cheapest offer', () => {
+      const selector = createRankingSelector()
+      const accepts = [offer({ amount: '2000' }), offer({ amount: '1000' })]
+
+      assert.strictEqual(selector(accepts), accepts[1])
+    })
+
+    it('should prefer native BCH over tokens by default', () => {
+      const selector = createRankingSelector()
+      const accepts = [offer({ asset: TOKEN, amount: '10' }), offer({ amount: '1500' })]
+
+      assert.strictEqual(selector(accepts), accepts[1])
+    })
+
+    it('should prefer tokens when asked to', () => {
+      const selector = createRankingSelector({ preferAsset: 'token' })
+      const accepts = [offer(), offer({ asset: TOKEN })]
+
+      assert.strictEqual(selector(accepts), accepts[1])
+    })
+
+    it('should honour preferred assets and payTo addresses', () => {
+      const selector = createRankingSelector({
+        preferredPayTo: ['bitcoincash:qpb'],
+        preferredAssets: [TOKEN]
+      })
+      const accepts = [
+        offer({ amount: '100' }),
+        offer({ payTo: 'bitcoincash:qpb', amount: '3000' }),
+        offer({ payTo: 'bitcoincash:qpb', asset: TOKEN, amount: '5000' })
+      ]
+
+      assert.strictEqual(selector(accepts), accepts[2])
+    })
+
+    it('should keep the 402 order for equally ranked offers', () => {
+      const selector = createRankingSelector()
+      const accepts = [offer({ payTo: 'bitcoincash:qp1' }), offer({ payTo: 'bitcoincash:qp2' })]
+
+      assert.strictEqual(selector(accepts), accepts[0])
+    })
+
+    it('should skip offers over maxAmountSats or with too short a timeout', () => {
+      const selector = createRankingSelector({ maxAmountSats: 2000, minTimeoutSeconds: 30 })
+      const accepts = [
+        offer({ amount: '100', maxTimeoutSeconds: 10 }),
+        offer({ amount: '5000' }),
+        offer({ amount: '1800' })
+      ]
+
+      assert.strictEqual(selector(accepts), accepts[2])
+    })
+
+    it('should not hold token offers to maxAmountSats', () => {
+      const selector = createRankingSelector({ maxAmountSats: 2000, preferAsset: 'token' })
+      const accepts = [offer({ amount: '5000' }), offer({ asset: TOKEN, amount: '50000' })]
+
+      assert.strictEqual(selector(accepts), accepts[1])
+      assert.strictEqual(selector([accepts[0], offer({ amount: '1800' })]).amount, '1800')
+    })
+
+    it('should skip offers priced in an asset that is neither BCH nor a CashToken', () => {
+      const selector = createRankingSelector()
+      const accepts = [offer({ asset: 'USDC', amount: '250' }), offer({ amount: '1800' })]
+
+      assert.strictEqual(selector(accepts), accepts[1])
+      assert.deepEqual(selector.explain(accepts).skipped, [
+        { requirement: accepts[0], index: 0, reason: 'asset USDC is neither BCH nor a CashToken' }
+      ])
+    })
+
+    it('should skip offers the spending policy rejects', () => {
+      const selector = createRankingSelector()
+      const policy = createSpendingPolicy({ allowedPayTo: ['bitcoincash:qpb'] })
+      const accepts = [offer(), offer({ payTo: 'bitcoincash:qpb', amount: '3000' })]
+
+      assert.strictEqual(selector(accepts, { policy, host: 'example.com' }), accepts[1])
+    })
+
+    it('should only pick offers on the accepted networks', () => {
+      const selector = createRankingSelector()
+      const accepts = [
+        offer({ network: 'bip122:000000000019d6689c085ae165831e93', amount: '1' }),
+        offer({ network: BCH_NETWORKS.chipnet, amount: '2' }),
+        offer({ amount: '3' })
+      ]
+
+      assert.strictEqual(selector(accepts), accepts[2])
+      assert.strictEqual(selector(accepts, { networks: ['chipnet'] }), accepts[1])
+    })
+
+    it('should throw with the skip reasons when nothing can be paid', () => {
+      const selector = createRankingSelector({ maxAmountSats: 100 })
+
+      assert.throws(
+        () => selector([offer(), { scheme: 'exact', network: 'eip155:1' }]),
+        NoBCHRequirementsError,
+        /offer 0: amount 1500 exceeds maxAmountSats of 100; offer 1: scheme exact is not utxo/
+      )
+    })
+
+    it('should throw on an invalid preferAsset', () => {
+      assert.throws(() => createRankingSelector({ preferAsset: 'eth' }), /preferAsset/)
+    })
+
+    describe('#explain', () => {
+      it('should explain why the cheapest offer won', () => {
+        const selector = createRankingSelector()
+        const accepts = [offer({ amount: '2000' }), offer({ amount: '1000' }), offer({ scheme: 'exact' })]
+
+        const explanation = selector.explain(accepts)
+
+        assert.strictEqual(explanation.selected, accepts[1])
+        assert.equal(explanation.reason, 'Picked offer 1 because it is the cheapest offer (1000)')
+        assert.deepEqual(explanation.ranked.map(entry => entry.index), [1, 0])
+        assert.deepEqual(explanation.skipped, [
+          { requirement: accepts[2], index: 2, reason: 'scheme exact is not utxo' }
+        ])
+      })
+
+      it('should explain a preference win', () => {
+        const selector = createRankingSelector({ preferredPayTo: ['bitcoincash:qpb'] })
+        const accepts = [offer(), offer({ payTo: 'bitcoincash:qpb' })]
+
+        assert.include(selector.explain(accepts).reason, 'payTo bitcoincash:qpb is preferred')
+      })
+
+      it('should explain an asset kind win', () => {
+        const selector = createRankingSelector()
+        const accepts = [offer({ asset: TOKEN }), offer()]
+
+        assert.include(selector.explain(accepts).reason, 'native BCH is preferred')
+      })
+
+      it('should explain a single payable offer', () => {
+        const selector = createRankingSelector()
+
+        assert.include(selector.explain([offer()]).reason, 'only offer that can be paid')
+      })
+
+      it('should report when nothing can be paid', () => {
+        const explanation = createRankingSelector().explain([])
+
+        assert.isNull(explanation.selected)
+        assert.equal(explanation.reason, 'No offer can be paid')
+      })
+    })
+  })
+})
@@ -0,0 +1,120 @@
+/*
+  Unit tests for the lib/settlement.js library.
+*/
+
+// npm libraries
+import { assert } from 'chai'
+
+// Unit under test
+import {
+  getHeader,
+  decodePaymentResponse,
+  buildSettlement
+} from '../../lib/settlement.js'
+
+function encode (obj) {
+  return Buffer.from(JSON.stringify(obj)).toString('base64')
+}
+
+describe('#settlement.js', () => {
+  describe('#getHeader', () => {
+    it('should read plain object headers case-insensitively', () => {
+      assert.equal(getHeader({ 'Payment-Response': 'abc' }, 'payment-response'), 'abc')
+    })
+
+    it('should use a get() method when the headers have one', () => {
+      const headers = new Headers({ 'payment-response': 'abc' })
+      assert.equal(getHeader(headers, 'PAYMENT-RESPONSE'), 'abc')
+    })
+
+    it('should return undefined for missing headers', () => {
+      assert.isUndefined(getHeader(undefined, 'payment-response'))
+      assert.isUndefined(getHeader({}, 'payment-response'))
+    })
+  })
+
+  describe('#decodePaymentResponse', () => {
+    it('should decode a base64 v2 PAYMENT-RESPONSE header', () => {
+      const headers = { 'payment-response': encode({ success: true, transaction: 'tx1' }) }
+
+      assert.deepEqual(decodePaymentResponse(headers), { success: true, transaction: 'tx1' })
+    })
+
+    it('should decode a v1 X-PAYMENT-RESPONSE header', () => {
+      const headers = { 'x-payment-response': encode({ success: true, transaction: 'tx1' }) }
+
+      assert.equal(decodePaymentResponse(headers).transaction, 'tx1')
+    })
+
+    it('should accept plain JSON', () => {
+      const headers = { 'payment-response': '{"success":true}' }
+
+      assert.deepEqual(decodePaymentResponse(headers), { success: true })
+    })
+
+    it('should return null when the header is absent or unreadable', () => {
+      assert.isNull(decodePaymentResponse({}))
+      assert.isNull(decodePaymentResponse({ 'payment-response': '%%%' }))
+    })
+  })
+
+  describe('#buildSettlement', () => {
+    it('should prefer values reported by the server', () => {
+      const headers = {
+        'payment-response': encode({
+          success: true,
+          transaction: 'server-tx',
+          vout: 1,
+          amount: '1000',
+          remainingBalanceSat: '500',
+          network: 'bch',
+          payer: 'bitcoincash:qpayer'
+        })
+      }
+
+      const settlement = buildSettlement(headers, { mode: 'reuse', txid: 'local-tx', vout: 0, cost: 1500 })
+
+      assert.deepEqual(settlement, {
+        success: true,
+        txid: 'server-tx',
+        vout: 1,
+        amountDebited: 1000,
+        remainingBalanceSats: 500,
+        mode: 'reuse',
+        network: 'bch',
+        payer: 'bitcoincash:qpayer',
+        raw: {
+          success: true,
+          transaction: 'server-tx',
+          vout: 1,
+          amount: '1000',
+          remainingBalanceSat: '500',
+          network: 'bch',
+          payer: 'bitcoincash:qpayer'
+        }
+      })
+    })
+
+    it('should fall back to the client view without a header', () => {
+      const settlement = buildSettlement({}, { mode: 'new-utxo', txid: 'tx1', vout: 0, cost: 1500 })
+
+      assert.deepEqual(settlement, {
+        success: true,
+        txid: 'tx1',
+        vout: 0,
+        amountDebited: 1500,
+        remainingBalanceSats: null,
+        mode: 'new-utxo',
+        network: null,
+        payer: null,
+        raw: null
+      })
+    })
+
+    it('should report a failed settlement', () => {
+      const headers = { 'payment-response': encode({ success: false }) }
+
+      assert.isFalse(buildSettlement(headers, { mode: 'reuse' }).success)
+    })
+  })
+})
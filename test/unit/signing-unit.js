@@ -0,0 +1,134 @@
+/*
+  Unit tests for the lib/signing.js library.
+*/
+
+// npm libraries
+import { assert } from 'chai'
+import BCHWallet from 'minimal-slp-wallet'
+import {
+  cashAddressToLockingBytecode,
+  createVirtualMachineBCH,
+  decodeTransaction,
+  hexToBin
+} from '@bitauth/libauth'
+
+// Unit under test
+import {
+  getWifAddress,
+  isExternalSigner,
+  signP2pkhTransaction,
+  toPrevout
+} from '../../lib/signing.js'
+
+// Key of the first address of the BIP39 'abandon ... about' test mnemonic.
+const WIF = 'KxbEv3FeYig2afQp7QEA9R3gwqdTBFwAJJ6Ma7j1SkmZoxC9bAXZ'
+const ADDRESS = 'bitcoincash:qqyx49mu0kkn9ftfj6hje6g2wfer34yfnq5tahq3q6'
+const TXID = 'ab'.repeat(32)
+
+describe('#signing.js', () => {
+  let bchjs
+
+  before(() => {
+    bchjs = new BCHWallet().bchjs
+  })
+
+  // An unsigned transaction built by bch-js, as the payment code builds it.
+  function buildUnsigned (inputCount = 1) {
+    const transactionBuilder = new bchjs.TransactionBuilder('mainnet')
+    for (let vout = 0; vout < inputCount; vout++) {
+      transactionBuilder.addInput(TXID, vout)
+    }
+    transactionBuilder.addOutput(ADDRESS, 3000)
+    return transactionBuilder.transaction.buildIncomplete().toHex()
+  }
+
+  describe('#signP2pkhTransaction', () => {
+    it('should sign every input of an unsigned bch-js transaction', () => {
+      const prevouts = [
+        { txid: TXID, vout: 0, value: 2000, address: ADDRESS },
+        { txid: TXID, vout: 1, value: 2500, address: ADDRESS }
+      ]
+
+      const signed = signP2pkhTransaction(buildUnsigned(2), prevouts, () => WIF)
+
+      const lockingBytecode = cashAddressToLockingBytecode(ADDRESS).bytecode
+      const valid = createVirtualMachineBCH().verify({
+        transaction: decodeTransaction(hexToBin(signed)),
+        sourceOutputs: prevouts.map(prevout => ({
+          lockingBytecode,
+          valueSatoshis: BigInt(prevout.value)
+        }))
+      })
+      assert.isTrue(valid)
+    })
+
+    it('should ask for the key of each prevout', () => {
+      const prevouts = [{ txid: TXID, vout: 0, value: 5000, address: ADDRESS }]
+      const keysAskedFor = []
+
+      signP2pkhTransaction(buildUnsigned(), prevouts, prevout => {
+        keysAskedFor.push(prevout.address)
+        return WIF
+      })
+
+      assert.deepEqual(keysAskedFor, [ADDRESS])
+    })
+
+    it('should throw when the prevouts do not match the inputs', () => {
+      assert.throws(
+        () => signP2pkhTransaction(buildUnsigned(2), [{ txid: TXID, vout: 0, value: 1 }], () => WIF),
+        /Expected a prevout for each of the 2 inputs, got 1/
+      )
+      assert.throws(
+        () => signP2pkhTransaction(buildUnsigned(), [{ txid: TXID, vout: 3, value: 1 }], () => WIF),
+        /Input 0 spends .*:0, but its prevout is .*:3/
+      )
+    })
+
+    it('should throw on an invalid transaction', () => {
+      assert.throws(() => signP2pkhTransaction('00', [], () => WIF), /Could not decode/)
+    })
+  })
+
+  describe('#toPrevout', () => {
+    it('should describe a BCH UTXO', () => {
+      const utxo = { tx_hash: TXID, tx_pos: 1, value: 1500, height: 10, address: ADDRESS }
+
+      assert.deepEqual(toPrevout(utxo), { txid: TXID, vout: 1, value: 1500, address: ADDRESS })
+    })
+
+    it('should include the tokens of a CashToken UTXO', () => {
+      const utxo = {
+        tx_hash: TXID,
+        tx_pos: 0,
+        value: 1000,
+        address: ADDRESS,
+        token_data: { category: 'cd'.repeat(32), amount: 50 }
+      }
+
+      assert.deepEqual(toPrevout(utxo).token, { category: 'cd'.repeat(32), amount: '50' })
+    })
+  })
+
+  describe('#isExternalSigner', () => {
+    it('should only treat signers without a WIF as external', () => {
+      const signTransaction = async () => 'signed'
+
+      assert.isTrue(isExternalSigner({ address: ADDRESS, signTransaction }))
+      assert.isFalse(isExternalSigner({ address: ADDRESS, wif: WIF, signTransaction }))
+      assert.isFalse(isExternalSigner({ address: ADDRESS }))
+    })
+  })
+
+  describe('#getWifAddress', () => {
+    it('should derive the address of a WIF on each network', () => {
+      assert.equal(getWifAddress(WIF), ADDRESS)
+      assert.match(getWifAddress(WIF, 'chipnet'), /^bchtest:/)
+      assert.match(getWifAddress(WIF, 'regtest'), /^bchreg:/)
+    })
+
+    it('should throw on an invalid WIF', () => {
+      assert.throws(() => getWifAddress('not-a-wif'), /Invalid WIF/)
+    })
+  })
+})
@@ -0,0 +1,155 @@
+/*
+  Unit tests for the lib/storage.js library.
+*/
+
+// npm libraries
+import { assert } from 'chai'
+import { promises as fs } from 'fs'
+import os from 'os'
+import path from 'path'
+
+// Unit under test
+import {
+  createMemoryStorage,
+  createFileStorage,
+  createJsonlStorage
+} from '../../lib/storage.js'
+
+describe('#storage.js', () => {
+  describe('#createMemoryStorage', () => {
+    it('should get, set and delete values', async () => {
+      const storage = createMemoryStorage()
+
+      await storage.set('a', { value: 1 })
+      assert.deepEqual(await storage.get('a'), { value: 1 })
+
+      await storage.delete('a')
+      assert.isUndefined(await storage.get('a'))
+    })
+
+    it('should list entries by prefix', async () => {
+      const storage = createMemoryStorage()
+      await storage.set('tab:one', 1)
+      await storage.set('tab:two', 2)
+      await storage.set('other', 3)
+
+      const entries = await storage.entries('tab:')
+      assert.deepEqual(entries, [['tab:one', 1], ['tab:two', 2]])
+    })
+  })
+
+  describe('#createFileStorage', () => {
+    let tmpDir
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'x402-bch-storage-'))
+    })
+
+    afterEach(async () => {
+      await fs.rm(tmpDir, { recursive: true, force: true })
+    })
+
+    it('should throw without a file path', () => {
+      assert.throws(() => createFileStorage(), /requires a file path/)
+    })
+
+    it('should start empty when the file does not exist', async () => {
+      const storage = createFileStorage(path.join(tmpDir, 'missing.json'))
+
+      assert.isUndefined(await storage.get('a'))
+      assert.deepEqual(await storage.entries(), [])
+    })
+
+    it('should persist values to disk and read them back', async () => {
+      const filePath = path.join(tmpDir, 'nested', 'state.json')
+      const storage = createFileStorage(filePath)
+
+      await storage.set('tab:one', { txid: 'tx123', satsLeft: 500 })
+      await storage.set('tab:two', { txid: 'tx456', satsLeft: 100 })
+      await storage.delete('tab:two')
+
+      const json = JSON.parse(await fs.readFile(filePath, 'utf-8'))
+      assert.deepEqual(json, { 'tab:one': { txid: 'tx123', satsLeft: 500 } })
+
+      // A fresh adapter, as after a restart, sees the saved value
+      const reloaded = createFileStorage(filePath)
+      assert.deepEqual(await reloaded.get('tab:one'), { txid: 'tx123', satsLeft: 500 })
+    })
+
+    it('should not lose writes made concurrently', async () => {
+      const filePath = path.join(tmpDir, 'state.json')
+      const storage = createFileStorage(filePath)
+
+      await Promise.all([
+        storage.set('a', 1),
+        storage.set('b', 2),
+        storage.set('c', 3)
+      ])
+
+      const reloaded = createFileStorage(filePath)
+      assert.lengthOf(await reloaded.entries(), 3)
+    })
+
+    it('should reject when the file holds invalid JSON', async () => {
+      const filePath = path.join(tmpDir, 'bad.json')
+      await fs.writeFile(filePath, '{not json')
+      const storage = createFileStorage(filePath)
+
+      try {
+        await storage.get('a')
+        assert.fail('Expected rejection')
+      } catch (err) {
+        assert.match(err.message, /Could not read x402 storage file/)
+      }
+    })
+  })
+
+  describe('#createJsonlStorage', () => {
+    let tmpDir
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'x402-bch-storage-'))
+    })
+
+    afterEach(async () => {
+      await fs.rm(tmpDir, { recursive: true, force: true })
+    })
+
+    it('should throw without a file path', () => {
+      assert.throws(() => createJsonlStorage(), /requires a file path/)
+    })
+
+    it('should append one line per change and read them back', async () => {
+      const filePath = path.join(tmpDir, 'nested', 'ledger.jsonl')
+      const storage = createJsonlStorage(filePath)
+
+      await storage.set('ledger::1', { amount: '1500' })
+      await storage.set('ledger::2', { amount: '500' })
+      await storage.delete('ledger::2')
+      await storage.delete('missing')
+
+      const lines = (await fs.readFile(filePath, 'utf-8')).trim().split('\n')
+      assert.deepEqual(lines.map(line => JSON.parse(line)), [
+        { key: 'ledger::1', value: { amount: '1500' } },
+        { key: 'ledger::2', value: { amount: '500' } },
+        { key: 'ledger::2', deleted: true }
+      ])
+
+      // A fresh adapter, as after a restart, sees the saved values
+      const reloaded = createJsonlStorage(filePath)
+      assert.deepEqual(await reloaded.entries('ledger:'), [['ledger::1', { amount: '1500' }]])
+      assert.isUndefined(await reloaded.get('ledger::2'))
+    })
+
+    it('should skip a line cut off by a crash and keep appending', async () => {
+      const filePath = path.join(tmpDir, 'ledger.jsonl')
+      await fs.writeFile(filePath, '{"key":"a","value":1}\n{"key":"b","val')
+
+      const storage = createJsonlStorage(filePath)
+      await storage.set('c', 3)
+
+      const reloaded = createJsonlStorage(filePath)
+      assert.deepEqual(await reloaded.entries(), [['a', 1], ['c', 3]])
+    })
+  })
+})
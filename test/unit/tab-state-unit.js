@@ -0,0 +1,385 @@
+/*
+  Unit tests for the lib/tab-state.js library.
+*/
+
+// npm libraries
+import { assert } from 'chai'
+import sinon from 'sinon'
+
+// Unit under test
+import {
+  createTabState,
+  getSignerTabState,
+  getTabKey,
+  reconcileTabBalance,
+  __resetSignerTabStates
+} from '../../lib/tab-state.js'
+import { createMemoryStorage } from '../../lib/storage.js'
+
+describe('#tab-state.js', () => {
+  afterEach(() => {
+    __resetSignerTabStates()
+  })
+
+  describe('#getTabKey', () => {
+    it('should combine network, payTo and asset', () => {
+      const key = getTabKey({
+        network: 'bip122:000000000000000000651ef99cb9fcbe',
+        payTo: 'bitcoincash:qprecv',
+        asset: '0x0000000000000000000000000000000000000001'
+      })
+
+      assert.equal(
+        key,
+        'bip122:000000000000000000651ef99cb9fcbe|bitcoincash:qprecv|0x0000000000000000000000000000000000000001'
+      )
+    })
+
+    it('should tolerate a missing network or asset', () => {
+      assert.equal(
+        getTabKey({ payTo: 'bitcoincash:qprecv' }),
+        '|bitcoincash:qprecv|0x0000000000000000000000000000000000000001'
+      )
+    })
+
+    it('should give the same tab to equivalent networks and assets', () => {
+      const payTo = 'bitcoincash:qprecv'
+
+      assert.equal(
+        getTabKey({ payTo, network: 'bch' }),
+        getTabKey({ payTo, network: 'bip122:000000000000000000651ef99cb9fcbe' })
+      )
+      assert.equal(
+        getTabKey({ payTo }),
+        getTabKey({ payTo, asset: '0x0000000000000000000000000000000000000001' })
+      )
+      assert.equal(getTabKey({ payTo, asset: 'AB'.repeat(32) }), getTabKey({ payTo, asset: 'ab'.repeat(32) }))
+      assert.notEqual(getTabKey({ payTo }), getTabKey({ payTo, asset: 'ab'.repeat(32) }))
+    })
+
+    it('should keep unknown networks and assets as they are', () => {
+      assert.equal(
+        getTabKey({ payTo: 'bitcoincash:qprecv', network: 'eip155:1', asset: 'USDC' }),
+        'eip155:1|bitcoincash:qprecv|USDC'
+      )
+    })
+
+    it('should throw when payTo is missing', () => {
+      assert.throws(() => getTabKey({ network: 'bch' }), /must include payTo/)
+    })
+  })
+
+  describe('#createTabState', () => {
+    it('should return an empty tab for an unknown key', () => {
+      const tabState = createTabState()
+
+      assert.deepEqual(tabState.get('unknown'), { txid: null, vout: null, satsLeft: 0 })
+    })
+
+    it('should set, read and delete a tab', async () => {
+      const tabState = createTabState()
+
+      const result = await tabState.set('key-a', { txid: 'tx123', vout: 1, satsLeft: 500, payTo: 'addr-a' })
+      assert.include(result, { txid: 'tx123', vout: 1, satsLeft: 500, payTo: 'addr-a' })
+      assert.include(tabState.get('key-a'), { txid: 'tx123', vout: 1, satsLeft: 500 })
+
+      await tabState.delete('key-a')
+      assert.isNull(tabState.get('key-a').txid)
+    })
+
+    it('should stamp tabs with created and updated times', async () => {
+      const tabState = createTabState()
+
+      const first = await tabState.set('key-a', { txid: 'tx123', vout: 0, satsLeft: 500 })
+      assert.isString(first.createdAt)
+      assert.equal(first.createdAt, first.updatedAt)
+
+      await new Promise(resolve => setTimeout(resolve, 5))
+      const second = await tabState.set('key-a', { txid: 'tx123', vout: 0, satsLeft: 400 })
+      assert.equal(second.createdAt, first.createdAt)
+      assert.notEqual(second.updatedAt, first.updatedAt)
+
+      // A new UTXO starts a new tab
+      const third = await tabState.set('key-a', { txid: 'tx456', vout: 0, satsLeft: 900 })
+      assert.notEqual(third.createdAt, first.createdAt)
+    })
+
+    it('should track each key separately', async () => {
+      const tabState = createTabState()
+      await tabState.set('key-a', { txid: 'tx-a', vout: 0, satsLeft: 100 })
+      await tabState.set('key-b', { txid: 'tx-b', vout: 1, satsLeft: 200 })
+
+      assert.equal(tabState.get('key-a').satsLeft, 100)
+      assert.equal(tabState.get('key-b').satsLeft, 200)
+
+      const keys = tabState.list().map(tab => tab.key)
+      assert.deepEqual(keys, ['key-a', 'key-b'])
+
+      await tabState.reset()
+      assert.lengthOf(tabState.list(), 0)
+    })
+
+    it('should return copies that do not mutate the tracked tab', async () => {
+      const tabState = createTabState()
+      await tabState.set('key-a', { txid: 'tx123', vout: 1, satsLeft: 500 })
+
+      const tab = tabState.get('key-a')
+      tab.satsLeft = 0
+
+      assert.equal(tabState.get('key-a').satsLeft, 500)
+    })
+  })
+
+  describe('#runExclusive', () => {
+    it('should run calls for the same key one at a time, in order', async () => {
+      const tabState = createTabState()
+      const events = []
+      const task = (name, delay) => async () => {
+        events.push(`start ${name}`)
+        await new Promise(resolve => setTimeout(resolve, delay))
+        events.push(`end ${name}`)
+        return name
+      }
+
+      const results = await Promise.all([
+        tabState.runExclusive('key-a', task('one', 10)),
+        tabState.runExclusive('key-a', task('two', 1))
+      ])
+
+      assert.deepEqual(results, ['one', 'two'])
+      assert.deepEqual(events, ['start one', 'end one', 'start two', 'end two'])
+    })
+
+    it('should not block calls for other keys', async () => {
+      const tabState = createTabState()
+      const events = []
+      let releaseA
+      const blockerA = new Promise(resolve => { releaseA = resolve })
+
+      const first = tabState.runExclusive('key-a', async () => {
+        await blockerA
+        events.push('a')
+      })
+      await tabState.runExclusive('key-b', async () => {
+        events.push('b')
+      })
+      releaseA()
+      await first
+
+      assert.deepEqual(events, ['b', 'a'])
+    })
+
+    it('should release the lock when the function rejects', async () => {
+      const tabState = createTabState()
+
+      try {
+        await tabState.runExclusive('key-a', async () => {
+          throw new Error('boom')
+        })
+        assert.fail('Expected rejection')
+      } catch (err) {
+        assert.equal(err.message, 'boom')
+      }
+
+      const result = await tabState.runExclusive('key-a', async () => 'next')
+      assert.equal(result, 'next')
+    })
+  })
+
+  describe('#reconcileTabBalance', () => {
+    let warnStub
+
+    beforeEach(() => {
+      warnStub = sinon.stub(console, 'warn')
+    })
+
+    afterEach(() => {
+      warnStub.restore()
+    })
+
+    it('should do nothing when the server reports no balance', async () => {
+      const tabState = createTabState()
+      await tabState.set('key-a', { txid: 'tx1', vout: 0, satsLeft: 500 })
+
+      const drift = await reconcileTabBalance(tabState, 'key-a', {
+        txid: 'tx1',
+        expectedSatsLeft: 500,
+        reportedSatsLeft: null
+      })
+
+      assert.equal(drift, 0)
+      assert.equal(tabState.get('key-a').satsLeft, 500)
+      assert.isTrue(warnStub.notCalled)
+    })
+
+    it('should adopt the server balance and log the mismatch', async () => {
+      const tabState = createTabState()
+      await tabState.set('key-a', { txid: 'tx1', vout: 0, satsLeft: 500, payTo: 'addr-a' })
+
+      const drift = await reconcileTabBalance(tabState, 'key-a', {
+        txid: 'tx1',
+        expectedSatsLeft: 500,
+        reportedSatsLeft: '300'
+      })
+
+      assert.equal(drift, -200)
+      assert.equal(tabState.get('key-a').satsLeft, 300)
+      assert.isTrue(warnStub.calledOnce)
+      assert.match(warnStub.firstCall.args[0], /addr-a/)
+    })
+
+    it('should keep debits made while the request was in flight', async () => {
+      const tabState = createTabState()
+      // This request left 500 sats; a later request has since debited 100 more
+      await tabState.set('key-a', { txid: 'tx1', vout: 0, satsLeft: 400 })
+
+      await reconcileTabBalance(tabState, 'key-a', {
+        txid: 'tx1',
+        expectedSatsLeft: 500,
+        reportedSatsLeft: 450
+      })
+
+      assert.equal(tabState.get('key-a').satsLeft, 350)
+    })
+
+    it('should ignore reports for a UTXO the tab no longer uses', async () => {
+      const tabState = createTabState()
+      await tabState.set('key-a', { txid: 'tx2', vout: 0, satsLeft: 900 })
+
+      const drift = await reconcileTabBalance(tabState, 'key-a', {
+        txid: 'tx1',
+        expectedSatsLeft: 500,
+        reportedSatsLeft: 0
+      })
+
+      assert.equal(drift, 0)
+      assert.equal(tabState.get('key-a').satsLeft, 900)
+    })
+  })
+
+  describe('#storage', () => {
+    it('should write tabs through to storage and load them back', async () => {
+      const storage = createMemoryStorage()
+      const tabState = createTabState({ storage, namespace: 'wallet-a' })
+
+      await tabState.set('key-a', { txid: 'tx123', vout: 0, satsLeft: 500, payTo: 'addr-a' })
+
+      const saved = await storage.get('tab:wallet-a:key-a')
+      assert.include(saved, { txid: 'tx123', vout: 0, satsLeft: 500, payTo: 'addr-a' })
+      assert.isString(saved.createdAt)
+      assert.isString(saved.updatedAt)
+
+      // A new tab state, as after a restart
+      const restored = createTabState({ storage, namespace: 'wallet-a' })
+      await restored.load()
+      assert.include(restored.get('key-a'), { txid: 'tx123', satsLeft: 500 })
+    })
+
+    it('should move tabs saved under an unnormalized key to the current key', async () => {
+      const storage = createMemoryStorage()
+      const tab = { txid: 'tx-a', vout: 0, satsLeft: 500, payTo: 'bitcoincash:qprecv', network: 'bch' }
+      await storage.set('tab:wallet-a:bch|bitcoincash:qprecv|', tab)
+
+      const tabState = createTabState({ storage, namespace: 'wallet-a' })
+      await tabState.load()
+
+      const key = getTabKey(tab)
+      assert.include(tabState.get(key), { txid: 'tx-a', satsLeft: 500 })
+      assert.deepEqual((await storage.entries('tab:')).map(([storageKey]) => storageKey), [`tab:wallet-a:${key}`])
+    })
+
+    it('should only load tabs from its own namespace', async () => {
+      const storage = createMemoryStorage()
+      await createTabState({ storage, namespace: 'wallet-a' })
+        .set('key-a', { txid: 'tx-a', vout: 0, satsLeft: 500 })
+
+      const other = createTabState({ storage, namespace: 'wallet-b' })
+      await other.load()
+
+      assert.lengthOf(other.list(), 0)
+    })
+
+    it('should remove tabs from storage on delete and reset', async () => {
+      const storage = createMemoryStorage()
+      const tabState = createTabState({ storage })
+      await tabState.set('key-a', { txid: 'tx-a', vout: 0, satsLeft: 1 })
+      await tabState.set('key-b', { txid: 'tx-b', vout: 0, satsLeft: 1 })
+
+      await tabState.delete('key-a')
+      assert.lengthOf(await storage.entries('tab:'), 1)
+
+      await tabState.reset()
+      assert.lengthOf(await storage.entries('tab:'), 0)
+    })
+
+    it('should allow load to be retried after a storage failure', async () => {
+      const storage = createMemoryStorage()
+      const entries = storage.entries
+      let calls = 0
+      storage.entries = async prefix => {
+        calls++
+        if (calls === 1) throw new Error('disk on fire')
+        return entries(prefix)
+      }
+      const tabState = createTabState({ storage })
+
+      try {
+        await tabState.load()
+        assert.fail('Expected rejection')
+      } catch (err) {
+        assert.equal(err.message, 'disk on fire')
+      }
+
+      await tabState.load()
+      assert.equal(calls, 2)
+    })
+
+    it('should resolve load immediately without storage', async () => {
+      const tabState = createTabState()
+      await tabState.load()
+      assert.isNull(tabState.storage)
+    })
+  })
+
+  describe('#getSignerTabState', () => {
+    it('should return the same tab state for the same signer', () => {
+      const signer = { address: 'bitcoincash:qptest' }
+
+      assert.strictEqual(getSignerTabState(signer), getSignerTabState(signer))
+    })
+
+    it('should return different tab states for different signers', async () => {
+      const signerA = { address: 'bitcoincash:qpa' }
+      const signerB = { address: 'bitcoincash:qpb' }
+
+      await getSignerTabState(signerA).set('key-a', { txid: 'tx-a', vout: 0, satsLeft: 100 })
+
+      assert.notStrictEqual(getSignerTabState(signerA), getSignerTabState(signerB))
+      assert.isNull(getSignerTabState(signerB).get('key-a').txid)
+    })
+
+    it('should bind the storage adapter on first use', () => {
+      const signer = { address: 'bitcoincash:qptest' }
+      const storage = createMemoryStorage()
+
+      const tabState = getSignerTabState(signer, { storage })
+      assert.strictEqual(tabState.storage, storage)
+      assert.strictEqual(getSignerTabState(signer), tabState)
+      assert.strictEqual(getSignerTabState(signer, { storage }), tabState)
+    })
+
+    it('should throw when a different storage is requested for the same signer', () => {
+      const signer = { address: 'bitcoincash:qptest' }
+      getSignerTabState(signer, { storage: createMemoryStorage() })
+
+      assert.throws(
+        () => getSignerTabState(signer, { storage: createMemoryStorage() }),
+        /different storage adapter/
+      )
+    })
+
+    it('should throw when no signer is given', () => {
+      assert.throws(() => getSignerTabState(), /signer object is required/)
+    })
+  })
+})